@@ -0,0 +1,126 @@
+/**
+ * park-city-events.js — Server-side copy of the page's event list.
+ *
+ * Rebuilds what app.js shows (schedule → supplement → durations →
+ * broadcast rules → change tracking → athlete matching) so api/calendar.js
+ * can serve feeds without a browser:
+ *   - schedule from schedule-source.js (shared in-memory cache)
+ *   - athletes from the published Google Sheet, else data/athletes-full.csv
+ *   - supplement, durations and broadcast rules from data/*.json on disk
+ *
+ * The roster is cached for an hour, like athletes.js does in the browser.
+ *
+ * Schedule changes are measured against the shipped snapshot
+ * (data/schedule-cache.json) rather than kept in memory, so every instance,
+ * warm or cold, notes the same moves in event descriptions. SEQUENCE comes
+ * with the events from schedule-source.js (the same number /api/events
+ * gives the browser), so feeds re-issue moved and cancelled events with a
+ * higher one.
+ *
+ * @module ParkCityEvents
+ */
+var fs = require('fs');
+var path = require('path');
+
+global.Strings = require('../../js/strings.js');
+global.Time = require('../../js/time.js');
+global.CONFIG = require('../../js/config.js');
+var Athletes = require('../../js/athletes.js');
+var Schedule = require('../../js/schedule.js');
+var source = require('./schedule-source.js');
+
+/** @type {string} Repo root (data/ and js/ live here) */
+var ROOT = path.join(__dirname, '..', '..');
+
+/** @type {number} Roster cache TTL: 1 hour */
+var ROSTER_TTL = 60 * 60 * 1000;
+
+/** @type {{ athletes: Object[], fetchedAt: number }|null} */
+var roster = null;
+
+/** @type {Object|null} Change log holding just the shipped snapshot (Schedule.recordChanges()) */
+var snapshotLog = null;
+
+/**
+ * Read a JSON file from data/, or null if missing/invalid.
+ * @param {string} relPath - Path relative to the repo root
+ * @returns {Object|null}
+ */
+function readJSON(relPath) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, relPath), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Load the athlete roster: Google Sheet first, local CSV on failure.
+ * @returns {Promise<Object[]>}
+ */
+function getAthletes() {
+  if (roster && Date.now() - roster.fetchedAt < ROSTER_TTL) {
+    return Promise.resolve(roster.athletes);
+  }
+  var url = 'https://docs.google.com/spreadsheets/d/' + CONFIG.GOOGLE_SHEET_ID + '/export?format=csv';
+  return fetch(url).then(function (res) {
+    if (!res.ok) throw new Error('Google Sheet fetch failed: ' + res.status);
+    return res.text();
+  }).then(Athletes.parseRoster).then(function (athletes) {
+    if (athletes.length === 0) throw new Error('Google Sheet returned no athletes');
+    return athletes;
+  }).catch(function (err) {
+    console.warn('Google Sheet failed (' + err.message + '), using local roster');
+    return Athletes.parseRoster(fs.readFileSync(path.join(ROOT, CONFIG.FALLBACK_ATHLETES), 'utf8'));
+  }).then(function (athletes) {
+    roster = { athletes: athletes, fetchedAt: Date.now() };
+    return athletes;
+  });
+}
+
+/**
+ * Supplement, durations and broadcast rules, as applyRules() does in the
+ * browser.
+ * @param {Object[]} events - Normalized events
+ * @returns {Object[]}
+ */
+function applyRules(events) {
+  var schedule = Schedule.applySupplement(events, readJSON(CONFIG.SUPPLEMENT_DATA));
+  schedule = Schedule.applyDurations(schedule, readJSON(CONFIG.DURATION_DATA));
+  return Schedule.applyBroadcastRules(schedule, readJSON(CONFIG.BROADCAST_DATA));
+}
+
+/**
+ * Diff against the shipped snapshot and attach changes. No state carries
+ * over between calls, so parallel instances agree.
+ * @param {Object[]} schedule - Events after applyRules()
+ * @returns {Object[]}
+ */
+function trackChanges(schedule) {
+  if (!snapshotLog) {
+    var snapshot = readJSON(CONFIG.FALLBACK_SCHEDULE);
+    if (!snapshot) return schedule;
+    snapshotLog = Schedule.recordChanges(null, applyRules(Schedule.normalizeAPIData(snapshot)));
+  }
+  return Schedule.applyChangeLog(schedule, Schedule.recordChanges(snapshotLog, schedule));
+}
+
+/**
+ * Matched Park City events, sorted by start time.
+ *
+ * @returns {Promise<{ events: Object[], fetchedAt: number }>}
+ */
+function getEvents() {
+  return Promise.all([source.getEvents(), getAthletes()]).then(function (results) {
+    var schedule = trackChanges(applyRules(results[0].events));
+    var events = Schedule.matchScheduleToAthletes(schedule, results[1]);
+    events.sort(function (a, b) {
+      return (a.start || a.date).localeCompare(b.start || b.date);
+    });
+    return { events: events, fetchedAt: results[0].fetchedAt };
+  });
+}
+
+module.exports = {
+  getEvents: getEvents
+};
@@ -0,0 +1,263 @@
+/**
+ * schedule-source.js — Server-side access to the RapidAPI schedule.
+ *
+ * Holds the RapidAPI key (from environment variables, never shipped to the
+ * browser), fetches /events, runs the same normalizeAPIData() the browser
+ * used to run (with data/classification.json from disk), and keeps the
+ * result in memory so every request served by a warm function instance
+ * shares a single upstream call. Upstream calls are capped per day
+ * (DAILY_FETCH_LIMIT, per instance), and only Park City events or events
+ * the API marks live switch on the 2-minute live TTL.
+ *
+ * Each event carries its ICS SEQUENCE (evt.sequence, see stampSequences()),
+ * so browser downloads and the api/calendar.js feeds number it alike.
+ *
+ * Environment variables:
+ *   RAPIDAPI_KEY       — RapidAPI key (required for live data)
+ *   RAPIDAPI_HOST      — Host header (default: milano-cortina-2026-olympics-api.p.rapidapi.com)
+ *   RAPIDAPI_UPSTREAM  — Base URL override, e.g. a local stub server
+ *                        (default: https://<RAPIDAPI_HOST>)
+ *
+ * Files under api/_lib are not deployed as routes (leading underscore).
+ *
+ * @module ScheduleSource
+ */
+var crypto = require('crypto');
+var fs = require('fs');
+var path = require('path');
+
+// Browser modules expect each other as globals; load dependencies first
+global.Strings = require('../../js/strings.js');
+global.Time = require('../../js/time.js');
+global.CONFIG = require('../../js/config.js');
+var Athletes = require('../../js/athletes.js');
+var Schedule = require('../../js/schedule.js');
+
+// Classification rules are read once per instance (deploys ship the file)
+Schedule.useRules(JSON.parse(fs.readFileSync(
+  path.join(__dirname, '..', '..', CONFIG.CLASSIFICATION_DATA), 'utf8')));
+
+/** @type {string} Default RapidAPI host for the Milano Cortina 2026 API */
+var DEFAULT_HOST = 'milano-cortina-2026-olympics-api.p.rapidapi.com';
+
+/**
+ * SHA-256 of the key js/config.js used to ship (still in git history).
+ * It is revoked; a deploy still set to it fails until the key is rotated.
+ * @type {string}
+ */
+var LEAKED_KEY_SHA256 = '844e924938147f01d9b2cebc8a357f4457977d656cefa0a6aa93a1c3f4359c0a';
+
+/**
+ * In-memory cache shared by all requests on this function instance.
+ * watched: IDs of the events Park City athletes are in (see parkCityIds()).
+ * @type {{ events: Object[], fetchedAt: number, watched: Object.<string, boolean> }|null}
+ */
+var cache = null;
+
+/** @type {Promise<Object[]>|null} In-flight upstream request (de-dupes concurrent misses) */
+var inflight = null;
+
+/** @type {number} Cache TTL while any event is running (app.js polls every minute) */
+var LIVE_TTL = 2 * 60 * 1000;
+
+/** @type {number} An event counts as running from 15 minutes before its start... */
+var LIVE_LEAD_MS = 15 * 60 * 1000;
+
+/** @type {number} ...until 3 hours after it (results and statuses settle late) */
+var LIVE_TAIL_MS = 3 * 60 * 60 * 1000;
+
+/** @type {number} Upstream fetches per UTC day after which the live TTL is off */
+var LIVE_FETCH_BUDGET = 150;
+
+/** @type {number} Hard ceiling on upstream fetches per UTC day (stale data after that) */
+var DAILY_FETCH_LIMIT = 200;
+
+/** @type {{ day: string, count: number }} Upstream fetches made today by this instance */
+var fetchCount = { day: '', count: 0 };
+
+/** @type {Object[]|null} data/athletes-full.csv, read once per instance */
+var localRoster = null;
+
+/** @type {number} SEQUENCE counts seconds from here, keeping it well inside 32 bits */
+var SEQUENCE_EPOCH = Date.UTC(2026, 0, 1);
+
+/** @type {Object|null} Diff of this instance's fetches (Schedule.recordChanges()) */
+var changeLog = null;
+
+/** @type {Object.<string, number>} Event key → SEQUENCE given by this instance */
+var sequences = {};
+
+/**
+ * Upstream fetches made so far today (UTC).
+ * @returns {number}
+ */
+function fetchesToday() {
+  var day = new Date().toISOString().slice(0, 10);
+  if (fetchCount.day !== day) fetchCount = { day: day, count: 0 };
+  return fetchCount.count;
+}
+
+/**
+ * Cache TTL, mirroring the browser's getCacheTTL(): 30 minutes during the
+ * Olympic competition window (Feb 6–22, 2026), 24 hours otherwise — and
+ * 2 minutes while a Park City event is running, so the page's live
+ * polling sees status changes quickly. Every reader shares the one cache,
+ * and the live TTL stops once LIVE_FETCH_BUDGET fetches have been made
+ * today, so RapidAPI sees a bounded number of calls a day.
+ *
+ * @returns {number} TTL in milliseconds
+ */
+function getCacheTTL() {
+  var now = new Date();
+  if (cache && fetchesToday() < LIVE_FETCH_BUDGET && isLive(cache, now.getTime())) return LIVE_TTL;
+  var start = new Date('2026-02-06T00:00:00Z');
+  var end = new Date('2026-02-23T00:00:00Z');
+  if (now >= start && now <= end) return 30 * 60 * 1000; // 30 minutes
+  return 24 * 60 * 60 * 1000; // 24 hours
+}
+
+/**
+ * IDs of the events the local roster (data/athletes-full.csv) matches.
+ * The published sheet may differ a little, but this only decides how
+ * often to poll, and reading it from disk costs no request.
+ * @param {Object[]} events - Normalized events
+ * @returns {Object.<string, boolean>}
+ */
+function parkCityIds(events) {
+  if (!localRoster) {
+    localRoster = Athletes.parseRoster(fs.readFileSync(
+      path.join(__dirname, '..', '..', CONFIG.FALLBACK_ATHLETES), 'utf8'));
+  }
+  var ids = {};
+  Schedule.matchScheduleToAthletes(events, localRoster).forEach(function (evt) {
+    ids[evt.id] = true;
+  });
+  return ids;
+}
+
+/**
+ * Whether an event is marked live, or a Park City event is inside its
+ * live window. Other sports' events don't shorten the TTL.
+ * @param {{ events: Object[], watched: Object.<string, boolean> }} cached
+ * @param {number} now - Epoch ms
+ * @returns {boolean}
+ */
+function isLive(cached, now) {
+  return cached.events.some(function (evt) {
+    if (evt.status === 'live') return true;
+    if (!evt.start || !cached.watched[evt.id]) return false;
+    var start = new Date(evt.start).getTime();
+    return now >= start - LIVE_LEAD_MS && now <= start + LIVE_TAIL_MS;
+  });
+}
+
+/**
+ * Set evt.sequence: the fetch time, in seconds since SEQUENCE_EPOCH, at
+ * which this instance first saw the event as it is now. It holds while the
+ * event does and moves on when a fetch shows a new date, time, venue or
+ * status (Schedule.recordChanges()), including a move back to an old time.
+ *
+ * Instances keep no shared state, so two may number the same version of an
+ * event differently (a cold one gives everything its first fetch time).
+ * But a version can only be first seen while it is current, so any
+ * instance numbers a later version higher than any instance numbered an
+ * earlier one, and calendar apps always take the newer copy.
+ *
+ * @param {Object[]} events - Normalized events, stamped in place
+ * @param {number} fetchedAt - Epoch ms of the fetch
+ */
+function stampSequences(events, fetchedAt) {
+  var detectedAt = new Date(fetchedAt);
+  var stamp = Math.floor((fetchedAt - SEQUENCE_EPOCH) / 1000);
+  changeLog = Schedule.recordChanges(changeLog, events, detectedAt);
+  var changed = {};
+  changeLog.changes.forEach(function (change) {
+    if (change.detectedAt === detectedAt.toISOString()) changed[change.key] = true;
+  });
+  events.forEach(function (evt) {
+    if (!sequences[evt.key] || changed[evt.key]) sequences[evt.key] = stamp;
+    evt.sequence = sequences[evt.key];
+  });
+}
+
+/**
+ * Fetch and normalize /events from RapidAPI (or the configured stub).
+ * Refuses once DAILY_FETCH_LIMIT fetches have been made today; getEvents()
+ * then serves the cached schedule as stale.
+ *
+ * @returns {Promise<Object[]>} Normalized event objects
+ */
+function fetchUpstream() {
+  if (fetchesToday() >= DAILY_FETCH_LIMIT) {
+    return Promise.reject(new Error('Daily RapidAPI fetch limit (' + DAILY_FETCH_LIMIT + ') reached'));
+  }
+  fetchCount.count++;
+  var host = process.env.RAPIDAPI_HOST || DEFAULT_HOST;
+  var base = process.env.RAPIDAPI_UPSTREAM || ('https://' + host);
+  var key = process.env.RAPIDAPI_KEY;
+  if (!key && !process.env.RAPIDAPI_UPSTREAM) {
+    return Promise.reject(new Error('RAPIDAPI_KEY is not set'));
+  }
+  if (key && crypto.createHash('sha256').update(key).digest('hex') === LEAKED_KEY_SHA256) {
+    return Promise.reject(new Error('RAPIDAPI_KEY is the revoked key from git history; rotate it'));
+  }
+
+  return fetch(base.replace(/\/$/, '') + '/events', {
+    method: 'GET',
+    headers: {
+      'X-RapidAPI-Key': key || '',
+      'X-RapidAPI-Host': host
+    }
+  }).then(function (res) {
+    if (!res.ok) throw new Error('RapidAPI fetch failed: ' + res.status);
+    return res.json();
+  }).then(function (data) {
+    var events = Schedule.normalizeAPIData(data);
+    if (events.length === 0) throw new Error('RapidAPI returned no medal events');
+    return events;
+  });
+}
+
+/**
+ * Get the normalized schedule, from memory when fresh.
+ *
+ * A stale cache is still returned (with stale: true) if the upstream call
+ * fails, so a rate-limited API never turns into an error for readers.
+ *
+ * @returns {Promise<{ events: Object[], fetchedAt: number, stale: boolean }>}
+ */
+function getEvents() {
+  var ttl = getCacheTTL();
+  if (cache && Date.now() - cache.fetchedAt < ttl) {
+    return Promise.resolve({ events: cache.events, fetchedAt: cache.fetchedAt, stale: false });
+  }
+
+  if (!inflight) {
+    var startedAt = Date.now();
+    inflight = fetchUpstream().then(function (events) {
+      stampSequences(events, startedAt);
+      cache = { events: events, fetchedAt: Date.now(), watched: parkCityIds(events) };
+      return events;
+    });
+    inflight.then(clearInflight, clearInflight);
+  }
+
+  return inflight.then(function () {
+    return { events: cache.events, fetchedAt: cache.fetchedAt, stale: false };
+  }).catch(function (err) {
+    if (cache) {
+      console.warn('Upstream failed (' + err.message + '), serving stale schedule');
+      return { events: cache.events, fetchedAt: cache.fetchedAt, stale: true };
+    }
+    throw err;
+  });
+}
+
+function clearInflight() {
+  inflight = null;
+}
+
+module.exports = {
+  getEvents: getEvents,
+  getCacheTTL: getCacheTTL
+};
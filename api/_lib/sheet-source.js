@@ -0,0 +1,89 @@
+/**
+ * sheet-source.js — Server-side reads of the published Google Sheet's
+ * results tabs.
+ *
+ * Fetches a tab as CSV and keeps it in memory for TAB_TTL, so every
+ * request served by a warm function instance shares one Google fetch per
+ * tab. When Google fails, the last copy is served (stale) rather than
+ * nothing. Only the tabs named in TABS can be read, so this is no open
+ * proxy onto the sheet.
+ *
+ * Files under api/_lib are not deployed as routes (leading underscore).
+ *
+ * @module SheetSource
+ */
+var CONFIG = require('../../js/config.js');
+
+/** @type {number} How long a tab is served from memory (app.js polls every minute while live) */
+var TAB_TTL = 60 * 1000;
+
+/** @type {Object.<string, string>} Readable tabs → the CONFIG key holding their GID */
+var TABS = {
+  results: 'RESULTS_SHEET_GID',
+  standings: 'STANDINGS_SHEET_GID'
+};
+
+/**
+ * In-memory cache shared by all requests on this function instance.
+ * @type {Object.<string, { csv: string, fetchedAt: number }>}
+ */
+var cache = {};
+
+/** @type {Object.<string, Promise<string>>} In-flight fetches by tab (de-dupes concurrent misses) */
+var inflight = {};
+
+/**
+ * GID of a readable tab.
+ * @param {string} tab - Key of TABS
+ * @returns {string} '' for an unknown tab or one with no GID configured
+ */
+function tabGid(tab) {
+  return TABS.hasOwnProperty(tab) ? (CONFIG[TABS[tab]] || '') : '';
+}
+
+/**
+ * Get a tab's CSV, from memory when fresh.
+ *
+ * @param {string} tab - 'results' or 'standings'
+ * @returns {Promise<{ csv: string, fetchedAt: number, stale: boolean }>}
+ *   Rejects when the tab has no GID, or Google fails with nothing cached
+ */
+function getTab(tab) {
+  var gid = tabGid(tab);
+  if (!gid) return Promise.reject(new Error('No GID configured for tab "' + tab + '"'));
+
+  var hit = cache[tab];
+  if (hit && Date.now() - hit.fetchedAt < TAB_TTL) {
+    return Promise.resolve({ csv: hit.csv, fetchedAt: hit.fetchedAt, stale: false });
+  }
+
+  if (!inflight[tab]) {
+    var url = 'https://docs.google.com/spreadsheets/d/' + CONFIG.GOOGLE_SHEET_ID +
+      '/export?format=csv&gid=' + gid;
+    inflight[tab] = fetch(url).then(function (res) {
+      if (!res.ok) throw new Error('Sheet fetch failed: ' + res.status);
+      return res.text();
+    }).then(function (csv) {
+      cache[tab] = { csv: csv, fetchedAt: Date.now() };
+      return csv;
+    });
+    var clear = function () { delete inflight[tab]; };
+    inflight[tab].then(clear, clear);
+  }
+
+  return inflight[tab].then(function () {
+    return { csv: cache[tab].csv, fetchedAt: cache[tab].fetchedAt, stale: false };
+  }).catch(function (err) {
+    if (cache[tab]) {
+      console.warn('Sheet failed (' + err.message + '), serving stale ' + tab);
+      return { csv: cache[tab].csv, fetchedAt: cache[tab].fetchedAt, stale: true };
+    }
+    throw err;
+  });
+}
+
+module.exports = {
+  getTab: getTab,
+  tabGid: tabGid,
+  TAB_TTL: TAB_TTL
+};
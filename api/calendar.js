@@ -0,0 +1,95 @@
+/**
+ * GET /api/calendar?feed=<name> — Subscribable iCalendar feeds.
+ *
+ * Served at /calendar/<name>.ics (rewrite in vercel.json) so readers can
+ * subscribe with webcal://utah2026.townlift.com/calendar/<name>.ics.
+ * Calendar apps re-poll the feed, so schedule changes reach subscribers
+ * automatically; UIDs are stable and SEQUENCE rises when an event moves.
+ *
+ * Feeds:
+ *   park-city        every event with a Park City athlete
+ *   athlete-<slug>   one athlete, e.g. athlete-sam-morse
+ *   sport-<slug>     one sport, e.g. sport-alpine-skiing
+ *
+ * Unknown slugs return an empty calendar rather than 404, so a feed
+ * subscribed before an athlete's events were posted keeps working.
+ * Descriptions use Mountain Time, the site's home zone.
+ */
+var ICS = require('../js/ics.js');
+var events = require('./_lib/park-city-events.js');
+var source = require('./_lib/schedule-source.js');
+
+/**
+ * Pick the events and calendar name for a feed.
+ *
+ * @param {string} feed - Feed name from the URL
+ * @param {Object[]} all - Matched Park City events
+ * @returns {{ name: string, events: Object[] }|null} null for a malformed feed name
+ */
+function selectFeed(feed, all) {
+  if (feed === 'park-city') {
+    return { name: 'Park City at the 2026 Winter Olympics', events: all };
+  }
+
+  var m = /^(athlete|sport)-([a-z0-9-]+)$/.exec(feed);
+  if (!m) return null;
+  var slug = m[2];
+  var label = slug;
+
+  var selected = all.filter(function (evt) {
+    if (m[1] === 'sport') {
+      if (Strings.slugify(evt.sport) !== slug) return false;
+      label = evt.sport;
+      return true;
+    }
+    return evt.athletes.some(function (a) {
+      if (Strings.slugify(a.name) !== slug) return false;
+      label = a.name;
+      return true;
+    });
+  });
+
+  var name = m[1] === 'sport'
+    ? label + ' — Park City at the 2026 Olympics'
+    : label + ' — 2026 Winter Olympics';
+  return { name: name, events: selected };
+}
+
+module.exports = function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.statusCode = 405;
+    res.setHeader('Allow', 'GET, HEAD');
+    res.end();
+    return;
+  }
+
+  var feed = String((req.query && req.query.feed) || 'park-city').replace(/\.ics$/, '');
+
+  return events.getEvents().then(function (result) {
+    var selected = selectFeed(feed, result.events);
+    if (!selected) {
+      res.statusCode = 404;
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end('Unknown calendar feed');
+      return;
+    }
+
+    var maxAge = Math.floor(source.getCacheTTL() / 1000);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="' + feed + '.ics"');
+    res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=' + maxAge +
+      ', stale-while-revalidate=' + maxAge);
+    res.end(ICS.buildCalendar(selected.events, {
+      name: selected.name,
+      zone: Time.BROADCAST_ZONE,
+      refresh: 'PT1H'
+    }));
+  }).catch(function (err) {
+    console.error('GET /api/calendar failed:', err.message);
+    res.statusCode = 502;
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end('Calendar unavailable');
+  });
+};
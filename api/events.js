@@ -0,0 +1,46 @@
+/**
+ * GET /api/events — Shared, server-cached Milano Cortina 2026 schedule.
+ *
+ * Replaces the browser's direct RapidAPI calls. The response is the already
+ * normalized medal-event list that schedule.js used to build client-side:
+ *
+ *   {
+ *     "updated": "2026-02-07T10:15:00.000Z",  // when upstream was last fetched
+ *     "stale": false,                          // true if upstream just failed
+ *     "events": [ { id, date, time, sport, discipline, ... } ]
+ *   }
+ *
+ * Cache-Control lets Vercel's edge cache hand the same response to every
+ * browser, so RapidAPI quota no longer scales with the number of visitors.
+ * Responds 502 when there is no upstream data at all; schedule.js then falls
+ * back to data/schedule-cache.json.
+ */
+var source = require('./_lib/schedule-source.js');
+
+module.exports = function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.statusCode = 405;
+    res.setHeader('Allow', 'GET, HEAD');
+    res.end();
+    return;
+  }
+
+  return source.getEvents().then(function (result) {
+    var maxAge = Math.floor(source.getCacheTTL() / 1000);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=' + maxAge +
+      ', stale-while-revalidate=' + maxAge);
+    res.end(JSON.stringify({
+      updated: new Date(result.fetchedAt).toISOString(),
+      stale: result.stale,
+      events: result.events
+    }));
+  }).catch(function (err) {
+    console.error('GET /api/events failed:', err.message);
+    res.statusCode = 502;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify({ error: 'Schedule unavailable' }));
+  });
+};
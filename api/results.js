@@ -0,0 +1,48 @@
+/**
+ * GET /api/results?tab=results|standings — Shared, server-cached copy of a
+ * results tab of the Google Sheet, as the CSV Google publishes.
+ *
+ * Replaces the browser's direct sheet fetches. While Park City events are
+ * running every open page re-reads results each minute (app.js
+ * pollForUpdates()); through here those reads share one Google fetch per
+ * minute per instance, and Cache-Control lets Vercel's edge cache hand the
+ * same response to every browser. A stale copy is served when Google
+ * fails after a good read.
+ *
+ * Responds 404 for a tab with no GID configured and 502 when the sheet
+ * can't be read and nothing is cached; results.js then falls back to
+ * data/results.json (or data/standings.json).
+ */
+var source = require('./_lib/sheet-source.js');
+
+module.exports = function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.statusCode = 405;
+    res.setHeader('Allow', 'GET, HEAD');
+    res.end();
+    return;
+  }
+
+  var tab = String((req.query && req.query.tab) || 'results');
+  if (!source.tabGid(tab)) {
+    res.statusCode = 404;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({ error: 'Unknown tab' }));
+    return;
+  }
+
+  return source.getTab(tab).then(function (result) {
+    var maxAge = Math.floor(source.TAB_TTL / 1000);
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=0, s-maxage=' + maxAge +
+      ', stale-while-revalidate=' + maxAge);
+    res.end(result.csv);
+  }).catch(function (err) {
+    console.error('GET /api/results failed:', err.message);
+    res.statusCode = 502;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    res.end(JSON.stringify({ error: 'Results unavailable' }));
+  });
+};
@@ -2,27 +2,58 @@
  * app.js — Main application: initialization, rendering, filtering, sorting, and search.
  *
  * This is the entry point that ties everything together. On DOM ready:
- *   1. Reads the current view from the URL hash (#date, #sport, #athlete)
+ *   1. Reads the current view from the URL hash (#date, #sport, #athlete,
+ *      #calendar, #athlete/<slug>)
  *   2. Sets up sort buttons, search input, and event handlers
  *   3. Fetches athletes + schedule in parallel
  *   4. Matches athletes to events via Schedule.matchScheduleToAthletes()
  *   5. Renders grouped event cards into the DOM
  *
- * Three views are supported:
- *   - Date view:    Events grouped by date, sticky date headers, auto-scroll to today
- *   - Sport view:   Events grouped by sport name, with date + time per card
- *   - Athlete view: Compact expandable list of athletes with their events
+ * Four views are supported:
+ *   - Date view:     Events grouped by date, sticky date headers, auto-scroll to today
+ *   - Sport view:    Events grouped by sport name, with date + time per card
+ *   - Athlete view:  Compact expandable list of athletes with their events
+ *   - Calendar view: Week or month grid in the viewer's time zone, events
+ *     coloured by sport; clicking one opens its card below the grid
  *
  * Features:
  *   - Hash-based routing with browser back/forward support
- *   - Full-text search across athletes, sports, events, and networks
+ *   - Search across athletes, sports, events and networks with field
+ *     qualifiers, typo tolerance, highlighted matches and autocomplete (search.js)
+ *   - Facet filter chips (sport, program, country, gender, Park City vs.
+ *     wider Utah, network) with live counts, kept in the hash
+ *     (#date?program=wasatch-freestyle&country=can)
  *   - Past event toggle (hidden by default, shown with muted styling)
  *   - "Add to Calendar" dropdown (Google, Outlook, Yahoo, .ics download)
+ *   - Whole-schedule, per-sport and per-athlete calendars: webcal://
+ *     subscriptions (api/calendar.js) or one-off .ics downloads via ics.js
  *   - Newsletter CTA banner (slide-up after 4s, dismissible per session)
- *   - Social share buttons (X, Facebook, Email, Copy Link)
+ *   - Social share buttons (X, Facebook, Email, Copy Link) for the open event,
+ *     athlete or recap, with permalinks on CONFIG.SITE_URL
  *   - GA4 event tracking for all user interactions
  *   - iframe embed support with auto-height postMessage
- *   - Timezone conversion: CET → user's local timezone
+ *   - Time zones: venue time → viewer's chosen zone via time.js (DST-aware)
+ *   - Qualifying rounds and heats: each card lists the competition's rounds
+ *     and each athlete's progress ("Advanced to Final 2")
+ *   - Schedule changes: "Moved from 3:30 AM to 5:00 AM MST" badges on cards
+ *     and a "Schedule changes" panel (change log kept by schedule.js)
+ *   - Live updates: polls /api/events every minute while a Park City event
+ *     is running (every 15 otherwise) and re-renders in place
+ *   - Athlete profiles (#athlete/<slug>): sheet details, results and the
+ *     athlete's whole 2026 schedule
+ *   - Event pages (#event/<id>): podium and full standings (optional
+ *     Standings tab or data/standings.json), Park City athletes highlighted
+ *   - Now & Next (#now): Park City events on now and the networks carrying
+ *     them, a countdown to the next event and the few after it
+ *   - Daily recaps (#recap/<date>): the day's results and medals and
+ *     tomorrow's events, copyable as newsletter HTML or plain text
+ *   - My Athletes (#following): star athletes on cards, rows and profiles;
+ *     the list lives in localStorage and travels between devices as a
+ *     #following?add=<slugs> link
+ *   - #debug/matching: roster matching report for editors (unmatched
+ *     Events values with "did you mean" suggestions), downloadable as CSV
+ *   - #admin/results: results entry for started events, with live badge
+ *     previews, downloadable as data/results.json or Results-tab CSV
  *
  * @module App
  */
@@ -35,12 +66,24 @@
   /** @type {Object[]} All matched events (athletes + schedule combined) */
   var allEvents = [];
 
-  /** @type {string} Current view/sort mode: 'date' | 'sport' | 'athlete' */
+  /** @type {Object[]} Athlete roster, kept to re-match events on live updates */
+  var roster = [];
+
+  /** @type {Object[]} Full schedule before matching, for the #debug/matching report */
+  var fullSchedule = [];
+
+  /** @type {Object} Competitions by key, rounds in order (Schedule.buildCompetitions()) */
+  var competitions = {};
+
+  /** @type {string} Current view/sort mode: 'date' | 'sport' | 'athlete' | 'calendar' | ... */
   var currentSort = 'date';
 
-  /** @type {string} Current search query (lowercased for matching) */
+  /** @type {string} Current search query, as typed (see search.js for the language) */
   var searchQuery = '';
 
+  /** @type {?Object} Search.parse() of searchQuery, with the query, day and events it was read for */
+  var parsedSearch = null;
+
   /** @type {boolean} Whether to show events with dates before today */
   var showPast = false;
 
@@ -50,8 +93,29 @@
   /** @type {Object} Maps athlete name → athlete info object (populated in athlete view) */
   var athleteInfoMap = {};
 
+  /** @type {string[]} Followed athletes (profile slugs), in the order followed */
+  var following = [];
+
+  /** @type {string[]|null} Athletes from a #following?add= share link, waiting to be imported */
+  var followImport = null;
+
+  /** @type {string} Medals page tally: 'medals' (one per team medal) | 'medalists' (one per athlete) */
+  var medalCountBy = 'medals';
+
   /** @type {Object} Whitelist of valid URL hash view names */
-  var VALID_VIEWS = { date: true, sport: true, athlete: true, medals: true };
+  var VALID_VIEWS = { date: true, sport: true, athlete: true, following: true, calendar: true, now: true, medals: true, recap: true, 'debug/matching': true, 'admin/results': true };
+
+  /** @type {Object} Views the facet filters apply to (and carry in the hash) */
+  var FACET_VIEWS = { date: true, sport: true, athlete: true, calendar: true };
+
+  /** @type {Object} Facet key → { value slug: true } for the selected chips */
+  var facetSelection = {};
+
+  /** @type {Object} Views that take a parameter (#athlete/sam-morse, #event/<id>, #recap/2026-02-12) → pattern it must match */
+  var PARAM_VIEWS = { athlete: /^[a-z0-9-]+$/, event: /^[a-z0-9-]+$/, recap: /^\d{4}-\d{2}-\d{2}$/ };
+
+  /** @type {string} Page title outside profile pages */
+  var baseTitle = document.title;
 
   // =====================================================================
   // Analytics
@@ -74,12 +138,36 @@
 
   /**
    * Read the current view from the URL hash.
-   * Strips leading #/ and validates against VALID_VIEWS.
-   * @returns {string} View name ('date', 'sport', 'athlete') or '' if invalid
+   * Strips leading #/ and any facet query (?program=...), and validates
+   * against VALID_VIEWS, or PARAM_VIEWS for views with a parameter
+   * ("athlete/sam-morse").
+   * @returns {string} View name ('date', 'athlete/sam-morse', ...) or '' if invalid
    */
   function readHash() {
-    var hash = window.location.hash.replace(/^#\/?/, '').toLowerCase();
-    return VALID_VIEWS[hash] ? hash : '';
+    var hash = window.location.hash.replace(/^#\/?/, '').toLowerCase().split('?')[0];
+    if (VALID_VIEWS[hash]) return hash;
+    var slash = hash.indexOf('/');
+    var pattern = slash > 0 && PARAM_VIEWS[hash.slice(0, slash)];
+    return pattern && pattern.test(hash.slice(slash + 1)) ? hash : '';
+  }
+
+  /**
+   * The view a parameterized view belongs to: 'athlete/sam-morse' → 'athlete'.
+   * @param {string} view
+   * @returns {string}
+   */
+  function baseView(view) {
+    return PARAM_VIEWS[view.split('/')[0]] ? view.split('/')[0] : view;
+  }
+
+  /**
+   * Hash for a view, with the facet query on views the filters apply to:
+   * '#date?program=wasatch-freestyle&country=can'.
+   * @param {string} view
+   * @returns {string}
+   */
+  function viewHash(view) {
+    return '#' + view + (FACET_VIEWS[view] ? facetQuery() : '');
   }
 
   /**
@@ -88,7 +176,7 @@
    * @param {string} view - View name to set
    */
   function updateHash(view) {
-    var newHash = '#' + view;
+    var newHash = viewHash(view);
     if (window.location.hash !== newHash) {
       history.pushState(null, '', newHash);
     }
@@ -98,12 +186,12 @@
   }
 
   /** @type {Object} Maps view keys to display labels for the controls bar */
-  var VIEW_LABELS = { date: 'Date', sport: 'Sport', athlete: 'Athlete', medals: 'Medals' };
+  var VIEW_LABELS = { date: 'Date', sport: 'Sport', athlete: 'Athlete', calendar: 'Calendar', now: 'Now', following: 'Following', medals: 'Medals', event: 'Event', recap: 'Recap', 'debug/matching': 'Diagnostics', 'admin/results': 'Results Editor' };
 
   function syncSortButtons() {
     var btns = document.querySelectorAll('.sort-btn');
     btns.forEach(function (b) {
-      if (b.dataset.sort === currentSort) {
+      if (b.dataset.sort === baseView(currentSort)) {
         b.classList.add('active');
       } else {
         b.classList.remove('active');
@@ -111,23 +199,25 @@
     });
     var summaryVal = document.getElementById('controls-summary-value');
     if (summaryVal) {
-      summaryVal.textContent = VIEW_LABELS[currentSort] || 'Date';
+      summaryVal.textContent = VIEW_LABELS[baseView(currentSort)] || 'Date';
     }
   }
 
   /**
-   * Get today's date as YYYY-MM-DD in local timezone.
+   * Get today's date as YYYY-MM-DD in the viewer's zone (Time.getZone()).
    * Caches result for 60 seconds to avoid redundant Date allocations
    * across the many calls per render cycle (filter, sort, per-card checks).
    */
   var _todayCache = '';
   var _todayCacheTime = 0;
+  var _todayCacheZone = '';
   function getTodayStr() {
     var now = Date.now();
-    if (now - _todayCacheTime < 60000) return _todayCache;
-    var d = new Date(now);
-    _todayCache = d.getFullYear() + '-' + pad2(d.getMonth() + 1) + '-' + pad2(d.getDate());
+    var zone = Time.getZone();
+    if (now - _todayCacheTime < 60000 && zone === _todayCacheZone) return _todayCache;
+    _todayCache = Time.dateKey(new Date(now), zone);
     _todayCacheTime = now;
+    _todayCacheZone = zone;
     return _todayCache;
   }
 
@@ -139,6 +229,38 @@
     return dateStr < getTodayStr();
   }
 
+  /**
+   * The day an event starts on in the viewer's zone, as YYYY-MM-DD: an
+   * 08:15 start in Italy on Feb 10 is Feb 9 in California. Date headers,
+   * day recaps and the calendar grid all group by it. Venue date while
+   * the time is TBD.
+   * @param {Object} evt
+   * @returns {string}
+   */
+  function eventDay(evt) {
+    var start = Time.eventStart(evt);
+    return start ? Time.dateKey(start) : (evt.date || '');
+  }
+
+  /**
+   * Order events by day (eventDay()), then start instant; TBD times first.
+   */
+  function compareStart(a, b) {
+    return eventDay(a).localeCompare(eventDay(b)) || (a.start || '').localeCompare(b.start || '');
+  }
+
+  /**
+   * Whether an event is under way or over: started by the clock, or marked
+   * live or final by the API.
+   * @param {Object} evt
+   * @returns {boolean}
+   */
+  function hasStarted(evt) {
+    if (evt.status === 'completed' || evt.status === 'live') return true;
+    var start = Time.eventStart(evt);
+    return start ? start.getTime() <= Date.now() : isPastDate(evt.date);
+  }
+
   // =====================================================================
   // SVG Sport Icons
   // =====================================================================
@@ -164,27 +286,46 @@
   var jumpIcon = svg('<circle cx="14" cy="3.5" r="2"/><path d="M8 21l4-10"/><path d="M12 11l5-5"/><path d="M4 20l4-2"/>');
   var medalIcon = svg('<circle cx="12" cy="14" r="6"/><path d="M9 3h6"/><path d="M9 3l-1 8"/><path d="M15 3l1 8"/>');
 
-  var sportIcons = {
-    'alpine skiing': skiIcon,
-    'biathlon': skiIcon,
-    'bobsleigh': sledIcon,
-    'cross-country skiing': skiIcon,
-    'curling': curlingIcon,
-    'figure skating': skateIcon,
-    'freestyle skiing': skiIcon,
-    'ice hockey': hockeyIcon,
-    'luge': sledIcon,
-    'nordic combined': jumpIcon,
-    'short track speed skating': skateIcon,
-    'skeleton': sledIcon,
-    'ski jumping': jumpIcon,
-    'snowboard': snowboardIcon,
-    'speed skating': skateIcon
+  /** @type {Object} Sport → icon family; the family also sets the sport's colour (.sport-ski, ...) */
+  var sportFamilies = {
+    'alpine skiing': 'ski',
+    'biathlon': 'ski',
+    'bobsleigh': 'sled',
+    'cross-country skiing': 'ski',
+    'curling': 'curling',
+    'figure skating': 'skate',
+    'freestyle skiing': 'ski',
+    'ice hockey': 'hockey',
+    'luge': 'sled',
+    'nordic combined': 'jump',
+    'short track speed skating': 'skate',
+    'skeleton': 'sled',
+    'ski jumping': 'jump',
+    'snowboard': 'snowboard',
+    'speed skating': 'skate'
+  };
+
+  var familyIcons = {
+    ski: skiIcon,
+    skate: skateIcon,
+    sled: sledIcon,
+    hockey: hockeyIcon,
+    curling: curlingIcon,
+    snowboard: snowboardIcon,
+    jump: jumpIcon,
+    medal: medalIcon
   };
 
+  /**
+   * @param {string} sport
+   * @returns {string} Icon family, e.g. 'ski' ('medal' for unknown sports)
+   */
+  function getSportFamily(sport) {
+    return sportFamilies[(sport || '').toLowerCase()] || 'medal';
+  }
+
   function getSportIcon(sport) {
-    var key = (sport || '').toLowerCase();
-    return sportIcons[key] || medalIcon;
+    return familyIcons[getSportFamily(sport)];
   }
 
   // Utility SVG icons
@@ -209,79 +350,32 @@
       pad2(d.getUTCSeconds()) + 'Z';
   }
 
+  /**
+   * Start/end instants for calendar links (see ICS.eventSpan()).
+   */
   function getEventTimes(evt) {
-    var isoStr = (evt.date || '2026-02-06') + 'T' + (evt.time || '12:00') + ':00+01:00';
-    var start = new Date(isoStr);
-    var end = new Date(start.getTime() + 2 * 60 * 60 * 1000);
+    var span = ICS.eventSpan(evt);
     return {
-      startCompact: formatUTCCompact(start),
-      endCompact: formatUTCCompact(end),
-      startISO: start.toISOString(),
-      endISO: end.toISOString()
+      startCompact: formatUTCCompact(span.start),
+      endCompact: formatUTCCompact(span.end),
+      startISO: span.start.toISOString(),
+      endISO: span.end.toISOString(),
+      duration: pad2(Math.floor(span.minutes / 60)) + pad2(span.minutes % 60)  // Yahoo "HHMM"
     };
   }
 
-  function buildCalDescription(evt) {
-    var lines = [];
-    lines.push('2026 Winter Olympics');
-    lines.push(evt.sport + ' - ' + (evt.event || evt.discipline || ''));
-    lines.push('');
-    if (evt.venue) {
-      lines.push('Venue: ' + evt.venue);
-      lines.push('');
-    }
-    if (evt.broadcast && evt.broadcast.length > 0) {
-      lines.push('Where to Watch:');
-      evt.broadcast.forEach(function (b) {
-        var line = '- ' + b.network;
-        if (b.time) line += ' at ' + formatBroadcastTime(b.time);
-        var typeLabel = b.type === 'streaming' ? 'Stream' : b.type.charAt(0).toUpperCase() + b.type.slice(1);
-        line += ' (' + typeLabel + ')';
-        lines.push(line);
-      });
-      lines.push('');
-    }
-    if (evt.athletes.length > 0) {
-      lines.push('Park City Athletes:');
-      evt.athletes.forEach(function (a) {
-        var line = '- ' + a.name;
-        if (a.isParkCity) line += ' (Park City)';
-        else if (a.country && a.country !== 'USA') line += ' (' + a.country + ')';
-        lines.push(line);
-      });
-    }
-    return lines.join('\n');
-  }
-
-  function icsEscape(str) {
-    return (str || '')
-      .replace(/\\/g, '\\\\')
-      .replace(/;/g, '\\;')
-      .replace(/,/g, '\\,')
-      .replace(/\n/g, '\\n');
-  }
-
-  function buildICSDataURI(title, times, description, location) {
-    var lines = [
-      'BEGIN:VCALENDAR',
-      'VERSION:2.0',
-      'PRODID:-//OlympicsSchedule//EN',
-      'BEGIN:VEVENT',
-      'DTSTART:' + times.startCompact,
-      'DTEND:' + times.endCompact,
-      'SUMMARY:' + icsEscape(title),
-      'DESCRIPTION:' + icsEscape(description),
-      'LOCATION:' + icsEscape(location || ''),
-      'END:VEVENT',
-      'END:VCALENDAR'
-    ];
-    return 'data:text/calendar;charset=utf-8,' + encodeURIComponent(lines.join('\r\n'));
+  /**
+   * Single-event .ics as a data URI (same VEVENT as the bulk exports).
+   */
+  function buildICSDataURI(evt) {
+    var ics = ICS.buildCalendar([evt], { zone: Time.getZone() });
+    return 'data:text/calendar;charset=utf-8,' + encodeURIComponent(ics);
   }
 
   function buildCalendarHTML(evt) {
-    var title = evt.sport + ': ' + (evt.event || evt.discipline || '') + ' - 2026 Olympics';
+    var title = ICS.summary(evt);
     var times = getEventTimes(evt);
-    var desc = buildCalDescription(evt);
+    var desc = ICS.describe(evt, Time.getZone());
     var location = evt.venue || '';
 
     var googleURL = 'https://calendar.google.com/calendar/render?action=TEMPLATE' +
@@ -301,11 +395,11 @@
     var yahooURL = 'https://calendar.yahoo.com/?v=60' +
       '&title=' + encodeURIComponent(title) +
       '&st=' + times.startCompact +
-      '&dur=0200' +
+      '&dur=' + times.duration +
       '&desc=' + encodeURIComponent(desc) +
       '&in_loc=' + encodeURIComponent(location);
 
-    var icsURI = buildICSDataURI(title, times, desc, location);
+    var icsURI = buildICSDataURI(evt);
 
     var h = '<div class="cal-dropdown">';
     h += '<div class="cal-dropdown-title">Add to Calendar</div>';
@@ -329,9 +423,98 @@
     return h;
   }
 
+  /**
+   * Build a calendar button for a group of events: subscribe to the
+   * matching webcal:// feed (api/calendar.js) or download a one-off .ics.
+   * Like buildCalendarStub(), the dropdown is built on first open.
+   *
+   * @param {string} scope - "all", "athlete" or "sport"
+   * @param {string} value - Athlete name or sport ('' for "all")
+   * @param {string} label - Button label
+   */
+  function buildFeedStub(scope, value, label) {
+    var h = '<div class="cal-action cal-feed" data-scope="' + scope + '" data-value="' + escapeHTML(value) + '" onclick="event.stopPropagation()">';
+    h += '<button type="button" class="cal-btn" onclick="_toggleCal(this)" title="Add all to calendar">' + calendarIcon + '<span class="cal-btn-label">' + escapeHTML(label) + '</span><span class="cal-btn-arrow">' + chevronDown + '</span></button>';
+    h += '</div>';
+    return h;
+  }
+
+  /** Feed name served by api/calendar.js for a scope, e.g. "athlete-sam-morse". */
+  function feedName(scope, value) {
+    if (scope === 'all') return 'park-city';
+    return scope + '-' + Strings.slugify(value);
+  }
+
+  /** Events covered by a feed scope, from the full (unfiltered) list. */
+  function feedEvents(scope, value) {
+    if (scope === 'view') return getFilteredEvents();
+    return allEvents.filter(function (evt) {
+      if (scope === 'sport') return evt.sport === value;
+      if (scope === 'athlete') return evt.athletes.some(function (a) { return a.name === value; });
+      return true;
+    });
+  }
+
+  function buildFeedDropdown(scope, value) {
+    var feed = feedName(scope, value);
+    var webcalURL = ICS.feedURL(feed, true);
+    var googleURL = 'https://calendar.google.com/calendar/render?cid=' + encodeURIComponent(webcalURL);
+    var count = feedEvents(scope, value).length;
+
+    var h = '<div class="cal-dropdown">';
+    h += '<div class="cal-dropdown-title">Subscribe &middot; updates automatically</div>';
+    h += '<a href="' + escapeHTML(webcalURL) + '" class="cal-link" onclick="_trackCal(\'Subscribe_Webcal\')"><span class="cal-icon cal-ics">' + calendarIcon + '</span> Apple / Outlook</a>';
+    h += '<a href="' + escapeHTML(googleURL) + '" target="_blank" rel="noopener" class="cal-link" onclick="_trackCal(\'Subscribe_Google\')"><span class="cal-icon cal-google">G</span> Google Calendar</a>';
+    h += '<div class="cal-dropdown-title">Download once</div>';
+    h += '<a href="#" class="cal-link" onclick="return _downloadICS(this, \'' + scope + '\')"><span class="cal-icon cal-ics">' + downloadIcon + '</span> ' + count + ' event' + (count !== 1 ? 's' : '') + ' (.ics)</a>';
+    if (scope === 'all') {
+      var viewCount = feedEvents('view').length;
+      h += '<a href="#" class="cal-link" onclick="return _downloadICS(this, \'view\')"><span class="cal-icon cal-ics">' + downloadIcon + '</span> This view: ' + viewCount + ' event' + (viewCount !== 1 ? 's' : '') + ' (.ics)</a>';
+    }
+    h += '</div>';
+    return h;
+  }
+
+  /**
+   * Save text as a file through a temporary object-URL link.
+   * @param {string} name - File name
+   * @param {string} text - File contents
+   * @param {string} type - MIME type
+   */
+  function downloadFile(name, text, type) {
+    var a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type: type }));
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function () { URL.revokeObjectURL(a.href); }, 1000);
+  }
+
+  /**
+   * Download a multi-event .ics for a feed dropdown's scope.
+   * Returns false so the "#" link does not navigate.
+   */
+  window._downloadICS = function (link, scope) {
+    var container = link.closest('.cal-action');
+    var value = container.getAttribute('data-value') || '';
+    var events = feedEvents(scope, value);
+    var name = scope === 'all' || scope === 'view' ? 'Park City at the 2026 Winter Olympics' : value + ' — 2026 Winter Olympics';
+    var ics = ICS.buildCalendar(events, { name: name, zone: Time.getZone() });
+    downloadFile((scope === 'view' ? 'park-city-view' : feedName(scope, value)) + '.ics', ics, 'text/calendar;charset=utf-8');
+    track('calendar_download', { scope: scope, events: events.length });
+    container.classList.remove('open');
+    return false;
+  };
+
   window._toggleEvent = function (card) {
     card.classList.toggle('expanded');
-    if (card.classList.contains('expanded')) {
+    // The share buttons share the card last opened
+    var key = card.getAttribute('data-key');
+    if (!card.classList.contains('expanded')) {
+      if (shareEventKey === key) shareEventKey = '';
+    } else {
+      shareEventKey = key;
       var name = card.querySelector('.event-name-inline');
       var sport = card.querySelector('.event-sport-label');
       track('event_expand', {
@@ -363,19 +546,34 @@
     var allOpen = document.querySelectorAll('.cal-action.open');
     for (var i = 0; i < allOpen.length; i++) allOpen[i].classList.remove('open');
     if (!wasOpen) {
-      // Lazy-build the dropdown on first open
-      if (!container.querySelector('.cal-dropdown')) {
-        var idx = parseInt(container.getAttribute('data-evt-idx'), 10);
-        if (!isNaN(idx) && _renderedEvents[idx]) {
-          var dropdown = buildCalendarHTML(_renderedEvents[idx]);
-          container.insertAdjacentHTML('beforeend', dropdown);
-        }
-      }
-      container.classList.add('open');
+      openCalDropdown(container);
       track('calendar_open');
     }
   };
 
+  /**
+   * Build (if needed) and show a calendar dropdown.
+   * @param {HTMLElement} container - .cal-action element
+   */
+  function openCalDropdown(container) {
+    // Feed dropdowns show live counts, so rebuild them on every open
+    if (container.hasAttribute('data-scope')) {
+      var old = container.querySelector('.cal-dropdown');
+      if (old) container.removeChild(old);
+      container.insertAdjacentHTML('beforeend', buildFeedDropdown(
+        container.getAttribute('data-scope'), container.getAttribute('data-value')));
+    }
+    // Lazy-build the dropdown on first open
+    if (!container.querySelector('.cal-dropdown')) {
+      var idx = parseInt(container.getAttribute('data-evt-idx'), 10);
+      if (!isNaN(idx) && _renderedEvents[idx]) {
+        var dropdown = buildCalendarHTML(_renderedEvents[idx]);
+        container.insertAdjacentHTML('beforeend', dropdown);
+      }
+    }
+    container.classList.add('open');
+  }
+
   // =====================================================================
   // Display Formatting
   // =====================================================================
@@ -397,38 +595,185 @@
   }
 
   /**
-   * Format time string to local timezone.
-   * Input is expected as HH:MM in CET (UTC+1) since games are in Italy.
+   * Format an event's start time in the viewer's zone, e.g. "3:30 AM MST".
+   * Event times are venue-local (Italy); time.js converts via IANA rules.
+   * @param {Object} evt - Event with start (or date + time)
+   * @returns {string} Display time, or 'TBD' if the event has no time
    */
-  function formatTime(timeStr, dateStr) {
-    if (!timeStr) return 'TBD';
+  function formatTime(evt) {
+    var start = Time.eventStart(evt);
+    if (!start) return 'TBD';
     try {
-      // Parse as CET (Italy time)
-      var isoStr = (dateStr || '2026-02-06') + 'T' + timeStr + ':00+01:00';
-      var d = new Date(isoStr);
-      if (isNaN(d.getTime())) return timeStr;
-      return d.toLocaleTimeString(undefined, {
-        hour: 'numeric',
-        minute: '2-digit',
-        timeZoneName: 'short'
-      });
+      return Time.formatTime(start);
     } catch (e) {
-      return timeStr;
+      return evt.time || 'TBD';
+    }
+  }
+
+  /**
+   * Format an event's expected end in the viewer's zone for the card,
+   * e.g. "Ends 5:00 AM MST" or "Ends around 5:00 AM MST (estimate)".
+   * @param {Object} evt - Event with start and duration (minutes)
+   * @returns {string} Display text, or '' if the event has no start time
+   */
+  function formatEndTime(evt) {
+    var start = Time.eventStart(evt);
+    if (!start || !evt.duration) return '';
+    var end = Time.formatTime(new Date(start.getTime() + evt.duration * 60 * 1000));
+    return evt.durationEstimated ? 'Ends around ' + end + ' (estimate)' : 'Ends ' + end;
+  }
+
+  /**
+   * Format a broadcast entry's start in the viewer's zone, e.g. "7:00 PM MST".
+   * @param {Object} b - Broadcast entry with a start ISO instant
+   * @returns {string} Display time, or '' if the entry has no time
+   */
+  function formatBroadcastTime(b) {
+    if (!b || !b.start) return '';
+    return Time.formatTime(new Date(b.start));
+  }
+
+  // =====================================================================
+  // Rounds & Progress
+  // =====================================================================
+
+  /**
+   * All rounds of the event's competition, in running order.
+   * @param {Object} evt - Matched event
+   * @returns {Object[]} Rounds (just [evt] for single-round events)
+   */
+  function competitionRounds(evt) {
+    var comp = competitions[evt.competition];
+    return comp ? comp.rounds : [evt];
+  }
+
+  /**
+   * An athlete's progress through the event's competition, from results.
+   * @param {Object} evt - Matched event
+   * @param {string} name - Athlete name
+   * @returns {{ state: string, text: string, round: Object }|null}
+   */
+  function athleteProgress(evt, name) {
+    var rounds = competitionRounds(evt);
+    return rounds.length > 1 ? Results.roundProgress(rounds, name) : null;
+  }
+
+  /**
+   * Progress pill for an athlete tag or row, e.g. "Eliminated in qualification".
+   * @param {Object|null} progress - From athleteProgress()
+   * @returns {string} HTML string ('' when there is no progress to show)
+   */
+  function buildProgressHTML(progress) {
+    if (!progress) return '';
+    return '<span class="athlete-progress ' + progress.state + '">' + escapeHTML(progress.text) + '</span>';
+  }
+
+  /**
+   * Round-by-round list for an expanded card, current round highlighted.
+   * @param {Object} evt - Matched event
+   * @returns {string} HTML string ('' for single-round events)
+   */
+  function buildRoundsHTML(evt) {
+    var rounds = competitionRounds(evt);
+    if (rounds.length < 2) return '';
+    var html = '<div class="event-rounds"><span class="rounds-label">Rounds</span><ol class="rounds-list">';
+    rounds.forEach(function (r) {
+      var cls = 'round-item';
+      if (r === evt) cls += ' current';
+      if (r.consolation) cls += ' consolation';
+      html += '<li class="' + cls + '">';
+      html += '<span class="round-name">' + escapeHTML(r.round || r.event) + '</span>';
+      html += '<span class="round-when">' + escapeHTML(formatDate(r.date) + ' ' + formatTime(r)) + '</span>';
+      html += '</li>';
+    });
+    html += '</ol></div>';
+    return html;
+  }
+
+  // =====================================================================
+  // Schedule Changes
+  // =====================================================================
+
+  /**
+   * Describe one change for a badge or the changes panel, in the viewer's
+   * zone: "Moved from 3:30 AM to 5:00 AM MST", "Moved from Sat, Feb 7 to
+   * Sun, Feb 8", "Postponed".
+   * @param {Object} change - From Schedule.applyChangeLog() (evt.changes)
+   * @returns {string}
+   */
+  function changeText(change) {
+    if (change.field === 'time') {
+      if (!change.toStart) return 'Time now TBD';
+      var from = new Date(change.fromStart);
+      var to = new Date(change.toStart);
+      // Drop the zone from the first time when both share it ("3:30 AM to 5:00 AM MST")
+      var fromText = Time.zoneAbbr(from) === Time.zoneAbbr(to)
+        ? Time.formatClock(from)
+        : Time.formatTime(from);
+      return 'Moved from ' + fromText + ' to ' + Time.formatTime(to);
     }
+    if (change.field === 'date') {
+      return 'Moved from ' + formatDate(change.from) + ' to ' + formatDate(change.to);
+    }
+    if (change.field === 'venue') {
+      return 'Venue changed to ' + change.to;
+    }
+    if (change.to === 'upcoming') return 'Back on the schedule';
+    return change.to.charAt(0).toUpperCase() + change.to.slice(1);
+  }
+
+  /**
+   * Change badges for a card's summary row.
+   * @param {Object} evt - Matched event
+   * @returns {string} HTML string ('' when nothing changed recently)
+   */
+  function buildChangeBadges(evt) {
+    return (evt.changes || []).map(function (change) {
+      return '<span class="change-badge change-' + change.field + '">' + escapeHTML(changeText(change)) + '</span>';
+    }).join('');
   }
 
   /**
-   * Format broadcast time (HH:MM in MT) to display format like "6:00 PM MT".
+   * Render the collapsible "Schedule changes" panel above the schedule:
+   * every recent change to a Park City event, newest first.
    */
-  function formatBroadcastTime(timeStr) {
-    if (!timeStr) return 'Stream';
-    var parts = timeStr.split(':');
-    var h = parseInt(parts[0], 10);
-    var m = parts[1] || '00';
-    var ampm = h >= 12 ? 'PM' : 'AM';
-    if (h === 0) h = 12;
-    else if (h > 12) h -= 12;
-    return h + ':' + m + ' ' + ampm + ' MT';
+  function renderChangesPanel() {
+    var panel = document.getElementById('changes-panel');
+    if (!panel) return;
+
+    var items = [];
+    allEvents.forEach(function (evt) {
+      (evt.changes || []).forEach(function (change) {
+        items.push({ evt: evt, change: change });
+      });
+    });
+    if (items.length === 0) {
+      panel.classList.add('hidden');
+      return;
+    }
+    items.sort(function (a, b) {
+      return b.change.detectedAt.localeCompare(a.change.detectedAt);
+    });
+
+    var wasOpen = !!panel.querySelector('details[open]');
+    var html = '<details class="changes-details"' + (wasOpen ? ' open' : '') + '>';
+    html += '<summary class="changes-summary">Schedule changes <span class="changes-count">' + items.length + '</span></summary>';
+    html += '<ul class="changes-list">';
+    items.forEach(function (item) {
+      var evt = item.evt;
+      html += '<li class="changes-item">';
+      html += '<span class="changes-event">' + escapeHTML(evt.sport + ': ' + (evt.event || evt.discipline || '')) + '</span>';
+      html += '<span class="changes-when">' + escapeHTML(formatDate(eventDay(evt)) + ' ' + formatTime(evt)) + '</span>';
+      html += '<span class="change-badge change-' + item.change.field + '">' + escapeHTML(changeText(item.change)) + '</span>';
+      html += '</li>';
+    });
+    html += '</ul></details>';
+    panel.innerHTML = html;
+    panel.classList.remove('hidden');
+
+    panel.querySelector('details').addEventListener('toggle', function () {
+      if (this.open) track('changes_panel_open', { changes: items.length });
+    });
   }
 
   // =====================================================================
@@ -436,47 +781,134 @@
   // =====================================================================
 
   /**
-   * Apply all active filters (past events, search) and sort the event list.
-   * Returns a new array — does not mutate allEvents.
+   * The search box's query, read by Search.parse() (again when the day
+   * changes, for date:today) and checked against the loaded events for
+   * which words need typo matching (again when they reload).
+   * @returns {?Object} null when the box is empty
    */
-  function getFilteredEvents() {
+  function currentSearch() {
+    if (!searchQuery) return null;
+    var today = getTodayStr();
+    if (!parsedSearch || parsedSearch.text !== searchQuery || parsedSearch.today !== today ||
+        parsedSearch.events !== allEvents) {
+      parsedSearch = Search.resolveTypos(Search.parse(searchQuery, { today: today }),
+        allEvents.map(function (evt) { return searchDoc(evt); }));
+      parsedSearch.text = searchQuery;
+      parsedSearch.today = today;
+      parsedSearch.events = allEvents;
+    }
+    return parsedSearch;
+  }
+
+  /**
+   * What search sees of an event (see Search.matches()).
+   * @param {Object} evt
+   * @param {string[]} [names] - Athletes to search on (default: all the
+   *   event's; the athlete view passes just the row's athlete)
+   * @returns {Object}
+   */
+  function searchDoc(evt, names) {
+    names = names || evt.athletes.map(function (a) { return a.name; });
+    var status = evt.status === 'cancelled' || evt.status === 'postponed' ? evt.status
+      : isOnNow(evt, Date.now()) ? 'live'
+      : hasStarted(evt) ? 'final' : 'upcoming';
+    return {
+      athlete: names,
+      sport: [evt.sport],
+      event: [evt.event, evt.discipline, evt.round],
+      network: (evt.broadcast || []).map(function (b) { return b.network; }),
+      date: [eventDay(evt)],
+      medal: names.map(function (name) {
+        return evt.results && evt.results[name] ? evt.results[name].medal : '';
+      }).filter(Boolean),
+      status: [status]
+    };
+  }
+
+  /**
+   * Text with the parts the search matched in <mark>, escaped.
+   * @param {string} text
+   * @param {string} field - 'athlete' | 'sport' | 'event' | 'network'
+   * @param {Object} [query] - From Search.parse() (default: the search box's)
+   * @returns {string} HTML
+   */
+  function highlightText(text, field, query) {
+    query = query || currentSearch();
+    if (!query || !text) return escapeHTML(text);
+    var html = '';
+    var pos = 0;
+    Search.highlight(text, query, field).forEach(function (r) {
+      html += escapeHTML(text.slice(pos, r.start)) + '<mark class="search-hit">' + escapeHTML(text.slice(r.start, r.end)) + '</mark>';
+      pos = r.end;
+    });
+    return html + escapeHTML(text.slice(pos));
+  }
+
+  /**
+   * The "no results" advice: what in the query couldn't be read, if
+   * anything.
+   * @returns {string} HTML
+   */
+  function noResultsHint() {
+    var query = currentSearch();
+    if (query && query.errors.length) {
+      return query.errors.map(function (err) { return '<p>' + escapeHTML(err) + '</p>'; }).join('');
+    }
+    return '<p>Try adjusting your filters or search terms.</p>';
+  }
+
+  /**
+   * Events left after the past-events toggle and the search box, before
+   * facets and sorting. Also the base the facet counts are taken from.
+   * @returns {Object[]}
+   */
+  function getSearchedEvents() {
     var events = allEvents;
 
-    // Hide past events unless toggled on
-    if (!showPast) {
+    // Hide past events unless toggled on (the calendar grid mutes them instead)
+    if (!showPast && currentSort !== 'calendar') {
       var today = getTodayStr();
       events = events.filter(function (evt) {
-        return (evt.date || '') >= today;
+        return eventDay(evt) >= today;
       });
     }
 
     // Search
-    if (searchQuery) {
-      var q = searchQuery.toLowerCase();
+    var query = currentSearch();
+    if (query) {
       events = events.filter(function (evt) {
-        if (evt.sport.toLowerCase().indexOf(q) !== -1) return true;
-        if (evt.event.toLowerCase().indexOf(q) !== -1) return true;
-        if ((evt.discipline || '').toLowerCase().indexOf(q) !== -1) return true;
-        if (evt.athletes.some(function (a) {
-          return a.name.toLowerCase().indexOf(q) !== -1;
-        })) return true;
-        return (evt.broadcast || []).some(function (b) {
-          return b.network.toLowerCase().indexOf(q) !== -1;
-        });
+        return Search.matches(searchDoc(evt), query);
       });
     }
 
+    return events;
+  }
+
+  /**
+   * Apply all active filters (past events, search, facets) and sort the
+   * event list. Returns a new array — does not mutate allEvents.
+   */
+  function getFilteredEvents() {
+    var events = getSearchedEvents();
+
+    if (FACET_VIEWS[currentSort] && hasFacetFilters()) {
+      events = events.filter(function (evt) { return eventPasses(evt); });
+    }
+
+    // Following view: only events with a followed athlete
+    if (currentSort === 'following') {
+      events = events.filter(followsEvent);
+    }
+
     // Sort
     events = events.slice().sort(function (a, b) {
-      if (currentSort === 'date') {
-        var dc = (a.date || '').localeCompare(b.date || '');
-        if (dc !== 0) return dc;
-        return (a.time || '').localeCompare(b.time || '');
+      if (currentSort === 'date' || currentSort === 'following') {
+        return compareStart(a, b);
       }
       if (currentSort === 'sport') {
         var sc = (a.sport || '').localeCompare(b.sport || '');
         if (sc !== 0) return sc;
-        return (a.date || '').localeCompare(b.date || '');
+        return eventDay(a).localeCompare(eventDay(b));
       }
       if (currentSort === 'athlete') {
         var nameA = a.athletes[0] ? a.athletes[0].name : '';
@@ -490,7 +922,7 @@
   }
 
   /**
-   * Group events by date, sport, or athlete.
+   * Group events by date (date and following views), sport, or athlete.
    */
   function groupEvents(events) {
     var groups = {};
@@ -508,20 +940,15 @@
           groups[key].push(evt);
         });
       });
-      // Sort events within each athlete by date then time
+      // Sort events within each athlete by start
       Object.keys(groups).forEach(function (key) {
-        groups[key].sort(function (a, b) {
-          var dc = (a.date || '').localeCompare(b.date || '');
-          if (dc !== 0) return dc;
-          return (a.time || '').localeCompare(b.time || '');
-        });
+        groups[key].sort(compareStart);
       });
       return groups;
     }
 
-    var groupKey = currentSort === 'sport' ? 'sport' : 'date';
     events.forEach(function (evt) {
-      var key = evt[groupKey] || 'Unknown';
+      var key = (currentSort === 'sport' ? evt.sport : eventDay(evt)) || 'Unknown';
       if (!groups[key]) groups[key] = [];
       groups[key].push(evt);
     });
@@ -529,6 +956,239 @@
     return groups;
   }
 
+  // =====================================================================
+  // Facet Filters
+  // =====================================================================
+
+  /** @type {RegExp} Program values that mean "none given" */
+  var NO_PROGRAM = /^(not indicated|n\/a|none)?$/i;
+
+  /** @type {Object} Roster gender → chip label */
+  var GENDER_LABELS = { M: 'Men', F: 'Women' };
+
+  /**
+   * Multi-select filter chips. Each facet reads its values off an
+   * (event, athlete) pair. Chips within a facet are OR'd, facets are
+   * AND'd, and an event shows when one of its athletes passes every
+   * facet, so "Wasatch Freestyle" + "CAN" means the same athlete.
+   * Selections are value slugs, kept in the hash:
+   * #date?program=wasatch-freestyle&country=can
+   * @type {Object[]}
+   */
+  var FACETS = [
+    { key: 'sport', label: 'Sport', values: function (evt) { return [evt.sport]; } },
+    {
+      key: 'program', label: 'Program', values: function (evt, ath) {
+        return (ath.program || '').split(';').map(function (p) { return p.trim(); })
+          .filter(function (p) { return !NO_PROGRAM.test(p); });
+      }
+    },
+    { key: 'country', label: 'Country', values: function (evt, ath) { return [ath.country || 'USA']; } },
+    {
+      key: 'gender', label: 'Gender', values: function (evt, ath) {
+        if (GENDER_LABELS[ath.gender]) return [GENDER_LABELS[ath.gender]];
+        return evt.eventGender === 'men' ? ['Men'] : evt.eventGender === 'women' ? ['Women'] : [];
+      }
+    },
+    {
+      key: 'connection', label: 'Connection', values: function (evt, ath) {
+        return [ath.isParkCity ? 'Park City' : 'Wider Utah'];
+      }
+    },
+    {
+      key: 'network', label: 'Network', values: function (evt) {
+        return (evt.broadcast || []).map(function (b) { return b.network; });
+      }
+    }
+  ];
+
+  /** @type {Object} Value → slug, so counting doesn't re-slug every pair */
+  var _slugCache = {};
+  function valueSlug(value) {
+    if (!_slugCache[value]) _slugCache[value] = Strings.slugify(value);
+    return _slugCache[value];
+  }
+
+  function hasFacetFilters() {
+    return FACETS.some(function (f) { return facetSelection[f.key]; });
+  }
+
+  /**
+   * Whether an (event, athlete) pair passes every facet.
+   * @param {Object} evt
+   * @param {Object} ath
+   * @param {string} [skipKey] - Facet to leave out (for that facet's counts)
+   * @returns {boolean}
+   */
+  function pairPasses(evt, ath, skipKey) {
+    return FACETS.every(function (f) {
+      var selected = facetSelection[f.key];
+      if (!selected || f.key === skipKey) return true;
+      return f.values(evt, ath).some(function (v) { return selected[valueSlug(v)]; });
+    });
+  }
+
+  function eventPasses(evt, skipKey) {
+    return evt.athletes.some(function (ath) { return pairPasses(evt, ath, skipKey); });
+  }
+
+  /**
+   * Facet part of the hash ('' when nothing is selected), facets in
+   * FACETS order so the same filters always give the same URL.
+   * @returns {string}
+   */
+  function facetQuery() {
+    var parts = [];
+    FACETS.forEach(function (f) {
+      if (facetSelection[f.key]) parts.push(f.key + '=' + Object.keys(facetSelection[f.key]).sort().join(','));
+    });
+    return parts.length ? '?' + parts.join('&') : '';
+  }
+
+  /**
+   * Set facetSelection from the hash query. Unknown facets and values
+   * that aren't slugs are dropped.
+   * @returns {boolean} Whether the selection changed
+   */
+  function readFacets() {
+    var before = facetQuery();
+    var query = window.location.hash.toLowerCase().split('?')[1] || '';
+    facetSelection = {};
+    query.split('&').forEach(function (part) {
+      var eq = part.indexOf('=');
+      var key = part.slice(0, eq);
+      if (eq < 1 || !FACETS.some(function (f) { return f.key === key; })) return;
+      part.slice(eq + 1).split(',').forEach(function (slug) {
+        if (!/^[a-z0-9-]+$/.test(slug)) return;
+        facetSelection[key] = facetSelection[key] || {};
+        facetSelection[key][slug] = true;
+      });
+    });
+    return facetQuery() !== before;
+  }
+
+  /**
+   * Render the collapsible filter panel with live counts.
+   * Counts are units (events, or athletes in the athlete view) that would
+   * show with the chip on, given every other facet, the search and the
+   * past toggle. Chips come from every event, so they don't disappear as
+   * filters narrow; a selected value no event has still shows so it can
+   * be turned off.
+   *
+   * @param {Object[][]} units - Per event/athlete, its { evt, ath } pairs
+   * @param {string} noun - 'event' or 'athlete'
+   */
+  function renderFacetPanel(units, noun) {
+    var panel = document.getElementById('facet-panel');
+    if (!panel) return;
+
+    var labels = {};
+    var counts = {};
+    FACETS.forEach(function (f) {
+      labels[f.key] = {};
+      counts[f.key] = {};
+      allEvents.forEach(function (evt) {
+        evt.athletes.forEach(function (ath) {
+          f.values(evt, ath).forEach(function (v) { labels[f.key][valueSlug(v)] = v; });
+        });
+      });
+      Object.keys(facetSelection[f.key] || {}).forEach(function (slug) {
+        if (!labels[f.key][slug]) labels[f.key][slug] = slug;
+      });
+      units.forEach(function (pairs) {
+        var seen = {};
+        pairs.forEach(function (p) {
+          if (!pairPasses(p.evt, p.ath, f.key)) return;
+          f.values(p.evt, p.ath).forEach(function (v) {
+            var slug = valueSlug(v);
+            if (seen[slug]) return;
+            seen[slug] = true;
+            counts[f.key][slug] = (counts[f.key][slug] || 0) + 1;
+          });
+        });
+      });
+    });
+
+    var active = 0;
+    FACETS.forEach(function (f) { active += Object.keys(facetSelection[f.key] || {}).length; });
+    var shown = units.filter(function (pairs) {
+      return pairs.some(function (p) { return pairPasses(p.evt, p.ath); });
+    }).length;
+
+    var wasOpen = !!panel.querySelector('details[open]') || (active > 0 && !panel.querySelector('details'));
+    var html = '<details class="facet-details"' + (wasOpen ? ' open' : '') + '>';
+    html += '<summary class="facet-summary">Filter athletes &amp; events';
+    if (active > 0) {
+      html += ' <span class="facet-active-count">' + active + '</span>' +
+        '<span class="facet-shown">' + shown + ' of ' + units.length + ' ' + noun + 's</span>';
+    }
+    html += '</summary>';
+    FACETS.forEach(function (f) {
+      var slugs = Object.keys(labels[f.key]).sort(function (a, b) {
+        return labels[f.key][a].localeCompare(labels[f.key][b]);
+      });
+      if (slugs.length === 0) return;
+      html += '<div class="facet-group" role="group" aria-label="' + escapeHTML(f.label) + '">';
+      html += '<span class="facet-label">' + escapeHTML(f.label) + '</span>';
+      slugs.forEach(function (slug) {
+        var selected = !!(facetSelection[f.key] && facetSelection[f.key][slug]);
+        var count = counts[f.key][slug] || 0;
+        html += '<button type="button" class="facet-chip' + (selected ? ' active' : '') + '"' +
+          ' data-facet="' + f.key + '" data-value="' + slug + '" aria-pressed="' + selected + '"' +
+          (count === 0 && !selected ? ' disabled' : '') +
+          ' title="' + count + ' ' + noun + (count !== 1 ? 's' : '') + '"' +
+          ' onclick="_toggleFacet(\'' + f.key + '\',\'' + slug + '\')">' +
+          escapeHTML(labels[f.key][slug]) + ' <span class="facet-count">' + count + '</span></button>';
+      });
+      html += '</div>';
+    });
+    if (active > 0) {
+      html += '<button type="button" class="facet-clear" onclick="_clearFacets()">Clear filters</button>';
+    }
+    html += '</details>';
+    panel.innerHTML = html;
+    panel.classList.remove('hidden');
+  }
+
+  /** Pairs for each event, for renderFacetPanel(). */
+  function eventUnits(events) {
+    return events.map(function (evt) {
+      return evt.athletes.map(function (ath) { return { evt: evt, ath: ath }; });
+    });
+  }
+
+  /** Keep the filters in the hash without adding a history entry per chip. */
+  function syncFacetHash() {
+    if (FACET_VIEWS[currentSort]) history.replaceState(null, '', viewHash(currentSort));
+  }
+
+  window._toggleFacet = function (key, slug) {
+    var selected = facetSelection[key] || {};
+    if (selected[slug]) {
+      delete selected[slug];
+    } else {
+      selected[slug] = true;
+    }
+    if (Object.keys(selected).length) {
+      facetSelection[key] = selected;
+    } else {
+      delete facetSelection[key];
+    }
+    syncFacetHash();
+    track('facet_filter', { facet: key, value: slug, selected: !!selected[slug] });
+    render();
+    // Re-rendering replaced the chip; keep keyboard focus on it
+    var chip = document.querySelector('.facet-chip[data-facet="' + key + '"][data-value="' + slug + '"]');
+    if (chip) chip.focus();
+  };
+
+  window._clearFacets = function () {
+    facetSelection = {};
+    syncFacetHash();
+    track('facet_filter_clear');
+    render();
+  };
+
   // =====================================================================
   // DOM Rendering
   // =====================================================================
@@ -549,29 +1209,87 @@
     var container = document.getElementById('schedule-container');
     var controlsEl = document.getElementById('controls');
 
+    if (!/^(athlete|event)\/|^recap/.test(currentSort)) document.title = baseTitle;
+    if (!FACET_VIEWS[currentSort]) document.getElementById('facet-panel').classList.add('hidden');
+
     // Medals page — special view, bypass normal rendering
     if (currentSort === 'medals') {
       renderMedalsPage(container);
       return;
     }
 
-    var events = getFilteredEvents();
-    _renderedEvents = events;
+    // Roster matching report — not linked from the page, for editors
+    if (currentSort === 'debug/matching') {
+      renderMatchingReport(container);
+      return;
+    }
 
-    if (events.length === 0) {
-      container.innerHTML =
-        '<div class="no-results">' +
-        '<h3>No events found</h3>' +
-        '<p>Try adjusting your filters or search terms.</p>' +
-        '</div>';
+    // Results entry — not linked from the page, for the content team
+    if (currentSort === 'admin/results') {
+      renderResultsEditor(container);
       return;
     }
 
-    var groups = groupEvents(events);
-    var html = '';
-    var todayStr = getTodayStr();
+    // Athlete profile (#athlete/<slug>)
+    if (currentSort.indexOf('athlete/') === 0) {
+      renderAthleteProfile(container, currentSort.slice('athlete/'.length));
+      return;
+    }
+
+    // Event page: podium and standings (#event/<id>)
+    if (currentSort.indexOf('event/') === 0) {
+      renderEventPage(container, currentSort.slice('event/'.length));
+      return;
+    }
+
+    // Now & Next dashboard (#now)
+    if (currentSort === 'now') {
+      renderNow(container);
+      return;
+    }
+
+    // Daily recap (#recap, #recap/<date>)
+    if (baseView(currentSort) === 'recap') {
+      renderRecap(container, currentSort.slice('recap/'.length));
+      return;
+    }
 
+    var events = getFilteredEvents();
+    _renderedEvents = events;
     var isAthleteView = currentSort === 'athlete';
+    var isFollowingView = currentSort === 'following';
+    if (FACET_VIEWS[currentSort] && !isAthleteView) renderFacetPanel(eventUnits(getSearchedEvents()), 'event');
+    var html = isFollowingView ? buildFollowingHeader() : '';
+
+    if (events.length === 0 && isFollowingView) {
+      if (following.length) {
+        html += '<div class="no-results"><h3>No upcoming events</h3>' +
+          '<p>None of the athletes you follow compete again' + (searchQuery ? ' matching your search' : '') + '.</p></div>';
+      }
+      container.innerHTML = html;
+      postHeight();
+      return;
+    }
+
+    // (The athlete view lists past events too, so it checks for itself)
+    if (events.length === 0 && !isAthleteView) {
+      container.innerHTML =
+        '<div class="no-results">' +
+        '<h3>No events found</h3>' +
+        noResultsHint() +
+        '</div>';
+      return;
+    }
+
+    // Calendar grid (#calendar)
+    if (currentSort === 'calendar') {
+      renderCalendar(container, events);
+      return;
+    }
+
+    var groups = groupEvents(events);
+    var todayStr = getTodayStr();
+
     var sortedKeys = Object.keys(groups);
     if (isAthleteView) sortedKeys.sort();
 
@@ -582,18 +1300,38 @@
       var allAthleteKeys = Object.keys(allAthleteGroups).sort();
       var today = getTodayStr();
 
-      // Apply search filter if active
-      if (searchQuery) {
-        var q = searchQuery.toLowerCase();
+      // Apply search filter if active: athletes with an event that
+      // matches, searched as theirs alone
+      var query = currentSearch();
+      if (query) {
         allAthleteKeys = allAthleteKeys.filter(function (key) {
-          if (key.toLowerCase().indexOf(q) !== -1) return true;
-          var info = athleteInfoMap[key] || {};
-          if ((info.sport || '').toLowerCase().indexOf(q) !== -1) return true;
           return allAthleteGroups[key].some(function (evt) {
-            return evt.event.toLowerCase().indexOf(q) !== -1 ||
-              (evt.discipline || '').toLowerCase().indexOf(q) !== -1;
+            return Search.matches(searchDoc(evt, [key]), query);
+          });
+        });
+      }
+
+      // Facets: each athlete keeps the events they pass the filters in
+      renderFacetPanel(allAthleteKeys.map(function (key) {
+        return allAthleteGroups[key].map(function (evt) { return { evt: evt, ath: athleteInfoMap[key] }; });
+      }), 'athlete');
+      if (hasFacetFilters()) {
+        allAthleteKeys.forEach(function (key) {
+          allAthleteGroups[key] = allAthleteGroups[key].filter(function (evt) {
+            return pairPasses(evt, athleteInfoMap[key]);
           });
         });
+        allAthleteKeys = allAthleteKeys.filter(function (key) { return allAthleteGroups[key].length > 0; });
+      }
+
+      if (allAthleteKeys.length === 0) {
+        container.innerHTML =
+          '<div class="no-results">' +
+          '<h3>No athletes found</h3>' +
+          noResultsHint() +
+          '</div>';
+        postHeight();
+        return;
       }
 
       // Split athletes into those with completed (past) events and upcoming
@@ -601,11 +1339,11 @@
       var upcomingAthletes = [];
       allAthleteKeys.forEach(function (key) {
         var evts = allAthleteGroups[key];
-        var hasCompleted = evts.some(function (e) { return isPastDate(e.date); });
+        var hasCompleted = evts.some(function (e) { return isPastDate(eventDay(e)); });
         if (hasCompleted) {
           completedAthletes.push(key);
         }
-        var hasUpcoming = evts.some(function (e) { return !isPastDate(e.date); });
+        var hasUpcoming = evts.some(function (e) { return !isPastDate(eventDay(e)); });
         if (hasUpcoming) {
           upcomingAthletes.push(key);
         }
@@ -617,25 +1355,9 @@
       if (completedAthletes.length > 0) {
         html += '<div class="athlete-section-header">Completed Events</div>';
         completedAthletes.forEach(function (key) {
-          var athInfo = athleteInfoMap[key] || {};
-          var country = athInfo.country && athInfo.country !== 'USA' ? ' (' + escapeHTML(athInfo.country) + ')' : '';
-          var evts = allAthleteGroups[key].filter(function (e) {
-            return isPastDate(e.date);
-          });
-          html += '<div class="athlete-completed-row">';
-          html += '<span class="athlete-completed-name">' + escapeHTML(key) + country + '</span>';
-          html += '<span class="athlete-completed-results">';
-          evts.forEach(function (evt, i) {
-            if (i > 0) html += '<span class="athlete-completed-sep">&middot;</span>';
-            html += '<span class="athlete-completed-event">' + escapeHTML(evt.event || evt.discipline || '') + '</span>';
-            if (evt.results && evt.results[key]) {
-              html += buildResultBadge(evt.results[key], true);
-            } else {
-              html += '<span class="result-badge-inline result-badge-pending">Pending Update</span>';
-            }
-          });
-          html += '</span>';
-          html += '</div>';
+          html += buildCompletedRow(athleteInfoMap[key] || { name: key }, allAthleteGroups[key].filter(function (e) {
+            return isPastDate(eventDay(e));
+          }));
         });
       }
 
@@ -646,20 +1368,23 @@
         upcomingAthletes.forEach(function (key) {
           var athInfo = athleteInfoMap[key] || {};
           var country = athInfo.country && athInfo.country !== 'USA' ? ' (' + escapeHTML(athInfo.country) + ')' : '';
-          var evts = allAthleteGroups[key].filter(function (e) { return !isPastDate(e.date); });
-          html += '<div class="athlete-row" onclick="_toggleAthlete(this)">';
+          var evts = allAthleteGroups[key].filter(function (e) { return !isPastDate(eventDay(e)); });
+          html += '<div class="athlete-row" data-key="' + escapeHTML(key) + '" onclick="_toggleAthlete(this)">';
           html += '<div class="athlete-row-header">';
-          html += '<span class="athlete-row-name">' + escapeHTML(key) + country + '</span>';
-          html += '<span class="athlete-row-sport">' + escapeHTML(athInfo.sport || '') + '</span>';
+          html += '<span class="athlete-row-name">' + highlightText(key, 'athlete') + country + followButton(key) + '</span>';
+          html += '<span class="athlete-row-sport">' + highlightText(athInfo.sport || '', 'sport') + '</span>';
           html += '<span class="athlete-row-count">' + evts.length + ' event' + (evts.length !== 1 ? 's' : '') + '</span>';
           html += '<span class="expand-toggle"></span>';
           html += '</div>';
           html += '<div class="athlete-row-events">';
+          html += '<div class="athlete-row-feed">' + athleteLink(key, 'Full profile &rsaquo;') +
+            buildFeedStub('athlete', key, 'Add all to calendar') + '</div>';
           evts.forEach(function (evt) {
             html += '<div class="athlete-event-item">';
-            html += '<span class="athlete-event-date">' + escapeHTML(formatDate(evt.date)) + '</span>';
-            html += '<span class="athlete-event-time">' + escapeHTML(formatTime(evt.time, evt.date)) + '</span>';
-            html += '<span class="athlete-event-name">' + escapeHTML(evt.event || evt.discipline || '') + '</span>';
+            html += '<span class="athlete-event-date">' + escapeHTML(formatDate(eventDay(evt))) + '</span>';
+            html += '<span class="athlete-event-time">' + escapeHTML(formatTime(evt)) + '</span>';
+            html += '<span class="athlete-event-name">' + highlightText(evt.event || evt.discipline || '', 'event') + '</span>';
+            html += buildProgressHTML(athleteProgress(evt, key));
             html += '</div>';
           });
           html += '</div>';
@@ -694,10 +1419,17 @@
       html += '<div class="' + groupClass + '" data-date="' + escapeHTML(key) + '">';
 
       var todayBadge = isToday ? '<span class="today-badge">Today</span>' : '';
-      html += '<h2 class="date-header">' + escapeHTML(groupLabel) + todayBadge + '</h2>';
+      if (currentSort === 'sport') {
+        html += '<div class="group-header-row"><h2 class="date-header">' + escapeHTML(groupLabel) + '</h2>' +
+          buildFeedStub('sport', key, 'Add sport') + '</div>';
+      } else {
+        html += '<h2 class="date-header">' + escapeHTML(groupLabel) + todayBadge +
+          (isPast || isToday ? '<a href="#recap/' + escapeHTML(key) + '" class="recap-link" onclick="return _openView(event, \'recap/' + escapeHTML(key) + '\')">Day recap &rsaquo;</a>' : '') +
+          '</h2>';
+      }
 
       // Collect unique athletes for this group (date or sport view)
-      if (currentSort === 'date' || currentSort === 'sport') {
+      if (!isAthleteView) {
         var seen = {};
         var dateAthletes = [];
         groups[key].forEach(function (evt) {
@@ -717,87 +1449,7 @@
       }
 
       groups[key].forEach(function (evt) {
-        var statusClass = '';
-        var statusBadge = '';
-        if (evt.status === 'live') {
-          statusClass = ' status-live';
-          statusBadge = '<span class="status-indicator live">Live</span>';
-        } else if (evt.status === 'completed') {
-          statusClass = ' status-completed';
-          statusBadge = '<span class="status-indicator completed">Final</span>';
-        }
-        var pastClass = isPastDate(evt.date) ? ' past-event' : '';
-
-        var athleteTags = '';
-        if (!isAthleteView) {
-          athleteTags = evt.athletes.map(function (a) {
-            var cls = a.isParkCity ? 'athlete-tag park-city' : 'athlete-tag';
-            var badge = a.isParkCity
-              ? ' <span class="badge">PC</span>'
-              : '';
-            var country = a.country && a.country !== 'USA'
-              ? ' (' + escapeHTML(a.country) + ')'
-              : '';
-            var resultBadge = '';
-            if (evt.results && evt.results[a.name]) {
-              resultBadge = buildResultBadge(evt.results[a.name], true);
-            }
-            return '<span class="' + cls + '">' +
-              escapeHTML(a.name) + country + badge + resultBadge +
-              '</span>';
-          }).join('');
-        }
-
-        var timeDisplay = formatTime(evt.time, evt.date);
-        var medalClass = evt.isMedalEvent ? ' medal-event' : '';
-        var evtIdx = evtIndexMap.get(evt) || 0;
-
-        // All events use unified collapsible card
-        html += '<div class="event-card' + medalClass + statusClass + pastClass + '" onclick="_toggleEvent(this)">';
-        if (isAthleteView || currentSort !== 'date') {
-          html += '<div class="event-time"><span class="event-date-label">' + escapeHTML(formatDate(evt.date)) + '</span>' + escapeHTML(timeDisplay) + statusBadge + '</div>';
-        } else {
-          html += '<div class="event-time">' + escapeHTML(timeDisplay) + statusBadge + '</div>';
-        }
-        html += '<div class="event-details">';
-        html += '<div class="event-summary">';
-        html += '<span class="event-name-inline">' + escapeHTML(evt.event || evt.discipline || '') + '</span>';
-        html += '<span class="event-sport-label">' + escapeHTML(evt.sport) + '</span>';
-        if (evt.results) {
-          var resultNames = Object.keys(evt.results);
-          for (var ri = 0; ri < resultNames.length; ri++) {
-            html += buildResultBadge(evt.results[resultNames[ri]]);
-          }
-        }
-        html += '<span class="expand-toggle"></span>';
-        html += '</div>';
-        html += '<div class="event-expanded">';
-        if (athleteTags) {
-          html += '<div class="event-athletes"><span class="athletes-label">Park City athletes qualified for this event (may not have advanced to finals):</span>' + athleteTags + '</div>';
-        }
-        if (evt.venue) {
-          html += '<div class="event-venue">' + escapeHTML(evt.venue) + '</div>';
-        }
-        if (evt.broadcast && evt.broadcast.length > 0) {
-          html += '<div class="event-broadcast">';
-          html += tvIcon + ' ';
-          evt.broadcast.forEach(function (b, i) {
-            if (i > 0) html += '<span class="broadcast-sep">|</span>';
-            html += '<span class="broadcast-entry">';
-            html += '<span class="broadcast-network">' + escapeHTML(b.network) + '</span> ';
-            if (b.time) {
-              html += '<span class="broadcast-time">' + formatBroadcastTime(b.time) + '</span> ';
-            }
-            var typeLabel = b.type === 'streaming' ? 'Stream' : b.type.charAt(0).toUpperCase() + b.type.slice(1);
-            html += '<span class="broadcast-type ' + escapeHTML(b.type) + '">' + escapeHTML(typeLabel) + '</span>';
-            html += '</span>';
-          });
-          html += '</div>';
-        }
-        html += '</div>'; // .event-expanded
-        html += '</div>'; // .event-details
-        html += buildCalendarStub(evtIdx);
-        html += '</div>'; // .event-card
+        html += buildEventCard(evt, evtIndexMap.get(evt) || 0, currentSort === 'sport');
       });
 
       html += '</div>';
@@ -814,6 +1466,153 @@
     postHeight();
   }
 
+  /**
+   * Collapsible event card: time and status, name and result badges,
+   * expanding to athletes, rounds, venue, end time and broadcasts, with
+   * an Add to Calendar button. Used by the list views and the calendar grid.
+   * @param {Object} evt - Matched event
+   * @param {number} evtIdx - Index in _renderedEvents (for the calendar dropdown)
+   * @param {boolean} [showDate] - Show the date above the time (sport view)
+   * @returns {string} HTML string
+   */
+  function buildEventCard(evt, evtIdx, showDate) {
+    var html = '';
+    var statusClass = '';
+    var statusBadge = '';
+    if (evt.status === 'live') {
+      statusClass = ' status-live';
+      statusBadge = '<span class="status-indicator live">Live</span>';
+    } else if (evt.status === 'completed') {
+      statusClass = ' status-completed';
+      statusBadge = '<span class="status-indicator completed">Final</span>';
+    } else if (evt.status === 'cancelled' || evt.status === 'postponed') {
+      statusClass = ' status-' + evt.status;
+      statusBadge = '<span class="status-indicator ' + evt.status + '">' +
+        (evt.status === 'cancelled' ? 'Cancelled' : 'Postponed') + '</span>';
+    }
+    var pastClass = isPastDate(eventDay(evt)) ? ' past-event' : '';
+
+    var athleteTags = evt.athletes.map(function (a) {
+      var cls = a.isParkCity ? 'athlete-tag park-city' : 'athlete-tag';
+      var badge = a.isParkCity
+        ? ' <span class="badge">PC</span>'
+        : '';
+      var country = a.country && a.country !== 'USA'
+        ? ' (' + escapeHTML(a.country) + ')'
+        : '';
+      var resultBadge = '';
+      if (evt.results && evt.results[a.name]) {
+        resultBadge = buildResultBadge(evt.results[a.name], true);
+      }
+      // Out in an earlier round → mute the tag on later rounds
+      var progress = athleteProgress(evt, a.name);
+      var rounds = competitionRounds(evt);
+      if (progress && progress.state === 'eliminated' &&
+          rounds.indexOf(evt) > rounds.indexOf(progress.round)) {
+        cls += ' eliminated';
+      }
+      return '<span class="' + cls + '">' +
+        athleteLink(a.name, highlightText(a.name, 'athlete')) + country + badge + followButton(a.name) + resultBadge + buildProgressHTML(progress) +
+        '</span>';
+    }).join('');
+
+    var timeDisplay = formatTime(evt);
+    var medalClass = evt.isMedalEvent ? ' medal-event' : '';
+
+    html += '<div class="event-card' + medalClass + statusClass + pastClass + '" data-key="' + escapeHTML(evt.key) + '" onclick="_toggleEvent(this)">';
+    if (showDate) {
+      html += '<div class="event-time"><span class="event-date-label">' + escapeHTML(formatDate(eventDay(evt))) + '</span>' + escapeHTML(timeDisplay) + statusBadge + '</div>';
+    } else {
+      html += '<div class="event-time">' + escapeHTML(timeDisplay) + statusBadge + '</div>';
+    }
+    html += '<div class="event-details">';
+    html += '<div class="event-summary">';
+    html += '<span class="event-name-inline">' + highlightText(evt.event || evt.discipline || '', 'event') + '</span>';
+    html += '<span class="event-sport-label">' + highlightText(evt.sport, 'sport') + '</span>';
+    html += buildChangeBadges(evt);
+    if (evt.results) {
+      var resultNames = Object.keys(evt.results).sort(function (a, b) {
+        return Results.compareResults(evt.results[a], evt.results[b]);
+      });
+      for (var ri = 0; ri < resultNames.length; ri++) {
+        html += buildResultBadge(evt.results[resultNames[ri]]);
+      }
+    }
+    html += '<span class="expand-toggle"></span>';
+    html += '</div>';
+    html += '<div class="event-expanded">';
+    if (athleteTags) {
+      html += '<div class="event-athletes"><span class="athletes-label">Park City athletes qualified for this event (may not have advanced to finals):</span>' + athleteTags + '</div>';
+    }
+    html += buildRoundsHTML(evt);
+    html += '<div class="event-page-link">' + eventLink(evt.id, evt.results || hasStarted(evt) ? 'Results &amp; standings &rsaquo;' : 'Event page &rsaquo;') + '</div>';
+    if (evt.venue) {
+      html += '<div class="event-venue">' + escapeHTML(evt.venue) + '</div>';
+    }
+    var endDisplay = formatEndTime(evt);
+    if (endDisplay) {
+      html += '<div class="event-end' + (evt.durationEstimated ? ' estimated' : '') + '">' + escapeHTML(endDisplay) + '</div>';
+    }
+    html += buildBroadcastHTML(evt);
+    html += '</div>'; // .event-expanded
+    html += '</div>'; // .event-details
+    html += buildCalendarStub(evtIdx);
+    html += '</div>'; // .event-card
+    return html;
+  }
+
+  /**
+   * Networks showing an event ("NBC 3:30 AM MST Live | Peacock Stream"),
+   * for the card and the event page.
+   * @param {Object} evt
+   * @returns {string} HTML, or '' without broadcasts
+   */
+  function buildBroadcastHTML(evt) {
+    if (!evt.broadcast || evt.broadcast.length === 0) return '';
+    var html = '<div class="event-broadcast">';
+    html += tvIcon + ' ';
+    evt.broadcast.forEach(function (b, i) {
+      if (i > 0) html += '<span class="broadcast-sep">|</span>';
+      html += '<span class="broadcast-entry">';
+      html += '<span class="broadcast-network">' + highlightText(b.network, 'network') + '</span> ';
+      if (b.start) {
+        html += '<span class="broadcast-time">' + escapeHTML(formatBroadcastTime(b)) + '</span> ';
+      }
+      var typeLabel = b.type === 'streaming' ? 'Stream' : b.type.charAt(0).toUpperCase() + b.type.slice(1);
+      html += '<span class="broadcast-type ' + escapeHTML(b.type) + '">' + escapeHTML(typeLabel) + '</span>';
+      html += '</span>';
+    });
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * One "Completed Events" row: the athlete and each past event with its
+   * result (or "Pending Update"). Used by the athlete and following views.
+   * @param {Object} ath - Athlete ({ name, country })
+   * @param {Object[]} evts - The athlete's past events, in date order
+   * @returns {string} HTML string
+   */
+  function buildCompletedRow(ath, evts) {
+    var key = ath.name;
+    var country = ath.country && ath.country !== 'USA' ? ' (' + escapeHTML(ath.country) + ')' : '';
+    var html = '<div class="athlete-completed-row">';
+    html += '<span class="athlete-completed-name">' + athleteLink(key, highlightText(key, 'athlete')) + country + followButton(key) + '</span>';
+    html += '<span class="athlete-completed-results">';
+    evts.forEach(function (evt, i) {
+      if (i > 0) html += '<span class="athlete-completed-sep">&middot;</span>';
+      html += '<span class="athlete-completed-event">' + highlightText(evt.event || evt.discipline || '', 'event') + '</span>';
+      if (evt.results && evt.results[key]) {
+        html += buildResultBadge(evt.results[key], true);
+      } else {
+        html += '<span class="result-badge-inline result-badge-pending">Pending Update</span>';
+      }
+    });
+    html += '</span>';
+    html += '</div>';
+    return html;
+  }
+
   /**
    * Scroll to today's date group, or the nearest future date if today has no events.
    */
@@ -875,21 +1674,169 @@
     });
   }
 
+  /** @type {Object.<string, string>} Autocomplete labels per field */
+  var SUGGEST_LABELS = { athlete: 'Athlete', sport: 'Sport', network: 'Network', medal: 'Medal', status: 'Status' };
+
+  /**
+   * Values autocomplete offers for a field, from the loaded schedule
+   * (athletes and sports when the term has no qualifier).
+   * @param {?string} field
+   * @returns {Object[]} { field, value }
+   */
+  function suggestCandidates(field) {
+    if (Search.VALUES[field]) {
+      return Search.VALUES[field].map(function (v) { return { field: field, value: v }; });
+    }
+    var seen = {};
+    var list = [];
+    function add(f, value) {
+      if (!value || seen[f + ':' + value]) return;
+      seen[f + ':' + value] = true;
+      list.push({ field: f, value: value });
+    }
+    allEvents.forEach(function (evt) {
+      if (!field || field === 'athlete') evt.athletes.forEach(function (a) { add('athlete', a.name); });
+      if (!field || field === 'sport') add('sport', evt.sport);
+      if (field === 'network') (evt.broadcast || []).forEach(function (b) { add('network', b.network); });
+    });
+    return list;
+  }
+
   /**
-   * Set up search input.
+   * Set up search input: the query (see search.js) runs 250ms after
+   * typing stops; the term being typed gets athlete, sport, network,
+   * medal and status suggestions.
    */
   function initSearch() {
     var input = document.getElementById('search-input');
+    var list = document.getElementById('search-suggest');
     var debounceTimer;
+    var suggestions = [];
+    var active = -1;
+
+    function runSearch() {
+      clearTimeout(debounceTimer);
+      searchQuery = input.value.trim();
+      if (searchQuery) {
+        track('search', { search_term: searchQuery });
+      }
+      render();
+    }
+
+    function hideSuggestions() {
+      suggestions = [];
+      active = -1;
+      list.innerHTML = '';
+      list.classList.add('hidden');
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    function showSuggestions() {
+      var term = Search.lastTerm(input.value);
+      if (!term.value || term.field === 'date' || term.field === 'event') return hideSuggestions();
+      var candidates = suggestCandidates(term.field);
+      var byValue = {};
+      candidates.forEach(function (c) { byValue[c.value] = c; });
+      suggestions = Search.suggest(term.value, candidates.map(function (c) { return c.value; }), 6).filter(function (value) {
+        return value.toLowerCase() !== term.value.toLowerCase();
+      }).map(function (value) { return byValue[value]; });
+      if (suggestions.length === 0) return hideSuggestions();
+
+      active = -1;
+      list.innerHTML = suggestions.map(function (s, i) {
+        return '<li id="search-option-' + i + '" class="search-option" role="option" data-index="' + i + '">' +
+          '<span class="search-option-value">' + highlightText(s.value, s.field, Search.parse(term.value)) + '</span>' +
+          '<span class="search-option-field">' + SUGGEST_LABELS[s.field] + '</span></li>';
+      }).join('');
+      list.classList.remove('hidden');
+      input.setAttribute('aria-expanded', 'true');
+      input.removeAttribute('aria-activedescendant');
+    }
+
+    function setActive(index) {
+      var options = list.querySelectorAll('.search-option');
+      if (!options.length) return;
+      active = (index + options.length) % options.length;
+      for (var i = 0; i < options.length; i++) {
+        options[i].classList.toggle('active', i === active);
+        options[i].setAttribute('aria-selected', i === active ? 'true' : 'false');
+      }
+      input.setAttribute('aria-activedescendant', 'search-option-' + active);
+    }
+
+    // Replace the term being typed: qualified as the suggestion's field
+    // unless the term already has a qualifier
+    function choose(index) {
+      var s = suggestions[index];
+      if (!s) return;
+      var term = Search.lastTerm(input.value);
+      input.value = input.value.slice(0, term.start) + Search.formatTerm(term.field ? null : s.field, s.value) + ' ';
+      hideSuggestions();
+      track('search_suggest', { field: s.field, value: s.value });
+      runSearch();
+      input.focus();
+    }
+
     input.addEventListener('input', function () {
+      showSuggestions();
       clearTimeout(debounceTimer);
-      debounceTimer = setTimeout(function () {
-        searchQuery = input.value.trim();
-        if (searchQuery) {
-          track('search', { search_term: searchQuery });
-        }
-        render();
-      }, 250);
+      debounceTimer = setTimeout(runSearch, 250);
+    });
+
+    input.addEventListener('keydown', function (e) {
+      if (!suggestions.length) return;
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        setActive(active + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter' && active !== -1) {
+        e.preventDefault();
+        choose(active);
+      } else if (e.key === 'Escape') {
+        hideSuggestions();
+      }
+    });
+
+    input.addEventListener('blur', hideSuggestions);
+
+    // mousedown, so the input keeps focus (no blur) while choosing
+    list.addEventListener('mousedown', function (e) {
+      var option = e.target.closest('.search-option');
+      if (!option) return;
+      e.preventDefault();
+      choose(parseInt(option.getAttribute('data-index'), 10));
+    });
+  }
+
+  /**
+   * Calendar button in the controls bar: subscribe to / download every
+   * Park City event, or download just the current view.
+   */
+  function initCalendarExport() {
+    var el = document.getElementById('cal-export');
+    if (el) el.innerHTML = buildFeedStub('all', '', 'Calendar');
+  }
+
+  /**
+   * Populate the time zone picker and re-render when it changes.
+   * The first option follows the browser's zone; the rest come from
+   * Time.ZONE_CHOICES (e.g. Pacific for family in California).
+   */
+  function initTimezone() {
+    var select = document.getElementById('tz-select');
+    if (!select) return;
+    var detected = Time.detectedZone();
+    var html = '<option value="">Your time (' + escapeHTML(Time.zoneAbbr(new Date(), detected)) + ')</option>';
+    Time.ZONE_CHOICES.forEach(function (c) {
+      html += '<option value="' + escapeHTML(c.zone) + '">' + escapeHTML(c.label) + '</option>';
+    });
+    select.innerHTML = html;
+    select.value = Time.hasChosenZone() ? Time.getZone() : '';
+
+    select.addEventListener('change', function () {
+      var zone = Time.setZone(select.value);
+      track('timezone_change', { timezone: zone });
+      render();
     });
   }
 
@@ -907,6 +1854,152 @@
     bar.className = 'status-bar hidden';
   }
 
+  // =====================================================================
+  // Live Updates
+  // =====================================================================
+
+  /** @type {number} Poll interval while a Park City event is running: 1 minute */
+  var LIVE_POLL_MS = 60 * 1000;
+
+  /** @type {number} Poll interval otherwise: 15 minutes */
+  var IDLE_POLL_MS = 15 * 60 * 1000;
+
+  /** @type {number} An event counts as running from 15 minutes before it starts... */
+  var LIVE_LEAD_MS = 15 * 60 * 1000;
+
+  /** @type {number} ...until 30 minutes after its expected end (results come in late) */
+  var LIVE_TAIL_MS = 30 * 60 * 1000;
+
+  /** @type {number|null} Pending poll timer */
+  var pollTimer = null;
+
+  /** @type {number} When the last poll started (epoch ms) */
+  var lastPollAt = 0;
+
+  /**
+   * Whether a Park City event is running (or about to), which is when
+   * statuses and results change.
+   * @returns {boolean}
+   */
+  function isLiveWindow() {
+    var now = Date.now();
+    return allEvents.some(function (evt) {
+      if (evt.status === 'live') return true;
+      var start = Time.eventStart(evt);
+      if (!start) return false;
+      var end = start.getTime() + (evt.duration || 120) * 60 * 1000;
+      return now >= start.getTime() - LIVE_LEAD_MS && now <= end + LIVE_TAIL_MS;
+    });
+  }
+
+  /** @returns {number} Current poll interval: 1 minute during live windows, else 15 */
+  function pollInterval() {
+    return isLiveWindow() ? LIVE_POLL_MS : IDLE_POLL_MS;
+  }
+
+  /**
+   * Wait for the next poll.
+   * @param {number} [delay] - Milliseconds (defaults to pollInterval())
+   */
+  function schedulePoll(delay) {
+    clearTimeout(pollTimer);
+    if (!CONFIG.SCHEDULE_ENDPOINT) return;
+    pollTimer = setTimeout(pollForUpdates, delay === undefined ? pollInterval() : delay);
+  }
+
+  /**
+   * Fetch the schedule (from the shared /api/events cache) and results,
+   * then update the page in place. Skipped while the tab is hidden; the
+   * visibilitychange handler catches up when it is shown again.
+   */
+  function pollForUpdates() {
+    if (document.hidden) return;
+    lastPollAt = Date.now();
+    var live = isLiveWindow();
+    Promise.all([
+      Schedule.refreshSchedule(),
+      Results.fetchResults(live ? LIVE_POLL_MS : undefined)
+    ]).then(function (results) {
+      var events = Schedule.matchScheduleToAthletes(results[0], roster);
+      if (events.length === 0) return;  // Keep what's showing rather than blank the page
+      fullSchedule = results[0];
+      allEvents = events;
+      Results.mergeResults(allEvents, results[1]);
+      competitions = Schedule.buildCompetitions(allEvents);
+      standingsRequested = false;  // An open event page fetches them again
+      refreshView();
+      track('live_update', { live: live });
+    }).catch(function (err) {
+      console.warn('Live update failed:', err.message);
+    }).then(function () { schedulePoll(); });
+  }
+
+  /**
+   * Re-render without disturbing the reader: expanded cards and athlete
+   * rows, the open calendar dropdown, the changes panel and the scroll
+   * position all survive. The search box is never re-rendered.
+   */
+  function refreshView() {
+    var container = document.getElementById('schedule-container');
+    var scrollY = window.pageYOffset;
+
+    // Rebuilding the results editor would pull the field out from under the cursor
+    if (currentSort === 'admin/results') {
+      renderChangesPanel();
+      renderMedalFooter();
+      return;
+    }
+
+    var expanded = {};
+    var nodes = container.querySelectorAll('.event-card.expanded, .athlete-row.expanded');
+    for (var i = 0; i < nodes.length; i++) expanded[nodes[i].getAttribute('data-key')] = true;
+
+    var openCal = container.querySelector('.cal-action.open');
+    var openCalKey = openCal ? calKey(openCal) : null;
+
+    render();
+    renderChangesPanel();
+    renderMedalFooter();
+
+    var items = container.querySelectorAll('.event-card, .athlete-row');
+    for (var j = 0; j < items.length; j++) {
+      if (expanded[items[j].getAttribute('data-key')]) items[j].classList.add('expanded');
+    }
+    if (openCalKey) {
+      var cals = container.querySelectorAll('.cal-action');
+      for (var k = 0; k < cals.length; k++) {
+        if (calKey(cals[k]) === openCalKey) openCalDropdown(cals[k]);
+      }
+    }
+
+    window.scrollTo(0, scrollY);
+    postHeight();
+  }
+
+  /**
+   * Identify a calendar button across re-renders: its feed, or the key of
+   * the event card it sits on.
+   * @param {HTMLElement} cal - .cal-action element
+   * @returns {string}
+   */
+  function calKey(cal) {
+    if (cal.hasAttribute('data-scope')) {
+      return cal.getAttribute('data-scope') + ':' + cal.getAttribute('data-value');
+    }
+    var card = cal.closest('.event-card');
+    return card ? card.getAttribute('data-key') : '';
+  }
+
+  /** Start polling, and catch up when a hidden tab becomes visible. */
+  function initLiveUpdates() {
+    lastPollAt = Date.now();
+    schedulePoll();
+    document.addEventListener('visibilitychange', function () {
+      if (document.hidden) return;
+      schedulePoll(Math.max(0, pollInterval() - (Date.now() - lastPollAt)));
+    });
+  }
+
   // =====================================================================
   // Initialization
   // =====================================================================
@@ -917,26 +2010,43 @@
    */
   function init() {
     // Read view from URL hash before anything renders
+    following = loadFollowing();
     var hashView = readHash();
     if (hashView) {
       currentSort = hashView;
+      if (FACET_VIEWS[hashView]) readFacets();
+      if (hashView === 'following') followImport = readFollowImport();
     } else {
       updateHash(currentSort);
     }
 
     initSort();
     syncSortButtons();
+    syncFollowCount();
     initSearch();
+    initTimezone();
+    initCalendarExport();
 
-    // Handle browser back/forward
-    window.addEventListener('popstate', function () {
+    // Handle browser back/forward (and hand-edited hashes)
+    function onHashChange() {
       var view = readHash() || 'date';
+      // Same view, but the filters changed or a share link was opened
+      var changed = FACET_VIEWS[view] && readFacets();
+      if (view === 'following' && readFollowImport()) {
+        followImport = readFollowImport();
+        changed = true;
+      }
       if (view !== currentSort) {
         currentSort = view;
         syncSortButtons();
         render();
+        if (view.indexOf('athlete/') === 0) scrollPageTop();
+      } else if (changed) {
+        render();
       }
-    });
+    }
+    window.addEventListener('popstate', onHashChange);
+    window.addEventListener('hashchange', onHashChange);
 
     // Mobile controls toggle
     var controlsEl = document.getElementById('controls');
@@ -962,34 +2072,11 @@
       for (var i = 0; i < allOpen.length; i++) allOpen[i].classList.remove('open');
     });
 
-    // Share buttons
-    var shareURL = 'https://utah2026.townlift.com/';
-    var shareTitle = 'Park City at the 2026 Winter Olympics';
-    var shareText = 'Track Park City athletes competing in Milano Cortina 2026';
-
-    document.getElementById('share-x').addEventListener('click', function () {
-      window.open('https://x.com/intent/tweet?url=' + encodeURIComponent(shareURL) + '&text=' + encodeURIComponent(shareText), '_blank', 'width=550,height=420');
-      track('share', { method: 'x' });
-    });
-
-    document.getElementById('share-fb').addEventListener('click', function () {
-      window.open('https://www.facebook.com/sharer/sharer.php?u=' + encodeURIComponent(shareURL), '_blank', 'width=550,height=420');
-      track('share', { method: 'facebook' });
-    });
-
-    document.getElementById('share-email').addEventListener('click', function () {
-      window.location.href = 'mailto:?subject=' + encodeURIComponent(shareTitle) + '&body=' + encodeURIComponent(shareText + '\n\n' + shareURL);
-      track('share', { method: 'email' });
-    });
-
-    document.getElementById('share-copy').addEventListener('click', function () {
-      var btn = this;
-      var toast = btn.querySelector('.copy-toast');
-      navigator.clipboard.writeText(shareURL).then(function () {
-        toast.classList.add('show');
-        setTimeout(function () { toast.classList.remove('show'); }, 1500);
+    // Share buttons: whatever is open (see shareContent())
+    [['share-x', 'x'], ['share-fb', 'facebook'], ['share-email', 'email'], ['share-copy', 'copy_link']].forEach(function (pair) {
+      document.getElementById(pair[0]).addEventListener('click', function () {
+        shareCurrent(pair[1], this);
       });
-      track('share', { method: 'copy_link' });
     });
 
     // Newsletter CTA banner
@@ -1061,8 +2148,11 @@
         return;
       }
 
+      roster = athletes;
+      fullSchedule = schedule;
       allEvents = Schedule.matchScheduleToAthletes(schedule, athletes);
       Results.mergeResults(allEvents, resultsData);
+      competitions = Schedule.buildCompetitions(allEvents);
       track('data_loaded', { athletes: athletes.length, events: allEvents.length });
 
       if (allEvents.length === 0) {
@@ -1079,7 +2169,9 @@
       }
 
       render();
+      renderChangesPanel();
       renderMedalFooter();
+      initLiveUpdates();
     }).catch(function (err) {
       console.error('Init error:', err);
       showStatus('Error loading data: ' + err.message, 'error');
@@ -1117,20 +2209,18 @@
   // =====================================================================
 
   /**
-   * Build an HTML result badge pill.
-   * @param {string} result - "Gold", "Silver", "Bronze", or freeform text
+   * Build an HTML result badge pill: "Gold", "7th · 1:43.21 (+1.08)", "DNF".
+   * The round, when the sheet gives one, is the tooltip.
+   * @param {Object} result - Result record (Results.normalizeResult())
    * @param {boolean} [inline] - If true, use smaller inline variant
    * @returns {string} HTML string
    */
   function buildResultBadge(result, inline) {
-    var lower = (result || '').toLowerCase();
     var cls = 'result-badge';
     if (inline) cls += ' result-badge-inline';
-    if (lower === 'gold') cls += ' result-badge-gold';
-    else if (lower === 'silver') cls += ' result-badge-silver';
-    else if (lower === 'bronze') cls += ' result-badge-bronze';
-    else cls += ' result-badge-other';
-    return '<span class="' + cls + '">' + escapeHTML(result) + '</span>';
+    cls += ' result-badge-' + (result.medal || 'other');
+    var title = result.round ? ' title="' + escapeHTML(result.round) + '"' : '';
+    return '<span class="' + cls + '"' + title + '>' + escapeHTML(Results.formatResult(result)) + '</span>';
   }
 
   /**
@@ -1170,7 +2260,8 @@
    */
   function renderMedalsPage(container) {
     var allResults = Results.getAllResults();
-    var counts = Results.getMedalCounts();
+    var medals = Results.getMedals();
+    var counts = Results.getMedalCounts(medalCountBy);
     var totalMedals = counts.gold + counts.silver + counts.bronze;
     var html = '<div class="medals-page">';
 
@@ -1182,6 +2273,16 @@
     html += '<span class="medal-count-item"><span class="medal-circle medal-circle-silver medal-circle-lg">' + counts.silver + '</span><span class="medal-count-label">Silver</span></span>';
     html += '<span class="medal-count-item"><span class="medal-circle medal-circle-bronze medal-circle-lg">' + counts.bronze + '</span><span class="medal-count-label">Bronze</span></span>';
     html += '</div>';
+    html += '<div class="medal-count-toggle" role="group" aria-label="Count">';
+    [['medals', 'Medals'], ['medalists', 'Medalists']].forEach(function (opt) {
+      var on = medalCountBy === opt[0];
+      html += '<button type="button" class="medal-count-btn' + (on ? ' active' : '') + '" aria-pressed="' + on + '"' +
+        ' onclick="window._setMedalCount(\'' + opt[0] + '\')">' + opt[1] + '</button>';
+    });
+    html += '</div>';
+    html += '<p class="medal-count-note">' + (medalCountBy === 'medals'
+      ? 'A team medal counts once.'
+      : 'A team medal counts once for each Park City athlete on the team.') + '</p>';
     html += '</div>';
 
     // Medal winners section
@@ -1193,15 +2294,18 @@
 
     var hasMedals = false;
     medalSections.forEach(function (sec) {
-      var items = allResults[sec.key];
+      var items = medals.filter(function (m) { return m.medal === sec.key; });
       if (items.length === 0) return;
       hasMedals = true;
       html += '<div class="medals-section ' + sec.cssClass + '">';
       html += '<h3 class="medals-section-header">' + sec.label + '</h3>';
       items.forEach(function (item) {
         html += '<div class="medal-winner-card">';
-        html += '<div class="medal-winner-name">' + escapeHTML(item.athlete) + '</div>';
-        html += '<div class="medal-winner-event">' + escapeHTML(item.sport) + ' — ' + escapeHTML(item.event) + '</div>';
+        html += '<div class="medal-winner-name">' + item.athletes.map(function (name) {
+          return athleteLink(name, escapeHTML(name));
+        }).join(', ') + '</div>';
+        html += '<div class="medal-winner-event">' + eventLink(item.eventId, escapeHTML(item.sport) + ' — ' + escapeHTML(item.event)) +
+          (item.team ? ' <span class="medal-winner-team">Team</span>' : '') + '</div>';
         if (item.date) {
           html += '<div class="medal-winner-date">' + escapeHTML(formatDate(item.date)) + '</div>';
         }
@@ -1236,7 +2340,7 @@
         byDate[date].forEach(function (item) {
           var key = item.sport + ' — ' + item.event;
           if (!byEvent[key]) {
-            byEvent[key] = { sport: item.sport, event: item.event, athletes: [] };
+            byEvent[key] = { eventId: item.eventId, sport: item.sport, event: item.event, athletes: [] };
             eventOrder.push(key);
           }
           byEvent[key].athletes.push(item);
@@ -1245,18 +2349,14 @@
         eventOrder.forEach(function (key) {
           var evt = byEvent[key];
           html += '<div class="results-event-card">';
-          html += '<div class="results-event-name">' + escapeHTML(evt.sport) + ' — ' + escapeHTML(evt.event) + '</div>';
+          html += '<div class="results-event-name">' + eventLink(evt.eventId, escapeHTML(evt.sport) + ' — ' + escapeHTML(evt.event)) + '</div>';
           html += '<div class="results-athletes">';
+          evt.athletes.sort(function (a, b) { return Results.compareResults(a.result, b.result); });
           evt.athletes.forEach(function (item) {
-            var badgeCls = 'result-badge';
-            var lower = item.result.toLowerCase();
-            if (lower === 'gold') badgeCls += ' result-badge-gold';
-            else if (lower === 'silver') badgeCls += ' result-badge-silver';
-            else if (lower === 'bronze') badgeCls += ' result-badge-bronze';
-            else badgeCls += ' result-badge-other';
             html += '<div class="results-athlete-row">';
             html += '<span class="results-athlete-name">' + escapeHTML(item.athlete) + '</span>';
-            html += '<span class="' + badgeCls + '">' + escapeHTML(item.result) + '</span>';
+            if (item.result.round) html += '<span class="results-athlete-round">' + escapeHTML(item.result.round) + '</span>';
+            html += buildResultBadge(item.result);
             html += '</div>';
           });
           html += '</div>';
@@ -1279,6 +2379,2235 @@
     postHeight();
   }
 
+  /**
+   * Switch the medals page tally between medals and medalists.
+   * @param {string} by - 'medals' | 'medalists'
+   */
+  window._setMedalCount = function (by) {
+    if (by === medalCountBy) return;
+    medalCountBy = by;
+    track('medal_count_toggle', { by: by });
+    render();
+  };
+
+  // =====================================================================
+  // Athlete Profiles (#athlete/<slug>)
+  // =====================================================================
+
+  /** @type {Object} Link labels for well-known profile hosts */
+  var LINK_LABELS = {
+    'instagram.com': 'Instagram',
+    'x.com': 'X',
+    'twitter.com': 'X',
+    'facebook.com': 'Facebook',
+    'tiktok.com': 'TikTok',
+    'youtube.com': 'YouTube',
+    'usskiandsnowboard.org': 'U.S. Ski & Snowboard',
+    'teamusa.com': 'Team USA',
+    'olympics.com': 'Olympics.com'
+  };
+
+  /**
+   * Link to an athlete's profile. Stops the click there, so a link on an
+   * event card or athlete row doesn't also expand it.
+   * @param {string} name - Athlete name
+   * @param {string} html - Link content (already escaped)
+   * @returns {string} HTML string
+   */
+  function athleteLink(name, html) {
+    var view = 'athlete/' + Strings.slugify(name);
+    return '<a href="#' + view + '" class="athlete-link" onclick="return _openView(event, \'' + view + '\')">' + html + '</a>';
+  }
+
+  /**
+   * Only http(s) URLs and plain same-origin paths from the sheet become
+   * src/href attributes. "//host/x.jpg" would load from another host.
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function isSafeURL(url) {
+    return /^https?:\/\//i.test(url) || (/^[\w\/.-]+$/.test(url) && url.indexOf('//') !== 0);
+  }
+
+  /**
+   * Label a profile link by its host: "https://www.instagram.com/x" → "Instagram".
+   * @param {string} url
+   * @returns {string}
+   */
+  function linkLabel(url) {
+    var host = url.replace(/^https?:\/\//i, '').split('/')[0].toLowerCase().replace(/^www\./, '');
+    return LINK_LABELS[host] || host;
+  }
+
+  /**
+   * Scroll the page (or, inside an iframe, ask the host page to scroll the
+   * embed) back to the top after moving to a new page.
+   */
+  function scrollPageTop() {
+    window.scrollTo(0, 0);
+    if (window.self !== window.top) {
+      try {
+        window.parent.postMessage({ type: 'pc-olympics-scroll-top' }, '*');
+      } catch (e) { /* cross-origin — ignore */ }
+    }
+  }
+
+  /**
+   * Navigate to a view from a link, e.g. a profile ('athlete/sam-morse')
+   * or an event page ('event/sjp-07-february-1957-79').
+   * Returns false so the link's own hash navigation doesn't run twice.
+   */
+  window._openView = function (e, view) {
+    if (e) e.stopPropagation();
+    currentSort = view;
+    updateHash(view);
+    syncSortButtons();
+    render();
+    scrollPageTop();
+    if (view.indexOf('athlete/') === 0) track('athlete_profile_open', { athlete: view.slice('athlete/'.length) });
+    if (view.indexOf('event/') === 0) track('event_page_open', { event_id: view.slice('event/'.length) });
+    if (view.indexOf('recap/') === 0) track('recap_open', { date: view.slice('recap/'.length) });
+    return false;
+  };
+
+  /**
+   * One list section of a profile ('' when the sheet left it empty).
+   * @param {string} title
+   * @param {string[]} items - Plain text
+   * @returns {string} HTML string
+   */
+  function buildProfileList(title, items) {
+    if (!items || items.length === 0) return '';
+    return '<section class="profile-section"><h3 class="profile-section-header">' + escapeHTML(title) + '</h3>' +
+      '<ul class="profile-list">' + items.map(function (item) {
+        return '<li>' + escapeHTML(item) + '</li>';
+      }).join('') + '</ul></section>';
+  }
+
+  /**
+   * Render an athlete's profile: sheet details (photo, hometown, program
+   * history, previous Games, links, bio), then results and their whole
+   * 2026 schedule, past events included.
+   * @param {HTMLElement} container - The schedule container element
+   * @param {string} slug - Strings.slugify() of the athlete's name
+   */
+  function renderAthleteProfile(container, slug) {
+    var bySlug = function (a) { return Strings.slugify(a.name) === slug; };
+    var events = allEvents.filter(function (evt) { return evt.athletes.some(bySlug); });
+    var ath = roster.filter(bySlug)[0] || (events[0] && events[0].athletes.filter(bySlug)[0]);
+
+    var html = '<div class="profile-page">';
+    html += '<a href="#athlete" class="profile-back" onclick="return _openView(event, \'athlete\')">&lsaquo; All athletes</a>';
+
+    if (!ath) {
+      html += '<div class="no-results"><h3>Athlete not found</h3>' +
+        '<p>No Park City athlete matches this link. They may have been renamed or removed from the roster.</p></div>';
+      html += '</div>';
+      container.innerHTML = html;
+      postHeight();
+      return;
+    }
+
+    document.title = ath.name + ' — ' + baseTitle;
+    events = events.slice().sort(function (a, b) {
+      return (a.start || a.date || '').localeCompare(b.start || b.date || '');
+    });
+
+    // Header: photo (or initials), name, sport, hometown
+    html += '<div class="profile-header">';
+    if (ath.photo && isSafeURL(ath.photo)) {
+      html += '<img class="profile-photo" src="' + escapeHTML(ath.photo) + '" alt="' + escapeHTML(ath.name) + '" loading="lazy">';
+    } else {
+      var initials = ath.name.split(/\s+/).map(function (w) { return w.charAt(0); }).join('').slice(0, 2);
+      html += '<div class="profile-photo profile-initials" aria-hidden="true">' + escapeHTML(initials.toUpperCase()) + '</div>';
+    }
+    html += '<div class="profile-heading">';
+    html += '<h2 class="profile-name">' + escapeHTML(ath.name) + followButton(ath.name) + '</h2>';
+    var meta = [ath.sport];
+    if (ath.discipline && ath.discipline !== ath.sport) meta.push(ath.discipline);
+    if (ath.country && ath.country !== 'USA') meta.push(ath.country);
+    html += '<div class="profile-meta">' + escapeHTML(meta.join(' · ')) +
+      (ath.isParkCity ? ' <span class="badge">PC</span>' : '') + '</div>';
+    if (ath.hometown) html += '<div class="profile-hometown">' + escapeHTML(ath.hometown) + '</div>';
+    html += '</div>';
+    html += '</div>';
+
+    if (ath.bio) html += '<p class="profile-bio">' + escapeHTML(ath.bio) + '</p>';
+
+    var links = (ath.links || []).filter(function (url) { return /^https?:\/\//i.test(url); });
+    if (links.length) {
+      html += '<div class="profile-links">' + links.map(function (url) {
+        return '<a href="' + escapeHTML(url) + '" target="_blank" rel="noopener" onclick="_trackProfileLink(this)">' + escapeHTML(linkLabel(url)) + '</a>';
+      }).join('') + '</div>';
+    }
+
+    if (ath.utahConnection) {
+      html += '<section class="profile-section"><h3 class="profile-section-header">Park City connection</h3>' +
+        '<p>' + escapeHTML(ath.utahConnection) + '</p></section>';
+    }
+    html += buildProfileList('Park City programs', ath.history);
+    html += buildProfileList('Previous Olympics', ath.olympics);
+
+    // Results so far
+    var results = events.filter(function (evt) { return evt.results && evt.results[ath.name]; });
+    if (results.length) {
+      html += '<section class="profile-section"><h3 class="profile-section-header">2026 Results</h3>';
+      results.forEach(function (evt) {
+        html += '<div class="athlete-event-item">';
+        html += '<span class="athlete-event-date">' + escapeHTML(formatDate(eventDay(evt))) + '</span>';
+        html += '<span class="athlete-event-name">' + escapeHTML(evt.event || evt.discipline || '') + '</span>';
+        html += buildResultBadge(evt.results[ath.name], true);
+        html += '</div>';
+      });
+      html += '</section>';
+    }
+
+    // Full 2026 schedule
+    html += '<section class="profile-section">';
+    html += '<div class="profile-section-top"><h3 class="profile-section-header">2026 Schedule</h3>';
+    if (events.length) html += buildFeedStub('athlete', ath.name, 'Add all to calendar');
+    html += '</div>';
+    if (events.length === 0) {
+      html += '<p class="profile-empty">No 2026 events on the schedule yet.</p>';
+    }
+    events.forEach(function (evt) {
+      var networks = [];
+      (evt.broadcast || []).forEach(function (b) {
+        if (networks.indexOf(b.network) === -1) networks.push(b.network);
+      });
+      html += '<div class="athlete-event-item' + (isPastDate(eventDay(evt)) ? ' past-event' : '') + '">';
+      html += '<span class="athlete-event-date">' + escapeHTML(formatDate(eventDay(evt))) + '</span>';
+      html += '<span class="athlete-event-time">' + escapeHTML(formatTime(evt)) + '</span>';
+      html += '<span class="athlete-event-name">' + escapeHTML(evt.event || evt.discipline || '') +
+        (networks.length ? ' <span class="profile-networks">' + escapeHTML(networks.join(', ')) + '</span>' : '') + '</span>';
+      if (evt.status === 'live') html += '<span class="status-indicator live">Live</span>';
+      if (evt.status === 'cancelled' || evt.status === 'postponed') {
+        html += '<span class="status-indicator ' + evt.status + '">' + (evt.status === 'cancelled' ? 'Cancelled' : 'Postponed') + '</span>';
+      }
+      html += buildChangeBadges(evt);
+      html += buildProgressHTML(athleteProgress(evt, ath.name));
+      html += '</div>';
+    });
+    html += '</section>';
+
+    html += '</div>';
+    container.innerHTML = html;
+    postHeight();
+  }
+
+  window._trackProfileLink = function (link) {
+    track('athlete_profile_link', { link_url: link.href });
+  };
+
+  // =====================================================================
+  // Event Pages (#event/<id>)
+  // =====================================================================
+
+  /** @type {boolean} Whether standings have been fetched since the last poll */
+  var standingsRequested = false;
+
+  /** @type {Object[]} Podium places, in the order they're shown */
+  var PODIUM = [
+    { medal: 'silver', label: 'Silver' },
+    { medal: 'gold', label: 'Gold' },
+    { medal: 'bronze', label: 'Bronze' }
+  ];
+
+  /**
+   * Link to an event's page. Stops the click there, so a link on an event
+   * card doesn't also expand it.
+   * @param {string} id - Event ID
+   * @param {string} html - Link content (already escaped)
+   * @param {string} [cls] - Link class (default 'event-link')
+   * @returns {string} HTML string (just the content for an ID no page takes)
+   */
+  function eventLink(id, html, cls) {
+    if (!id || !PARAM_VIEWS.event.test(id)) return html;
+    var view = 'event/' + id;
+    return '<a href="#' + view + '" class="' + (cls || 'event-link') + '" onclick="return _openView(event, \'' + view + '\')">' + html + '</a>';
+  }
+
+  /**
+   * The event with this ID, or that had it before the schedule changed;
+   * events without Park City athletes come from the full schedule.
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  function eventById(id) {
+    var hasId = function (evt) { return evt.id === id || (evt.previousIds || []).indexOf(id) !== -1; };
+    return allEvents.filter(hasId)[0] || fullSchedule.filter(hasId)[0] || null;
+  }
+
+  /** @type {string[]} Medal for ranks 1–3 of a medal event's full standings */
+  var MEDAL_BY_RANK = ['', 'gold', 'silver', 'bronze'];
+
+  /**
+   * Rows for an event's standings: the published standings with Park City
+   * athletes picked out (by name, or by country in team events), plus any
+   * Park City result the standings don't have yet. Without standings, just
+   * Park City's results. In a medal event's standings, the top three
+   * finishers have medals whether or not the Medal column says so.
+   * @param {Object} evt
+   * @param {Object|null} standings - From Results.getStandings()
+   * @returns {Object[]} { name, country, record, medal, athletes: Park City names }
+   */
+  function standingsRows(evt, standings) {
+    var athletes = evt.athletes || [];
+    var results = evt.results || {};
+    var keys = athletes.map(function (a) { return Athletes.nameKey(a.name); });
+    var team = Results.isTeamEvent(evt);
+    var shown = {};
+
+    var rows = (standings ? standings.rows : []).map(function (row) {
+      var i = keys.indexOf(Athletes.nameKey(row.name));
+      var ours = i !== -1 ? [athletes[i].name] : !team || !row.country ? [] : athletes.filter(function (a) {
+        return (a.country || '').toUpperCase() === row.country;
+      }).map(function (a) { return a.name; });
+      ours.forEach(function (name) { shown[name] = true; });
+      var r = row.record;
+      var medal = r.medal || (evt.isMedalEvent && !r.status && MEDAL_BY_RANK[r.rank]) || '';
+      return { name: row.name, country: row.country, record: r, medal: medal, athletes: ours };
+    });
+
+    Object.keys(results).forEach(function (name) {
+      if (shown[name]) return;
+      var ath = athletes[keys.indexOf(Athletes.nameKey(name))] || {};
+      rows.push({ name: name, country: ath.country || '', record: results[name], medal: results[name].medal, athletes: [name] });
+    });
+
+    return rows.sort(function (a, b) { return Results.compareResults(a.record, b.record); });
+  }
+
+  /**
+   * The standings' Result column: mark, gap, Q/DNQ and note; the rank or
+   * DNF/DNS/DSQ have their own column.
+   * @param {Object} r - Record
+   * @returns {string}
+   */
+  function standingsMark(r) {
+    var parts = [];
+    if (r.mark) parts.push(r.mark + (r.markType === 'time' ? '' : ' ' + r.units));
+    if (r.gap) parts.push('(' + r.gap + ')');
+    if (r.status === 'Q' || (r.status === 'DNQ' && r.rank)) parts.push(r.status);
+    if (r.note) parts.push(r.note);
+    return parts.join(' ');
+  }
+
+  /**
+   * A standings row's name: Park City athletes linked to their profiles,
+   * and a team's Park City members after the team.
+   * @param {Object} row - From standingsRows()
+   * @returns {string} HTML string
+   */
+  function standingsName(row) {
+    if (row.athletes.length === 1 && row.athletes[0] === row.name) {
+      return athleteLink(row.name, escapeHTML(row.name)) + ' <span class="badge">PC</span>';
+    }
+    var html = escapeHTML(row.name);
+    if (row.athletes.length) {
+      html += ' <span class="standings-members">' + row.athletes.map(function (name) {
+        return athleteLink(name, escapeHTML(name));
+      }).join(', ') + ' <span class="badge">PC</span></span>';
+    }
+    return html;
+  }
+
+  /**
+   * Podium for a medal event: gold in the middle, silver and bronze either
+   * side; '' until a medal is recorded.
+   * @param {Object[]} rows - From standingsRows()
+   * @returns {string} HTML string
+   */
+  function buildPodium(rows) {
+    var medalists = rows.filter(function (row) { return row.medal; });
+    if (medalists.length === 0) return '';
+    var html = '<div class="event-podium">';
+    PODIUM.forEach(function (place) {
+      var winners = medalists.filter(function (row) { return row.medal === place.medal; });
+      html += '<div class="podium-place podium-' + place.medal + '">';
+      html += '<span class="podium-medal">' + place.label + '</span>';
+      if (winners.length === 0) html += '<span class="podium-name podium-unknown">—</span>';
+      winners.forEach(function (row) {
+        html += '<span class="podium-name' + (row.athletes.length ? ' podium-pc' : '') + '">' + standingsName(row) + '</span>';
+        if (row.country) html += '<span class="podium-country">' + escapeHTML(row.country) + '</span>';
+        if (row.record.mark) html += '<span class="podium-mark">' + escapeHTML(standingsMark(row.record)) + '</span>';
+      });
+      html += '<span class="podium-step"></span>';
+      html += '</div>';
+    });
+    return html + '</div>';
+  }
+
+  /**
+   * Render an event's page: what, when and where, the podium, and the full
+   * standings with Park City athletes highlighted. Standings are fetched
+   * the first time a page is opened (Results.fetchStandings()); until they
+   * arrive, or when none are published, Park City's results are shown.
+   * @param {HTMLElement} container - The schedule container element
+   * @param {string} id - Event ID (a previous ID works too)
+   */
+  function renderEventPage(container, id) {
+    var evt = eventById(id);
+    var html = '<div class="profile-page event-page">';
+    html += '<a href="#date" class="profile-back" onclick="return _openView(event, \'date\')">&lsaquo; Schedule</a>';
+
+    if (!evt) {
+      html += '<div class="no-results"><h3>Event not found</h3>' +
+        '<p>No event on the 2026 schedule has this ID. It may have been rescheduled or cancelled.</p></div>';
+      html += '</div>';
+      container.innerHTML = html;
+      postHeight();
+      return;
+    }
+
+    if (!standingsRequested) {
+      standingsRequested = true;
+      Results.fetchStandings(isLiveWindow() ? LIVE_POLL_MS : undefined).then(function () {
+        if (currentSort.indexOf('event/') === 0) render();
+      });
+    }
+
+    var name = evt.event || evt.discipline || '';
+    document.title = evt.sport + ' — ' + name + ' — ' + baseTitle;
+
+    html += '<div class="event-page-header">';
+    html += '<div class="event-page-sport">' + getSportIcon(evt.sport) + ' ' + escapeHTML(evt.sport) + '</div>';
+    html += '<h2 class="profile-name">' + escapeHTML(name) + '</h2>';
+    var when = [formatDate(eventDay(evt)), formatTime(evt)];
+    if (evt.venue) when.push(evt.venue);
+    html += '<div class="profile-meta">' + escapeHTML(when.join(' · '));
+    if (evt.status === 'live') html += ' <span class="status-indicator live">Live</span>';
+    if (evt.status === 'completed') html += ' <span class="status-indicator completed">Final</span>';
+    if (evt.status === 'cancelled' || evt.status === 'postponed') {
+      html += ' <span class="status-indicator ' + evt.status + '">' + (evt.status === 'cancelled' ? 'Cancelled' : 'Postponed') + '</span>';
+    }
+    html += buildChangeBadges(evt) + '</div>';
+    html += '</div>';
+
+    // Watch and calendar, as on the card (the calendar dropdown reads _renderedEvents)
+    _renderedEvents = [evt];
+    if (evt.status !== 'cancelled' && (!hasStarted(evt) || isOnNow(evt, Date.now()))) {
+      html += '<section class="profile-section event-page-watch">';
+      html += '<h3 class="profile-section-header">Where to watch</h3>';
+      html += buildBroadcastHTML(evt) || '<p class="profile-empty">Broadcast details to come.</p>';
+      html += buildCalendarStub(0);
+      html += '</section>';
+    }
+
+    var rounds = competitionRounds(evt);
+    if (rounds.length > 1) {
+      html += '<nav class="event-page-rounds" aria-label="Rounds">' + rounds.map(function (r) {
+        var label = escapeHTML(r.round || r.event);
+        return r === evt ? '<span class="event-page-round current">' + label + '</span>' : eventLink(r.id, label, 'event-page-round');
+      }).join('') + '</nav>';
+    }
+
+    var standings = Results.getStandings(evt);
+    var rows = standingsRows(evt, standings);
+    html += buildPodium(rows);
+
+    html += '<section class="profile-section">';
+    html += '<h3 class="profile-section-header">' + (standings ? 'Standings' : 'Park City results') + '</h3>';
+    if (rows.length) {
+      html += '<div class="standings-wrap"><table class="standings-table"><thead><tr>' +
+        '<th scope="col">Rank</th><th scope="col">Athlete</th><th scope="col">Country</th><th scope="col">Result</th>' +
+        '</tr></thead><tbody>';
+      rows.forEach(function (row) {
+        var r = row.record;
+        var medal = row.medal ? ' standings-' + row.medal : '';
+        html += '<tr class="' + (row.athletes.length ? 'standings-pc' : '') + medal + '">';
+        html += '<td class="standings-rank">' + escapeHTML(r.rank ? String(r.rank) : r.status || '') + '</td>';
+        html += '<td class="standings-name">' + standingsName(row) + '</td>';
+        html += '<td class="standings-country">' + escapeHTML(row.country) + '</td>';
+        html += '<td class="standings-mark">' + escapeHTML(standingsMark(r)) + '</td>';
+        html += '</tr>';
+      });
+      html += '</tbody></table></div>';
+    }
+    if (!standings) {
+      html += '<p class="profile-empty">' + (rows.length
+        ? 'Full standings aren\'t in yet, so only Park City athletes are listed.'
+        : hasStarted(evt) ? 'No results yet.' : 'Results appear here after the event.') + '</p>';
+    }
+    html += '</section>';
+
+    if ((evt.athletes || []).length) {
+      html += '<section class="profile-section"><h3 class="profile-section-header">Park City athletes</h3>';
+      html += '<p class="event-page-athletes">' + evt.athletes.map(function (a) {
+        var country = a.country && a.country !== 'USA' ? ' (' + escapeHTML(a.country) + ')' : '';
+        return '<span class="athlete-tag' + (a.isParkCity ? ' park-city' : '') + '">' + athleteLink(a.name, escapeHTML(a.name)) + country +
+          followButton(a.name) + buildProgressHTML(athleteProgress(evt, a.name)) + '</span>';
+      }).join('') + '</p>';
+      html += '</section>';
+    }
+
+    html += '</div>';
+    container.innerHTML = html;
+    postHeight();
+  }
+
+  // =====================================================================
+  // Daily Recaps (#recap/<date>)
+  // =====================================================================
+
+  /** @type {string} Day 1 of the Games, the day after the opening ceremony */
+  var GAMES_DAY_ONE = '2026-02-07';
+
+  /** @type {Object|null} Recap on the page, for the copy buttons */
+  var currentRecap = null;
+
+  /**
+   * @param {string} dateStr - YYYY-MM-DD
+   * @param {number} days
+   * @returns {string} The date that many days later (or earlier), YYYY-MM-DD
+   */
+  function shiftDate(dateStr, days) {
+    var d = new Date(dateStr + 'T12:00:00Z');
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Whether a YYYY-MM-DD string is a real day: "2026-02-30" would roll
+   * over to Mar 2, so it must read back unchanged.
+   * @param {string} dateStr
+   * @returns {boolean}
+   */
+  function isRealDate(dateStr) {
+    var d = new Date(dateStr + 'T12:00:00Z');
+    return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === dateStr;
+  }
+
+  /** @returns {string[]} Dates with Park City events, in order */
+  function eventDates() {
+    var dates = [];
+    allEvents.forEach(function (evt) {
+      var day = eventDay(evt);
+      if (day && dates.indexOf(day) === -1) dates.push(day);
+    });
+    return dates.sort();
+  }
+
+  /**
+   * Date #recap opens on: the latest day with Park City events up to
+   * today, or the first one before the Games.
+   * @returns {string}
+   */
+  function defaultRecapDate() {
+    var dates = eventDates();
+    var today = getTodayStr();
+    var past = dates.filter(function (d) { return d <= today; });
+    return past.length ? past[past.length - 1] : dates[0] || today;
+  }
+
+  /**
+   * Everything a day's recap says, from allEvents (the day's events and
+   * tomorrow's) and Results.getAllResults() (results and medals, including
+   * any that joined no event card).
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Object} { date, title, medals: [{ medal, eventId, sport, event,
+   *   athletes }], events: [{ evt, sport, event, note, athletes: [{ name,
+   *   text }] }], tomorrow: { date, events: [{ evt, event, athletes,
+   *   networks }] }, next }
+   */
+  function buildRecap(date) {
+    var day = Math.round((new Date(date + 'T12:00:00Z') - new Date(GAMES_DAY_ONE + 'T12:00:00Z')) / 86400000) + 1;
+    var recap = {
+      date: date,
+      title: (day >= 1 ? 'Park City Day ' + day : 'Park City') + ': ' + formatDate(date),
+      medals: [],
+      events: [],
+      tomorrow: { date: shiftDate(date, 1), events: [] },
+      next: ''
+    };
+
+    // Results on the day their event card is (the sheet's date is Italy's)
+    var eventDays = {};
+    allEvents.forEach(function (evt) { eventDays[evt.id] = eventDay(evt); });
+    var onDay = function (item) { return (eventDays[item.eventId] || item.date) === date; };
+
+    var all = Results.getAllResults();
+    var items = [].concat(all.gold, all.silver, all.bronze, all.other).filter(onDay);
+
+    // One medal per event and colour, listing every Park City athlete who shared it
+    var medalKeys = {};
+    ['gold', 'silver', 'bronze'].forEach(function (medal) {
+      all[medal].forEach(function (item) {
+        if (!onDay(item)) return;
+        var key = item.eventId + '|' + medal;
+        if (!medalKeys[key]) {
+          medalKeys[key] = { medal: medal, eventId: item.eventId, sport: item.sport, event: item.event, athletes: [] };
+          recap.medals.push(medalKeys[key]);
+        }
+        medalKeys[key].athletes.push(item.athlete);
+      });
+    });
+
+    var seen = {};
+    allEvents.filter(function (evt) { return eventDay(evt) === date; }).sort(compareStart).forEach(function (evt) {
+      seen[evt.id] = true;
+      var note = evt.status === 'cancelled' ? 'Cancelled' : evt.status === 'postponed' ? 'Postponed' : '';
+      recap.events.push({
+        evt: evt,
+        sport: evt.sport,
+        event: evt.event || evt.discipline || '',
+        note: note,
+        athletes: evt.athletes.map(function (a) {
+          var record = evt.results && evt.results[a.name];
+          var progress = athleteProgress(evt, a.name);
+          var text = record ? Results.formatResult(record)
+            : progress ? progress.text
+            : note || (hasStarted(evt) ? 'Result to come' : 'Starts ' + formatTime(evt));
+          return { name: a.name, text: text };
+        })
+      });
+    });
+
+    // Results filed under events that aren't on a card that day
+    var extra = {};
+    items.forEach(function (item) {
+      if (seen[item.eventId]) return;
+      if (!extra[item.eventId]) {
+        extra[item.eventId] = { evt: null, sport: item.sport, event: item.event, note: '', athletes: [] };
+        recap.events.push(extra[item.eventId]);
+      }
+      extra[item.eventId].athletes.push({ name: item.athlete, text: Results.formatResult(item.result) });
+    });
+
+    // Tomorrow: one line per competition, at its first round of the day
+    var byCompetition = {};
+    allEvents.filter(function (evt) {
+      return eventDay(evt) === recap.tomorrow.date && evt.status !== 'cancelled';
+    }).sort(compareStart).forEach(function (evt) {
+      var key = evt.competition || evt.id;
+      if (!byCompetition[key]) {
+        byCompetition[key] = {
+          evt: evt,
+          event: evt.sport + ' — ' + (evt.competitionName || evt.event || evt.discipline || ''),
+          athletes: evt.athletes.map(function (a) { return a.name; }),
+          networks: []
+        };
+        recap.tomorrow.events.push(byCompetition[key]);
+      }
+      eventNetworks(evt).forEach(function (n) {
+        if (byCompetition[key].networks.indexOf(n) === -1) byCompetition[key].networks.push(n);
+      });
+    });
+    if (recap.tomorrow.events.length === 0) {
+      recap.next = eventDates().filter(function (d) { return d > recap.tomorrow.date; })[0] || '';
+    }
+    return recap;
+  }
+
+  /** @returns {string[]} Networks showing an event, e.g. ['NBC', 'USA Network', 'Peacock'] */
+  function eventNetworks(evt) {
+    var networks = [];
+    (evt.broadcast || []).forEach(function (b) {
+      b.network.split('/').forEach(function (n) {
+        n = n.trim();
+        if (n && networks.indexOf(n) === -1) networks.push(n);
+      });
+    });
+    return networks;
+  }
+
+  /** @returns {string} Link to a page of the site, e.g. '#athlete/sam-morse' */
+  function siteURL(hash) {
+    return ICS.siteURL() + '/' + hash;
+  }
+
+  /**
+   * A recap as newsletter HTML: plain headings, paragraphs and lists with
+   * links back to the site, so the newsletter's own styles apply.
+   * @param {Object} recap - From buildRecap()
+   * @returns {string}
+   */
+  function recapHTML(recap) {
+    var link = function (hash, text) {
+      return '<a href="' + escapeHTML(siteURL(hash)) + '">' + escapeHTML(text) + '</a>';
+    };
+    var person = function (name) { return link('#athlete/' + Strings.slugify(name), name); };
+    var html = '<h2>' + escapeHTML(recap.title) + '</h2>\n';
+
+    if (recap.medals.length) {
+      html += '<h3>Medals</h3>\n<ul>\n';
+      recap.medals.forEach(function (m) {
+        html += '<li><strong>' + escapeHTML(m.medal.charAt(0).toUpperCase() + m.medal.slice(1)) + '</strong> — ' +
+          m.athletes.map(person).join(', ') + ', ' + link('#event/' + m.eventId, m.sport + ', ' + m.event) + '</li>\n';
+      });
+      html += '</ul>\n';
+    }
+
+    html += '<h3>Results</h3>\n';
+    if (recap.events.length === 0) html += '<p>No Park City athletes competed.</p>\n';
+    recap.events.forEach(function (e) {
+      var title = e.sport + ' — ' + e.event;
+      html += '<p><strong>' + (e.evt ? link('#event/' + e.evt.id, title) : escapeHTML(title)) + '</strong>' +
+        (e.note ? ' (' + escapeHTML(e.note) + ')' : '') + '<br>\n';
+      html += e.athletes.map(function (a) {
+        return person(a.name) + ': ' + escapeHTML(a.text);
+      }).join('<br>\n') + '</p>\n';
+    });
+
+    html += '<h3>Tomorrow, ' + escapeHTML(formatDate(recap.tomorrow.date)) + '</h3>\n';
+    if (recap.tomorrow.events.length) {
+      html += '<ul>\n';
+      recap.tomorrow.events.forEach(function (t) {
+        html += '<li>' + escapeHTML(formatTime(t.evt)) + ' — <strong>' + escapeHTML(t.event) + '</strong>: ' +
+          t.athletes.map(person).join(', ') + (t.networks.length ? ' (' + escapeHTML(t.networks.join(', ')) + ')' : '') + '</li>\n';
+      });
+      html += '</ul>\n';
+    } else {
+      html += '<p>No Park City events' + (recap.next ? '; next up ' + escapeHTML(formatDate(recap.next)) : '') + '.</p>\n';
+    }
+
+    html += '<p>' + link('#date', 'Full Park City schedule and results') + '</p>\n';
+    return html;
+  }
+
+  /**
+   * The same recap as plain text, for social posts and text-only email.
+   * @param {Object} recap - From buildRecap()
+   * @returns {string}
+   */
+  function recapText(recap) {
+    var lines = [recap.title.toUpperCase(), ''];
+    if (recap.medals.length) {
+      lines.push('MEDALS');
+      recap.medals.forEach(function (m) {
+        lines.push(m.medal.charAt(0).toUpperCase() + m.medal.slice(1) + ' — ' + m.athletes.join(', ') + ' (' + m.sport + ', ' + m.event + ')');
+      });
+      lines.push('');
+    }
+
+    lines.push('RESULTS');
+    if (recap.events.length === 0) lines.push('No Park City athletes competed.');
+    recap.events.forEach(function (e) {
+      lines.push(e.sport + ' — ' + e.event + (e.note ? ' (' + e.note + ')' : ''));
+      e.athletes.forEach(function (a) { lines.push('  ' + a.name + ': ' + a.text); });
+    });
+    lines.push('');
+
+    lines.push('TOMORROW, ' + formatDate(recap.tomorrow.date).toUpperCase());
+    if (recap.tomorrow.events.length === 0) {
+      lines.push('No Park City events' + (recap.next ? '; next up ' + formatDate(recap.next) : '') + '.');
+    }
+    recap.tomorrow.events.forEach(function (t) {
+      lines.push(formatTime(t.evt) + '  ' + t.event + ': ' + t.athletes.join(', ') +
+        (t.networks.length ? ' · ' + t.networks.join(', ') : ''));
+    });
+    lines.push('');
+    lines.push(siteURL('#recap/' + recap.date));
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Render a day's recap with copy buttons; the preview is the newsletter
+   * HTML itself, so what is copied is what is shown.
+   * @param {HTMLElement} container - The schedule container element
+   * @param {string} [date] - YYYY-MM-DD (default: defaultRecapDate())
+   */
+  function renderRecap(container, date) {
+    // Not a real day (#recap/2026-02-30): the default day, under plain #recap
+    if (date && !isRealDate(date)) {
+      date = '';
+      currentSort = 'recap';
+      history.replaceState(null, '', '#recap');
+    }
+    date = date || defaultRecapDate();
+    var recap = currentRecap = buildRecap(date);
+    document.title = recap.title + ' — ' + baseTitle;
+
+    var dates = eventDates();
+    var prev = dates.filter(function (d) { return d < date; }).pop();
+    var next = dates.filter(function (d) { return d > date; })[0];
+    var dayLink = function (d, label, cls) {
+      return '<a href="#recap/' + d + '" class="' + cls + '" onclick="return _openView(event, \'recap/' + d + '\')">' + label + '</a>';
+    };
+
+    var html = '<div class="profile-page recap-page">';
+    html += '<div class="recap-nav">';
+    html += prev ? dayLink(prev, '&lsaquo; ' + escapeHTML(formatDate(prev)), 'recap-prev') : '<span></span>';
+    html += next ? dayLink(next, escapeHTML(formatDate(next)) + ' &rsaquo;', 'recap-next') : '<span></span>';
+    html += '</div>';
+    html += '<div class="recap-toolbar">';
+    html += '<button type="button" class="diag-download" onclick="_copyRecap(this, \'html\')">Copy as newsletter HTML</button>';
+    html += '<button type="button" class="diag-download" onclick="_copyRecap(this, \'text\')">Copy as plain text</button>';
+    html += '</div>';
+    html += '<article class="recap-preview">' + recapHTML(recap) + '</article>';
+    html += '</div>';
+
+    container.innerHTML = html;
+    postHeight();
+  }
+
+  /**
+   * Copy the recap on the page. The HTML copy carries the plain text too,
+   * so it pastes as formatted text in an editor and as text elsewhere;
+   * browsers without rich clipboard support get the HTML source.
+   * @param {HTMLElement} btn
+   * @param {string} format - 'html' | 'text'
+   */
+  window._copyRecap = function (btn, format) {
+    if (!currentRecap) return;
+    var text = recapText(currentRecap);
+    var html = recapHTML(currentRecap);
+    var label = btn.textContent;
+    var copied;
+    if (format === 'html' && window.ClipboardItem && navigator.clipboard.write) {
+      copied = navigator.clipboard.write([new ClipboardItem({
+        'text/html': new Blob([html], { type: 'text/html' }),
+        'text/plain': new Blob([text], { type: 'text/plain' })
+      })]);
+    } else {
+      copied = navigator.clipboard.writeText(format === 'html' ? html : text);
+    }
+    copied.then(function () {
+      btn.textContent = 'Copied';
+      setTimeout(function () { btn.textContent = label; }, 1500);
+    }).catch(function () {
+      window.prompt('Copy the recap:', format === 'html' ? html : text);
+    });
+    track('recap_copy', { date: currentRecap.date, format: format });
+  };
+
+  // =====================================================================
+  // Calendar Grid (#calendar)
+  // =====================================================================
+
+  /** @type {string} Calendar grid layout: 'week' | 'month' */
+  var calendarMode = 'week';
+
+  /** @type {string} Monday of the week shown (YYYY-MM-DD; '' = this week) */
+  var calendarWeek = '';
+
+  /** @type {string} Month shown (YYYY-MM; '' = this month) */
+  var calendarMonth = '';
+
+  /** @type {string} Key of the event open below the grid ('' for none) */
+  var calendarSelected = '';
+
+  var DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+  /**
+   * @param {string} dateStr - YYYY-MM-DD
+   * @returns {string} Monday on or before the date
+   */
+  function weekStart(dateStr) {
+    var dow = new Date(dateStr + 'T12:00:00Z').getUTCDay();
+    return shiftDate(dateStr, -((dow + 6) % 7));
+  }
+
+  /**
+   * Minutes since local midnight, e.g. "02:30" → 150.
+   * @param {Date} instant
+   * @returns {number}
+   */
+  function minuteOfDay(instant) {
+    var hm = Time.timeKey(instant).split(':');
+    return parseInt(hm[0], 10) * 60 + parseInt(hm[1], 10);
+  }
+
+  /**
+   * Events placed on the viewer's calendar: local day, start and end
+   * minute (clipped at midnight). Events without a time keep their venue
+   * date and are listed under the grid.
+   * @param {Object[]} events - _renderedEvents
+   * @returns {Object[]} { evt, idx, day, start, end, tbd }
+   */
+  function calendarItems(events) {
+    return events.map(function (evt, idx) {
+      var start = Time.eventStart(evt);
+      if (!start) return { evt: evt, idx: idx, day: evt.date, start: 0, end: 0, tbd: true };
+      var from = minuteOfDay(start);
+      var span = ICS.eventSpan(evt);
+      return { evt: evt, idx: idx, day: Time.dateKey(start), start: from, end: Math.min(from + span.minutes, 24 * 60), tbd: false };
+    });
+  }
+
+  /**
+   * Side-by-side columns for one day's overlapping events. Sets col (0-based)
+   * and cols (columns in its overlapping cluster) on each item.
+   * @param {Object[]} items - One day's timed items
+   */
+  function layoutDay(items) {
+    items.sort(function (a, b) { return a.start - b.start || b.end - a.end; });
+    var cluster = [];
+    var columns = [];
+    var clusterEnd = -1;
+    function close() {
+      cluster.forEach(function (item) { item.cols = columns.length; });
+      cluster = [];
+      columns = [];
+    }
+    items.forEach(function (item) {
+      if (item.start >= clusterEnd) close();
+      var col = 0;
+      while (col < columns.length && columns[col] > item.start) col++;
+      columns[col] = item.end;
+      item.col = col;
+      cluster.push(item);
+      clusterEnd = Math.max(clusterEnd, item.end);
+    });
+    close();
+  }
+
+  /** @returns {string} A CSS percentage to two decimals, e.g. "33.33%" */
+  function pct(n) {
+    return Math.round(n * 100) / 100 + '%';
+  }
+
+  /**
+   * @param {number} hour - 0-24
+   * @returns {string} "6 AM", "12 PM"
+   */
+  function hourLabel(hour) {
+    return (hour % 12 || 12) + (hour % 24 < 12 ? ' AM' : ' PM');
+  }
+
+  /**
+   * Block or chip classes for an event: sport colour, past, medal, status.
+   * @param {Object} item - From calendarItems()
+   * @param {string} base - 'cal-block' | 'cal-chip'
+   * @returns {string}
+   */
+  function calendarClasses(item, base) {
+    var cls = base + ' sport-' + getSportFamily(item.evt.sport);
+    if (isPastDate(item.day)) cls += ' past-event';
+    if (item.evt.isMedalEvent) cls += ' medal-event';
+    if (item.evt.status === 'cancelled' || item.evt.status === 'postponed') cls += ' status-' + item.evt.status;
+    if (item.evt.key === calendarSelected) cls += ' selected';
+    return cls;
+  }
+
+  /** @returns {string} Tooltip, e.g. "Alpine Skiing — Men's Downhill, 2:30 AM MST" */
+  function calendarTitle(item) {
+    return item.evt.sport + ' — ' + (item.evt.event || item.evt.discipline || '') + ', ' + formatTime(item.evt);
+  }
+
+  /**
+   * Week grid: one column per day, events placed by local start time and
+   * sized by length, overlapping events side by side.
+   * @param {Object[]} items - From calendarItems()
+   * @param {string} monday - YYYY-MM-DD
+   * @returns {string} HTML string
+   */
+  function buildWeekGrid(items, monday) {
+    var timed = items.filter(function (item) { return !item.tbd; });
+    // Hours every week shares, so paging doesn't move the grid
+    var first = 24;
+    var last = 0;
+    timed.forEach(function (item) {
+      first = Math.min(first, Math.floor(item.start / 60));
+      last = Math.max(last, Math.ceil(item.end / 60));
+    });
+    if (first >= last) { first = 6; last = 18; }
+    var range = (last - first) * 60;
+    var today = getTodayStr();
+
+    var html = '<div class="cal-week" style="--cal-hours: ' + (last - first) + '">';
+    html += '<div class="cal-axis"><div class="cal-day-head"></div><div class="cal-day-body">';
+    for (var h = first; h < last; h++) {
+      html += '<span class="cal-hour" style="top: ' + pct((h - first) * 60 / range * 100) + '">' + hourLabel(h) + '</span>';
+    }
+    html += '</div></div>';
+
+    for (var d = 0; d < 7; d++) {
+      var day = shiftDate(monday, d);
+      var dayItems = timed.filter(function (item) { return item.day === day; });
+      layoutDay(dayItems);
+      html += '<div class="cal-day' + (day === today ? ' today' : '') + (isPastDate(day) ? ' past' : '') + '">';
+      html += '<div class="cal-day-head">' + DAY_NAMES[d] + ' <strong>' + parseInt(day.slice(8), 10) + '</strong></div>';
+      html += '<div class="cal-day-body">';
+      dayItems.forEach(function (item) {
+        var style = 'top: ' + pct((item.start - first * 60) / range * 100) + '; height: ' + pct((item.end - item.start) / range * 100) + '; ' +
+          'left: ' + pct(item.col / item.cols * 100) + '; width: ' + pct(100 / item.cols);
+        html += '<button type="button" class="' + calendarClasses(item, 'cal-block') + '" style="' + style + '" title="' + escapeHTML(calendarTitle(item)) + '"' +
+          ' onclick="_openCalendarEvent(' + item.idx + ')">';
+        html += '<span class="cal-block-time">' + escapeHTML(Time.formatClock(Time.eventStart(item.evt))) + '</span>';
+        html += '<span class="cal-block-name">' + getSportIcon(item.evt.sport) + ' ' + escapeHTML(item.evt.event || item.evt.discipline || '') + '</span>';
+        html += '</button>';
+      });
+      html += '</div></div>';
+    }
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Month grid: a cell per day, Monday first, each event as a chip in
+   * start order.
+   * @param {Object[]} items - From calendarItems()
+   * @param {string} month - YYYY-MM
+   * @returns {string} HTML string
+   */
+  function buildMonthGrid(items, month) {
+    var first = month + '-01';
+    var last = shiftDate(shiftDate(first, 32).slice(0, 7) + '-01', -1);
+    var end = shiftDate(weekStart(last), 6);
+    var today = getTodayStr();
+
+    var html = '<div class="cal-month">';
+    DAY_NAMES.forEach(function (name) { html += '<div class="cal-month-head">' + name + '</div>'; });
+    for (var day = weekStart(first); day <= end; day = shiftDate(day, 1)) {
+      var dayItems = items.filter(function (item) { return item.day === day; })
+        .sort(function (a, b) { return a.tbd - b.tbd || a.start - b.start; });
+      var cls = 'cal-month-day';
+      if (day.slice(0, 7) !== month) cls += ' other-month';
+      if (day === today) cls += ' today';
+      if (isPastDate(day)) cls += ' past';
+      html += '<div class="' + cls + '"><div class="cal-month-date">' + parseInt(day.slice(8), 10) + '</div>';
+      dayItems.forEach(function (item) {
+        html += '<button type="button" class="' + calendarClasses(item, 'cal-chip') + '" title="' + escapeHTML(calendarTitle(item)) + '"' +
+          ' onclick="_openCalendarEvent(' + item.idx + ')">';
+        html += '<span class="cal-chip-time">' + escapeHTML(item.tbd ? 'TBD' : Time.formatClock(Time.eventStart(item.evt))) + '</span>';
+        html += '<span class="cal-chip-name">' + escapeHTML(item.evt.event || item.evt.discipline || '') + '</span>';
+        html += '</button>';
+      });
+      html += '</div>';
+    }
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * Render the calendar view: week or month grid of the filtered events
+   * (past ones included, muted), a sport legend, and the selected event's
+   * card under the grid.
+   * @param {HTMLElement} container - The schedule container element
+   * @param {Object[]} events - Filtered events (also set as _renderedEvents)
+   */
+  function renderCalendar(container, events) {
+    var items = calendarItems(events);
+    var days = items.map(function (item) { return item.day; }).sort();
+    var today = getTodayStr();
+    var firstDay = days[0] || today;
+    var lastDay = days[days.length - 1] || today;
+    var clamp = function (value, lo, hi) { return value < lo ? lo : value > hi ? hi : value; };
+
+    var html = '<div class="calendar-view">';
+    html += '<div class="cal-toolbar">';
+    html += '<div class="medal-count-toggle" role="group" aria-label="Calendar layout">';
+    [['week', 'Week'], ['month', 'Month']].forEach(function (opt) {
+      var on = calendarMode === opt[0];
+      html += '<button type="button" class="medal-count-btn' + (on ? ' active' : '') + '" aria-pressed="' + on + '"' +
+        ' onclick="_setCalendarMode(\'' + opt[0] + '\')">' + opt[1] + '</button>';
+    });
+    html += '</div>';
+
+    var grid, label, hasPrev, hasNext;
+    if (calendarMode === 'month') {
+      var month = calendarMonth = clamp(calendarMonth || today.slice(0, 7), firstDay.slice(0, 7), lastDay.slice(0, 7));
+      label = new Date(month + '-15T12:00:00Z').toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+      hasPrev = month > firstDay.slice(0, 7);
+      hasNext = month < lastDay.slice(0, 7);
+      grid = buildMonthGrid(items, month);
+    } else {
+      var monday = calendarWeek = clamp(calendarWeek || weekStart(today), weekStart(firstDay), weekStart(lastDay));
+      var sunday = shiftDate(monday, 6);
+      label = formatDate(monday).replace(/^\w+, /, '') + ' – ' +
+        (sunday.slice(5, 7) === monday.slice(5, 7) ? parseInt(sunday.slice(8), 10) : formatDate(sunday).replace(/^\w+, /, ''));
+      hasPrev = monday > weekStart(firstDay);
+      hasNext = monday < weekStart(lastDay);
+      grid = buildWeekGrid(items, monday);
+    }
+    html += '<div class="cal-pager">';
+    html += '<button type="button" class="cal-page-btn" onclick="_shiftCalendar(-1)" aria-label="Previous"' + (hasPrev ? '' : ' disabled') + '>&lsaquo;</button>';
+    html += '<span class="cal-page-label">' + escapeHTML(label) + '</span>';
+    html += '<button type="button" class="cal-page-btn" onclick="_shiftCalendar(1)" aria-label="Next"' + (hasNext ? '' : ' disabled') + '>&rsaquo;</button>';
+    html += '</div>';
+    html += '<span class="cal-zone">Times in ' + escapeHTML(Time.zoneAbbr(new Date())) + '</span>';
+    html += '</div>';
+
+    // Legend: the sports on the calendar, in their colours
+    var sports = [];
+    events.forEach(function (evt) { if (sports.indexOf(evt.sport) === -1) sports.push(evt.sport); });
+    html += '<div class="cal-legend">' + sports.sort().map(function (sport) {
+      return '<span class="cal-legend-item sport-' + getSportFamily(sport) + '">' + getSportIcon(sport) + ' ' + escapeHTML(sport) + '</span>';
+    }).join('') + '</div>';
+
+    html += grid;
+
+    var tbd = items.filter(function (item) {
+      return item.tbd && calendarMode === 'week' && weekStart(item.day) === calendarWeek;
+    });
+    if (tbd.length) {
+      html += '<div class="cal-tbd"><span class="cal-tbd-label">Time to be announced:</span>';
+      tbd.forEach(function (item) {
+        html += '<button type="button" class="' + calendarClasses(item, 'cal-chip') + '" onclick="_openCalendarEvent(' + item.idx + ')">' +
+          '<span class="cal-chip-time">' + escapeHTML(formatDate(item.day)) + '</span><span class="cal-chip-name">' +
+          escapeHTML(item.evt.event || item.evt.discipline || '') + '</span></button>';
+      });
+      html += '</div>';
+    }
+
+    var selected = -1;
+    events.forEach(function (evt, i) { if (evt.key === calendarSelected) selected = i; });
+    html += '<div class="calendar-detail" id="calendar-detail">' + (selected !== -1 ? buildCalendarDetail(selected) : '') + '</div>';
+    html += '</div>';
+
+    container.innerHTML = html;
+    postHeight();
+  }
+
+  /**
+   * The selected event's card, expanded, as on the list views.
+   * @param {number} idx - Index in _renderedEvents
+   * @returns {string} HTML string
+   */
+  function buildCalendarDetail(idx) {
+    return buildEventCard(_renderedEvents[idx], idx, true).replace('class="event-card', 'class="event-card expanded');
+  }
+
+  /**
+   * Open an event's card under the grid (or close it when it's already open).
+   * @param {number} idx - Index in _renderedEvents
+   */
+  window._openCalendarEvent = function (idx) {
+    var evt = _renderedEvents[idx];
+    if (!evt) return;
+    calendarSelected = calendarSelected === evt.key ? '' : evt.key;
+    var blocks = document.querySelectorAll('.cal-block, .cal-chip');
+    for (var i = 0; i < blocks.length; i++) {
+      blocks[i].classList.toggle('selected', blocks[i].getAttribute('onclick') === '_openCalendarEvent(' + idx + ')' && !!calendarSelected);
+    }
+    var detail = document.getElementById('calendar-detail');
+    detail.innerHTML = calendarSelected ? buildCalendarDetail(idx) : '';
+    if (calendarSelected) {
+      if (detail.scrollIntoView) detail.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+      track('calendar_event_open', { event_name: evt.event || evt.discipline || '', sport: evt.sport });
+    }
+    postHeight();
+  };
+
+  /**
+   * Switch the calendar between the week and month grids.
+   * @param {string} mode - 'week' | 'month'
+   */
+  window._setCalendarMode = function (mode) {
+    if (mode === calendarMode) return;
+    // Keep the same stretch of days in view
+    if (mode === 'month' && calendarWeek) calendarMonth = shiftDate(calendarWeek, 3).slice(0, 7);
+    if (mode === 'week' && calendarMonth && calendarMonth !== getTodayStr().slice(0, 7)) calendarWeek = weekStart(calendarMonth + '-01');
+    calendarMode = mode;
+    track('calendar_mode', { mode: mode });
+    render();
+  };
+
+  /**
+   * Page the calendar a week or month back or forward.
+   * @param {number} step - -1 | 1
+   */
+  window._shiftCalendar = function (step) {
+    if (calendarMode === 'month') {
+      calendarMonth = shiftDate(calendarMonth + '-15', step * 30).slice(0, 7);
+    } else {
+      calendarWeek = shiftDate(calendarWeek, step * 7);
+    }
+    render();
+  };
+
+  // =====================================================================
+  // Now & Next (#now)
+  // =====================================================================
+
+  /** @type {number} Events listed after the next one */
+  var NOW_UPCOMING = 4;
+
+  /** @type {number|null} Minute timer while #now is showing */
+  var nowTimer = null;
+
+  /** @type {string} Which events the dashboard shows, to tell a tick from a change */
+  var nowSignature = '';
+
+  /**
+   * Whether an event is on right now: marked live, or between its start
+   * and expected end and not marked final, cancelled or postponed.
+   * @param {Object} evt
+   * @param {number} now - Epoch ms
+   * @returns {boolean}
+   */
+  function isOnNow(evt, now) {
+    if (evt.status === 'live') return true;
+    if (evt.status === 'completed' || evt.status === 'cancelled' || evt.status === 'postponed') return false;
+    if (!Time.eventStart(evt)) return false;
+    var span = ICS.eventSpan(evt);
+    return span.start.getTime() <= now && now < span.end.getTime();
+  }
+
+  /**
+   * Broadcast entries on air at a moment: a timed entry (live coverage,
+   * the primetime replay) for the event's length from its start; the
+   * stream (no start) while the event itself is on.
+   * @param {Object} evt
+   * @param {number} now - Epoch ms
+   * @returns {Object[]} Broadcast entries
+   */
+  function onAirNow(evt, now) {
+    var minutes = ICS.eventSpan(evt).minutes;
+    return (evt.broadcast || []).filter(function (b) {
+      if (!b.start) return isOnNow(evt, now);
+      var start = new Date(b.start).getTime();
+      return start <= now && now < start + minutes * 60 * 1000;
+    });
+  }
+
+  /**
+   * What the dashboard shows at a moment.
+   * @param {number} now - Epoch ms
+   * @returns {Object} { live: Object[], replays: Object[], next: Object|null,
+   *   after: Object[], signature: string }
+   */
+  function nowState(now) {
+    var live = [];
+    var replays = [];
+    var upcoming = [];
+    allEvents.forEach(function (evt) {
+      if (isOnNow(evt, now)) {
+        live.push(evt);
+        return;
+      }
+      if (onAirNow(evt, now).length) replays.push(evt);
+      var start = Time.eventStart(evt);
+      if (start && start.getTime() > now && evt.status !== 'cancelled') upcoming.push(evt);
+    });
+    var byStart = function (a, b) { return Time.eventStart(a) - Time.eventStart(b); };
+    live.sort(byStart);
+    upcoming.sort(byStart);
+    var state = {
+      live: live,
+      replays: replays,
+      next: upcoming[0] || null,
+      after: upcoming.slice(1, 1 + NOW_UPCOMING)
+    };
+    state.signature = [live, replays, upcoming.slice(0, 1 + NOW_UPCOMING)].map(function (list) {
+      return list.map(function (evt) { return evt.key + ':' + evt.status; }).join(',');
+    }).join('|');
+    return state;
+  }
+
+  /**
+   * "in 42 min", "in 5 h 10 min", "in 1 day 6 h", "in 3 days".
+   * @param {number} ms - Time until the start
+   * @returns {string}
+   */
+  function countdownText(ms) {
+    var minutes = Math.max(1, Math.ceil(ms / 60000));
+    if (minutes < 60) return 'in ' + minutes + ' min';
+    var hours = Math.floor(minutes / 60);
+    if (hours < 24) return 'in ' + hours + ' h' + (minutes % 60 ? ' ' + minutes % 60 + ' min' : '');
+    var days = Math.floor(hours / 24);
+    if (days < 2) return 'in 1 day' + (hours % 24 ? ' ' + hours % 24 + ' h' : '');
+    return 'in ' + days + ' days';
+  }
+
+  /**
+   * Countdown that tickNow() keeps current.
+   * @param {Object} evt
+   * @param {number} now - Epoch ms
+   * @returns {string} HTML string
+   */
+  function buildCountdown(evt, now) {
+    var start = Time.eventStart(evt);
+    return '<span class="now-countdown" data-start="' + start.getTime() + '">' + countdownText(start.getTime() - now) + '</span>';
+  }
+
+  /**
+   * One event on the dashboard: time, sport, name, athletes, and the
+   * networks carrying it now (live and replays) or when it starts.
+   * @param {Object} evt
+   * @param {number} now - Epoch ms
+   * @param {string} mode - 'live' | 'replay' | 'next' | 'upcoming'
+   * @returns {string} HTML string
+   */
+  function buildNowRow(evt, now, mode) {
+    var start = Time.eventStart(evt);
+    var day = Time.dateKey(start);
+    var when = (day === getTodayStr() ? '' : formatDate(day) + ' · ') + formatTime(evt);
+    var html = '<div class="now-row now-' + mode + ' sport-' + getSportFamily(evt.sport) + '">';
+    html += '<div class="now-when">';
+    if (mode === 'live') {
+      html += '<span class="status-indicator live">Live</span> ';
+      html += '<span class="now-since">Started ' + escapeHTML(formatTime(evt)) + '</span>';
+      var ends = formatEndTime(evt);
+      if (ends) html += ' <span class="now-ends">· ' + escapeHTML(ends) + '</span>';
+    } else if (mode === 'replay') {
+      html += '<span class="now-replay-label">Replay on now</span>';
+    } else {
+      html += escapeHTML(when) + (mode === 'upcoming' ? ' · ' + buildCountdown(evt, now) : '');
+    }
+    html += '</div>';
+    html += '<div class="now-event">' + getSportIcon(evt.sport) + ' ' +
+      eventLink(evt.id, escapeHTML(evt.sport + ' — ' + (evt.event || evt.discipline || ''))) + '</div>';
+    html += '<div class="now-athletes">' + evt.athletes.map(function (a) {
+      return athleteLink(a.name, escapeHTML(a.name));
+    }).join(', ') + '</div>';
+
+    // On air now for live events and replays; otherwise where to watch it start
+    var entries = mode === 'live' || mode === 'replay' ? onAirNow(evt, now)
+      : (evt.broadcast || []).filter(function (b) { return b.type !== 'primetime'; });
+    if (entries.length) {
+      html += '<div class="now-networks">' + tvIcon + ' ' + (mode === 'live' || mode === 'replay' ? 'On now: ' : '') +
+        entries.map(function (b) {
+          return '<span class="broadcast-network">' + escapeHTML(b.network) + '</span>' +
+            (b.type === 'streaming' ? ' <span class="broadcast-type streaming">Stream</span>' : '');
+        }).join(' <span class="broadcast-sep">|</span> ') + '</div>';
+    }
+    html += '</div>';
+    return html;
+  }
+
+  /**
+   * The dashboard for a state: live now, the next event with a countdown,
+   * the few after it. Before the first event the countdown is simply days
+   * away; after the last one it points to the results.
+   * @param {Object} state - From nowState()
+   * @param {number} now - Epoch ms
+   * @returns {string} HTML string
+   */
+  function buildNowHTML(state, now) {
+    var html = '';
+    if (state.live.length) {
+      html += '<section class="now-section"><h2 class="now-heading">On now</h2>';
+      state.live.forEach(function (evt) { html += buildNowRow(evt, now, 'live'); });
+      html += '</section>';
+    }
+    if (state.replays.length) {
+      html += '<section class="now-section"><h2 class="now-heading">On TV now</h2>';
+      state.replays.forEach(function (evt) { html += buildNowRow(evt, now, 'replay'); });
+      html += '</section>';
+    }
+
+    if (state.next) {
+      html += '<section class="now-section now-next-section">';
+      html += '<h2 class="now-heading">Next Park City event ' + buildCountdown(state.next, now) + '</h2>';
+      html += buildNowRow(state.next, now, 'next');
+      html += '</section>';
+    } else if (!state.live.length) {
+      html += '<div class="no-results"><h3>That\'s a wrap</h3>' +
+        '<p>Park City athletes have finished competing. See how they did on the <a href="#medals" onclick="return _openView(event, \'medals\')">results page</a>.</p></div>';
+    }
+
+    if (state.after.length) {
+      html += '<section class="now-section"><h2 class="now-heading">Coming up</h2>';
+      state.after.forEach(function (evt) { html += buildNowRow(evt, now, 'upcoming'); });
+      html += '</section>';
+    }
+    return html;
+  }
+
+  /**
+   * Render #now and start its minute timer.
+   * @param {HTMLElement} container - The schedule container element
+   */
+  function renderNow(container) {
+    var now = Date.now();
+    var state = nowState(now);
+    nowSignature = state.signature;
+    container.innerHTML = '<div class="now-page">' +
+      '<p class="now-zone">Times in ' + escapeHTML(Time.zoneAbbr(new Date(now))) + ' · updates every minute</p>' +
+      '<div id="now-dashboard">' + buildNowHTML(state, now) + '</div></div>';
+    clearInterval(nowTimer);
+    nowTimer = setInterval(tickNow, 60 * 1000);
+    postHeight();
+  }
+
+  /**
+   * Minute tick: update the countdowns in place, and rebuild just the
+   * dashboard when an event has started or ended. Stops once the page
+   * has moved on to another view.
+   */
+  function tickNow() {
+    var dashboard = document.getElementById('now-dashboard');
+    if (currentSort !== 'now' || !dashboard) {
+      clearInterval(nowTimer);
+      nowTimer = null;
+      return;
+    }
+    var now = Date.now();
+    var state = nowState(now);
+    if (state.signature !== nowSignature) {
+      nowSignature = state.signature;
+      dashboard.innerHTML = buildNowHTML(state, now);
+      postHeight();
+      return;
+    }
+    var countdowns = dashboard.querySelectorAll('.now-countdown');
+    for (var i = 0; i < countdowns.length; i++) {
+      countdowns[i].textContent = countdownText(parseInt(countdowns[i].getAttribute('data-start'), 10) - now);
+    }
+  }
+
+  // =====================================================================
+  // Sharing & Permalinks
+  // =====================================================================
+
+  /** @type {string} Site-wide share text, when nothing in particular is open */
+  var SHARE_TITLE = 'Park City at the 2026 Winter Olympics';
+  var SHARE_TEXT = 'Track Park City athletes competing in Milano Cortina 2026';
+
+  /** @type {string} Key of the card last expanded in a list view ('' for none) */
+  var shareEventKey = '';
+
+  /**
+   * "Sam Morse", "Sam Morse and Winston Tang", "A, B and C",
+   * "A, B and 3 more Park City athletes".
+   * @param {string[]} names
+   * @returns {string}
+   */
+  function joinNames(names) {
+    if (names.length > 3) return names.slice(0, 2).join(', ') + ' and ' + (names.length - 2) + ' more Park City athletes';
+    if (names.length < 2) return names[0] || 'Park City athletes';
+    return names.slice(0, -1).join(', ') + ' and ' + names[names.length - 1];
+  }
+
+  /**
+   * When an event starts, for share text: "Sat 3:30 AM MST" this week,
+   * "Sat, Feb 14 3:30 AM MST" further out.
+   * @param {Object} evt
+   * @returns {string}
+   */
+  function shareWhen(evt) {
+    var start = Time.eventStart(evt);
+    if (!start) return formatDate(evt.date);
+    var day = Time.dateKey(start);
+    var soon = day >= getTodayStr() && day < shiftDate(getTodayStr(), 6);
+    var label = soon ? formatDate(day).split(',')[0] : formatDate(day);
+    return label + ' ' + formatTime(evt);
+  }
+
+  /**
+   * Share text for an event, e.g. "Watch Sam Morse in the Men's Downhill
+   * Sat 3:30 AM MST on NBC / USA Network".
+   * @param {Object} evt
+   * @param {string[]} [names] - Athletes to name (default: the event's)
+   * @returns {string}
+   */
+  function eventShareText(evt, names) {
+    var who = joinNames(names || evt.athletes.map(function (a) { return a.name; }));
+    var what = 'the ' + (evt.event || evt.discipline || evt.sport);
+    var live = (evt.broadcast || []).filter(function (b) { return b.type === 'live'; })[0];
+    var on = live ? ' on ' + live.network : '';
+    if (evt.status === 'cancelled') return evt.sport + ': ' + what.slice(4) + ' has been cancelled';
+    if (isOnNow(evt, Date.now())) return 'Watch ' + who + ' in ' + what + ' live now' + on;
+    if (hasStarted(evt)) return 'See how ' + who + ' did in ' + what;
+    return 'Watch ' + who + ' in ' + what + ' ' + shareWhen(evt) + on;
+  }
+
+  /**
+   * What the share buttons share: the event page or athlete profile on
+   * screen, the day's recap, or the card last expanded in a list; the
+   * site itself otherwise.
+   * @returns {{ url: string, title: string, text: string }}
+   */
+  function shareContent() {
+    var evt = null;
+    if (currentSort.indexOf('event/') === 0) {
+      evt = eventById(currentSort.slice('event/'.length));
+    } else if (shareEventKey) {
+      var cards = document.querySelectorAll('.event-card.expanded');
+      for (var i = 0; i < cards.length; i++) {
+        if (cards[i].getAttribute('data-key') === shareEventKey) {
+          evt = allEvents.filter(function (e) { return e.key === shareEventKey; })[0] || null;
+        }
+      }
+    }
+    if (evt) {
+      return {
+        url: siteURL('#event/' + evt.id),
+        title: evt.sport + ' — ' + (evt.event || evt.discipline || '') + ' — ' + SHARE_TITLE,
+        text: eventShareText(evt)
+      };
+    }
+
+    if (currentSort.indexOf('athlete/') === 0) {
+      var slug = currentSort.slice('athlete/'.length);
+      var ath = athleteBySlug(slug);
+      if (ath) {
+        var events = allEvents.filter(function (e) {
+          return e.athletes.some(function (a) { return a.name === ath.name; });
+        });
+        var next = events.filter(function (e) { return !hasStarted(e) && e.status !== 'cancelled'; }).sort(function (a, b) {
+          return (a.start || a.date || '').localeCompare(b.start || b.date || '');
+        })[0];
+        return {
+          url: siteURL('#athlete/' + slug),
+          title: ath.name + ' — ' + SHARE_TITLE,
+          text: next ? eventShareText(next, [ath.name])
+            : events.length ? 'See how ' + ath.name + ' did at the 2026 Winter Olympics'
+            : 'Follow ' + ath.name + ' at the 2026 Winter Olympics'
+        };
+      }
+    }
+
+    if (baseView(currentSort) === 'recap' && currentRecap) {
+      return { url: siteURL('#recap/' + currentRecap.date), title: currentRecap.title, text: currentRecap.title + ' — results, medals and what\'s next' };
+    }
+
+    return { url: siteURL(''), title: SHARE_TITLE, text: SHARE_TEXT };
+  }
+
+  /**
+   * Share the current item (see shareContent()).
+   * @param {string} method - 'x' | 'facebook' | 'email' | 'copy_link'
+   * @param {HTMLElement} btn - The share button
+   */
+  function shareCurrent(method, btn) {
+    var share = shareContent();
+    if (method === 'x') {
+      window.open('https://x.com/intent/tweet?url=' + encodeURIComponent(share.url) + '&text=' + encodeURIComponent(share.text), '_blank', 'width=550,height=420');
+    } else if (method === 'facebook') {
+      window.open('https://www.facebook.com/sharer/sharer.php?u=' + encodeURIComponent(share.url), '_blank', 'width=550,height=420');
+    } else if (method === 'email') {
+      window.location.href = 'mailto:?subject=' + encodeURIComponent(share.title) + '&body=' + encodeURIComponent(share.text + '\n\n' + share.url);
+    } else {
+      var toast = btn.querySelector('.copy-toast');
+      navigator.clipboard.writeText(share.url).then(function () {
+        toast.classList.add('show');
+        setTimeout(function () { toast.classList.remove('show'); }, 1500);
+      });
+    }
+    track('share', { method: method, item: share.url.split('#')[1] || '' });
+  }
+
+  // =====================================================================
+  // My Athletes (#following)
+  // =====================================================================
+
+  /** @type {string} localStorage key for the followed athletes */
+  var FOLLOW_STORAGE_KEY = 'utah_olympics_following';
+
+  /** @type {RegExp} A profile slug, as stored and as carried in share links */
+  var SLUG_RE = /^[a-z0-9-]+$/;
+
+  var starIcon = svg('<polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"/>');
+
+  /**
+   * Followed athletes from localStorage ([] when there are none or storage
+   * is unavailable).
+   * @returns {string[]} Profile slugs
+   */
+  function loadFollowing() {
+    try {
+      var list = JSON.parse(localStorage.getItem(FOLLOW_STORAGE_KEY) || '[]');
+      return Array.isArray(list) ? list.filter(function (s) { return SLUG_RE.test(s); }) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  function saveFollowing() {
+    try {
+      localStorage.setItem(FOLLOW_STORAGE_KEY, JSON.stringify(following));
+    } catch (e) { /* ignore storage errors */ }
+  }
+
+  function isFollowed(name) {
+    return following.indexOf(Strings.slugify(name)) !== -1;
+  }
+
+  function followsEvent(evt) {
+    return evt.athletes.some(function (a) { return isFollowed(a.name); });
+  }
+
+  /**
+   * Roster athlete for a profile slug (null if no one matches).
+   * @param {string} slug
+   * @returns {Object|null}
+   */
+  function athleteBySlug(slug) {
+    return roster.filter(function (a) { return Strings.slugify(a.name) === slug; })[0] || null;
+  }
+
+  /**
+   * Star toggle for an athlete. Stops the click so it doesn't also expand
+   * the card or row it sits in.
+   * @param {string} name
+   * @returns {string} HTML string
+   */
+  function followButton(name) {
+    var on = isFollowed(name);
+    return '<button type="button" class="follow-btn' + (on ? ' following' : '') + '" aria-pressed="' + on + '"' +
+      ' aria-label="' + (on ? 'Unfollow ' : 'Follow ') + escapeHTML(name) + '" title="' + (on ? 'Following' : 'Follow') + '"' +
+      ' onclick="return _toggleFollow(event, \'' + Strings.slugify(name) + '\')">' + starIcon + '</button>';
+  }
+
+  /** Show how many athletes are followed on the Following button. */
+  function syncFollowCount() {
+    var el = document.getElementById('follow-count');
+    if (el) el.textContent = following.length ? following.length : '';
+  }
+
+  /**
+   * Link that carries the list to another device: opening it offers to
+   * add the athletes there.
+   * @returns {string}
+   */
+  function followShareURL() {
+    return CONFIG.SITE_URL + '/#following?add=' + following.join(',');
+  }
+
+  /**
+   * Slugs from a #following?add=... share link, or null without one.
+   * @returns {string[]|null}
+   */
+  function readFollowImport() {
+    var query = window.location.hash.toLowerCase().split('?')[1] || '';
+    var match = /(?:^|&)add=([^&]*)/.exec(query);
+    if (!match) return null;
+    var slugs = match[1].split(',').filter(function (s, i, all) {
+      return SLUG_RE.test(s) && all.indexOf(s) === i;
+    });
+    return slugs.length ? slugs : null;
+  }
+
+  window._toggleFollow = function (e, slug) {
+    if (e) e.stopPropagation();
+    var i = following.indexOf(slug);
+    if (i === -1) {
+      following.push(slug);
+    } else {
+      following.splice(i, 1);
+    }
+    saveFollowing();
+    syncFollowCount();
+    track('follow_athlete', { athlete: slug, following: i === -1 });
+    refreshView();
+    return false;
+  };
+
+  /**
+   * Act on a share link: 'add' merges its athletes into the list,
+   * 'replace' swaps the list for them, 'dismiss' ignores the link.
+   * @param {string} mode
+   */
+  window._importFollowing = function (mode) {
+    var slugs = (followImport || []).filter(function (s) { return athleteBySlug(s); });
+    if (mode === 'replace') {
+      following = slugs;
+    } else if (mode === 'add') {
+      slugs.forEach(function (s) {
+        if (following.indexOf(s) === -1) following.push(s);
+      });
+    }
+    followImport = null;
+    history.replaceState(null, '', '#following');
+    if (mode !== 'dismiss') {
+      saveFollowing();
+      syncFollowCount();
+      track('follow_list_import', { mode: mode, athletes: slugs.length });
+    }
+    render();
+  };
+
+  window._shareFollowing = function (btn) {
+    var url = followShareURL();
+    navigator.clipboard.writeText(url).then(function () {
+      btn.textContent = 'Link copied';
+      setTimeout(function () { btn.textContent = 'Copy link to my list'; }, 1500);
+    }).catch(function () {
+      window.prompt('Copy this link:', url);
+    });
+    track('follow_list_share', { athletes: following.length });
+  };
+
+  /**
+   * Top of the Following view: a pending share-link import, the list
+   * itself with its share link, and followed athletes' results so far.
+   * The view's event cards (upcoming, grouped by date) follow it.
+   * @returns {string} HTML string
+   */
+  function buildFollowingHeader() {
+    var html = '<div class="following-page">';
+
+    if (followImport) {
+      var shared = followImport.map(athleteBySlug).filter(Boolean);
+      html += '<div class="following-import">';
+      if (shared.length === 0) {
+        html += '<p>None of the athletes in this link are on the roster any more.</p>' +
+          '<button type="button" class="following-btn" onclick="_importFollowing(\'dismiss\')">OK</button>';
+      } else {
+        html += '<p>This link shares ' + shared.length + ' athlete' + (shared.length !== 1 ? 's' : '') + ': ' +
+          escapeHTML(shared.map(function (a) { return a.name; }).join(', ')) + '</p>';
+        html += '<button type="button" class="following-btn primary" onclick="_importFollowing(\'add\')">Add to my list</button>';
+        if (following.length) {
+          html += '<button type="button" class="following-btn" onclick="_importFollowing(\'replace\')">Replace my list</button>';
+        }
+        html += '<button type="button" class="following-btn" onclick="_importFollowing(\'dismiss\')">No thanks</button>';
+      }
+      html += '</div>';
+    }
+
+    var followed = following.map(athleteBySlug).filter(Boolean);
+    if (followed.length === 0) {
+      html += '<div class="following-empty">' +
+        '<h3>Follow your athletes</h3>' +
+        '<p>Tap the ' + starIcon + ' next to any athlete — on an event card, in the Athlete view or on their profile — ' +
+        'and their events and results collect here. Your list stays on this device; copy its link to take it to another.</p>' +
+        '</div>';
+      return html + '</div>';
+    }
+
+    html += '<div class="following-list">';
+    html += '<span class="following-label">Following</span>';
+    followed.forEach(function (ath) {
+      html += '<span class="athlete-tag' + (ath.isParkCity ? ' park-city' : '') + '">' +
+        athleteLink(ath.name, escapeHTML(ath.name)) + followButton(ath.name) + '</span>';
+    });
+    html += '</div>';
+    html += '<div class="following-share">';
+    html += '<button type="button" class="following-btn" onclick="_shareFollowing(this)">Copy link to my list</button>';
+    html += '<span class="following-hint">Open it on another device to bring your list along.</span>';
+    html += '</div>';
+
+    // Results so far, per followed athlete
+    var rows = '';
+    followed.forEach(function (ath) {
+      var evts = allEvents.filter(function (evt) {
+        return isPastDate(eventDay(evt)) && evt.athletes.some(function (a) { return a.name === ath.name; });
+      }).sort(compareStart);
+      if (evts.length) rows += buildCompletedRow(ath, evts);
+    });
+    if (rows) {
+      html += '<div class="athlete-list">';
+      html += '<div class="athlete-section-header">Results</div>';
+      html += rows;
+      html += '</div>';
+    }
+
+    html += '</div>';
+    return html;
+  }
+
+  // =====================================================================
+  // Matching Diagnostics (#debug/matching)
+  // =====================================================================
+
+  /** @type {Object|null} Report shown on the page, for the download link */
+  var matchingReport = null;
+
+  /**
+   * Quote a value for CSV when it holds a comma, quote or newline.
+   * @param {*} value
+   * @returns {string}
+   */
+  function csvCell(value) {
+    var str = value == null ? '' : String(value);
+    return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  }
+
+  /**
+   * @param {string[]} suggestions - From Schedule.diagnoseMatching()
+   * @returns {string} 'did you mean "Big Air"?', or '' with no suggestions
+   */
+  function didYouMean(suggestions) {
+    if (!suggestions || suggestions.length === 0) return '';
+    return 'did you mean ' + suggestions.map(function (s) { return '"' + s + '"'; }).join(' or ') + '?';
+  }
+
+  /**
+   * One row per finding, for fixing the roster sheet side by side:
+   * Check, Athlete, Sport, Value, Detail.
+   * @param {Object} report - From Schedule.diagnoseMatching()
+   * @returns {string} CSV text
+   */
+  function matchingReportCSV(report) {
+    var rows = [['Check', 'Athlete', 'Sport', 'Value', 'Detail']];
+    report.noEvents.forEach(function (item) {
+      rows.push(['No events', item.name, item.sport, '', [item.reason, didYouMean(item.suggestions)].filter(Boolean).join('; ')]);
+    });
+    report.unmatchedValues.forEach(function (item) {
+      var detail = [didYouMean(item.suggestions)];
+      if (item.elsewhere.length) detail.push('matches ' + item.elsewhere.join(', ') + ' events');
+      rows.push(['Unmatched Events value', item.name, item.sport, item.value, detail.filter(Boolean).join('; ')]);
+    });
+    report.genderConflicts.forEach(function (item) {
+      rows.push(['Gender conflict', item.name, item.sport, item.value, 'Gender ' + item.gender + ' but only matches ' + item.events.join(', ')]);
+    });
+    report.fallbackOnly.forEach(function (item) {
+      rows.push(['Fallback only', item.athletes.join('; '), item.sport, item.event, item.date + ' (' + item.key + ')']);
+    });
+    var join = Results.getJoinReport();
+    join.unjoined.forEach(function (item) {
+      Object.keys(item.athletes).forEach(function (name) {
+        rows.push(['Result not joined', name, item.sport, item.id,
+          item.event + ' ' + item.date + ': ' + Results.formatResult(item.athletes[name]) + '; ' + item.reason]);
+      });
+    });
+    join.joined.forEach(function (item) {
+      rows.push(['Result joined by ' + item.how, '', item.sport, item.from, 'now ' + item.to + ' (' + item.event + ')']);
+    });
+    join.renamed.forEach(function (item) {
+      rows.push(['Result name matched loosely', item.to, '', item.from, item.eventId]);
+    });
+    return rows.map(function (row) { return row.map(csvCell).join(','); }).join('\n') + '\n';
+  }
+
+  /**
+   * One section of the report: heading with a count, then a list.
+   * @param {string} title
+   * @param {string} hint - What the check means and how to fix it
+   * @param {string[]} items - HTML for each finding
+   * @returns {string} HTML
+   */
+  function buildReportSection(title, hint, items) {
+    var h = '<section class="diag-section">';
+    h += '<h3 class="diag-section-header">' + escapeHTML(title) +
+      ' <span class="diag-count' + (items.length ? ' diag-count-warn' : '') + '">' + items.length + '</span></h3>';
+    h += '<p class="diag-hint">' + escapeHTML(hint) + '</p>';
+    if (items.length === 0) {
+      h += '<p class="diag-none">None</p>';
+    } else {
+      h += '<ul class="diag-list">' + items.map(function (item) {
+        return '<li class="diag-item">' + item + '</li>';
+      }).join('') + '</ul>';
+    }
+    return h + '</section>';
+  }
+
+  /**
+   * Render the roster matching report: what matchScheduleToAthletes()
+   * quietly skipped or guessed, with near-miss suggestions.
+   * @param {HTMLElement} container - The schedule container element
+   */
+  function renderMatchingReport(container) {
+    var report = matchingReport = Schedule.diagnoseMatching(fullSchedule, roster);
+    var html = '<div class="diag-page">';
+
+    html += '<div class="diag-header">';
+    html += '<h2 class="diag-title">Athlete Matching Report</h2>';
+    html += '<p class="diag-summary">' + report.athletes + ' athletes on the roster, ' +
+      report.events + ' matched events</p>';
+    html += '<button class="diag-download" onclick="_downloadMatchingReport()">' + downloadIcon + ' Download report (.csv)</button>';
+    html += '<p class="diag-hint">Typos in the other columns (Sport, Gender, isParkCity, Status) are listed by sheet row on <a href="roster-check.html">roster-check.html</a>.</p>';
+    html += '</div>';
+
+    html += buildReportSection('Athletes with no events',
+      'On the roster but in no event on the page.',
+      report.noEvents.map(function (item) {
+        var hint = didYouMean(item.suggestions);
+        return '<strong>' + escapeHTML(item.name) + '</strong> <span class="diag-sport">' + escapeHTML(item.sport) + '</span> — ' +
+          escapeHTML(item.reason) + (hint ? '; <span class="diag-suggest">' + escapeHTML(hint) + '</span>' : '');
+      }));
+
+    html += buildReportSection('Events values that matched nothing',
+      'Text in the roster\'s Events column that appears in no event of the athlete\'s sport. The athlete is left out of that event.',
+      report.unmatchedValues.map(function (item) {
+        var h = '<strong>' + escapeHTML(item.name) + '</strong> <span class="diag-sport">' + escapeHTML(item.sport) + '</span> — ' +
+          '<code>' + escapeHTML(item.value) + '</code>';
+        var hint = didYouMean(item.suggestions);
+        if (hint) h += ' <span class="diag-suggest">' + escapeHTML(hint) + '</span>';
+        if (item.elsewhere.length) {
+          h += ' <span class="diag-note">(matches ' + escapeHTML(item.elsewhere.join(', ')) + ' events — check the Sport column)</span>';
+        }
+        return h;
+      }));
+
+    html += buildReportSection('Gender conflicts',
+      'Events values that only match events for the other gender. Check the Gender column.',
+      report.genderConflicts.map(function (item) {
+        return '<strong>' + escapeHTML(item.name) + '</strong> <span class="diag-sport">' + escapeHTML(item.sport) + '</span> — ' +
+          'gender ' + escapeHTML(item.gender) + ', <code>' + escapeHTML(item.value) + '</code> only matches ' +
+          escapeHTML(item.events.join(', '));
+      }));
+
+    html += buildReportSection('Events matched only by the empty-Events fallback',
+      'Every athlete here has a blank Events column, so they are listed in every event of their sport.',
+      report.fallbackOnly.map(function (item) {
+        return escapeHTML(formatDate(item.date)) + ' · <strong>' + escapeHTML(item.sport) + ' — ' + escapeHTML(item.event) + '</strong>: ' +
+          escapeHTML(item.athletes.join(', '));
+      }));
+
+    var join = Results.getJoinReport();
+    html += buildReportSection('Results that joined no event',
+      'Entries in the Results tab (or data/results.json) shown on no event card. They are kept, not dropped: fix the Event ID or the name and they appear.',
+      join.unjoined.map(function (item) {
+        return '<code>' + escapeHTML(item.id) + '</code> ' + (item.date ? escapeHTML(formatDate(item.date)) + ' · ' : '') +
+          '<strong>' + escapeHTML(item.sport) + ' — ' + escapeHTML(item.event) + '</strong>: ' +
+          escapeHTML(Object.keys(item.athletes).map(function (name) {
+            return name + ' ' + Results.formatResult(item.athletes[name]);
+          }).join(', ')) +
+          ' <span class="diag-note">(' + escapeHTML(item.reason) + ')</span>';
+      }));
+
+    html += buildReportSection('Results found under an old event ID',
+      'Entered against an event ID the schedule has since changed, and joined by the change log, the supplement\'s aliases or the event\'s sport, gender and discipline. Worth updating the Event ID.',
+      join.joined.map(function (item) {
+        return '<code>' + escapeHTML(item.from) + '</code> → <code>' + escapeHTML(item.to) + '</code> ' +
+          '<strong>' + escapeHTML(item.sport) + ' — ' + escapeHTML(item.event) + '</strong>' +
+          ' <span class="diag-note">(by ' + (item.how === 'alias' ? 'old ID' : 'sport, gender and discipline') + ')</span>';
+      }));
+
+    html += buildReportSection('Result names spelled differently from the roster',
+      'Matched ignoring accents, nicknames, "Last, First" order or a small typo. Check each is the right athlete.',
+      join.renamed.map(function (item) {
+        return '<code>' + escapeHTML(item.from) + '</code> → <strong>' + escapeHTML(item.to) + '</strong>' +
+          ' <span class="diag-note">(' + escapeHTML(item.eventId) + ')</span>';
+      }));
+
+    html += '</div>';
+    container.innerHTML = html;
+    postHeight();
+  }
+
+  window._downloadMatchingReport = function () {
+    if (!matchingReport) return;
+    downloadFile('athlete-matching-report.csv', matchingReportCSV(matchingReport), 'text/csv;charset=utf-8');
+    track('matching_report_download', {
+      no_events: matchingReport.noEvents.length,
+      unmatched: matchingReport.unmatchedValues.length
+    });
+  };
+
+  // =====================================================================
+  // Results Editor (#admin/results)
+  // =====================================================================
+
+  /** @type {string} localStorage key for entries not yet downloaded */
+  var RESULTS_DRAFT_KEY = 'utah_olympics_results_draft';
+
+  /**
+   * Event ID → { team, edited, athletes: { name → fields } } being edited.
+   * Fields are the editor's inputs as typed (rank, medal, mark, gap,
+   * status, note) plus the round of a published result.
+   * @type {Object|null}
+   */
+  var resultsDraft = null;
+
+  /** @type {Object} Event ID → event, for the events on the editor page */
+  var editorEventsById = {};
+
+  /** @type {string[]} Status codes offered in the editor ('' = finished normally) */
+  var EDITOR_STATUSES = ['', 'Q', 'DNQ', 'DNF', 'DNS', 'DSQ'];
+
+  /** @type {string[]} Results-tab columns, as Results.fetchResults() reads them */
+  var RESULTS_CSV_COLUMNS = ['Event ID', 'Sport', 'Event', 'Date', 'Athlete', 'Rank', 'Medal', 'Mark',
+    'Units', 'Gap', 'Round', 'Status', 'Result', 'Team'];
+
+  function loadResultsDraft() {
+    if (resultsDraft) return;
+    try {
+      resultsDraft = JSON.parse(localStorage.getItem(RESULTS_DRAFT_KEY) || 'null');
+    } catch (e) {
+      resultsDraft = null;
+    }
+    if (!resultsDraft || typeof resultsDraft !== 'object') resultsDraft = {};
+  }
+
+  /** Keep edited events only, so the rest follow the published results. */
+  function saveResultsDraft() {
+    var edited = {};
+    Object.keys(resultsDraft).forEach(function (id) {
+      if (resultsDraft[id].edited) edited[id] = resultsDraft[id];
+    });
+    try {
+      localStorage.setItem(RESULTS_DRAFT_KEY, JSON.stringify(edited));
+    } catch (e) {
+      // ignore storage errors
+    }
+  }
+
+  /**
+   * Editor inputs for a published result record.
+   * @param {Object} r - From Results.normalizeResult()
+   * @returns {Object}
+   */
+  function resultFields(r) {
+    return {
+      rank: r.rank ? String(r.rank) : '',
+      medal: r.medal,
+      mark: r.mark ? r.mark + (r.markType === 'time' ? '' : ' ' + r.units) : '',
+      gap: r.gap,
+      status: r.status,
+      note: r.note,
+      round: r.round
+    };
+  }
+
+  /**
+   * The draft for an event, started from its published results.
+   * @param {Object} evt
+   * @returns {Object} { team, edited, athletes }
+   */
+  function draftFor(evt) {
+    if (!resultsDraft[evt.id]) {
+      var athletes = {};
+      Object.keys(evt.results || {}).forEach(function (name) {
+        athletes[name] = resultFields(evt.results[name]);
+      });
+      resultsDraft[evt.id] = { team: Results.isTeamEvent(evt), edited: false, athletes: athletes };
+    }
+    return resultsDraft[evt.id];
+  }
+
+  /**
+   * Events results can be entered for: started (or marked final by the
+   * API), or already with results; newest first.
+   * @returns {Object[]}
+   */
+  function editorEvents() {
+    return allEvents.filter(function (evt) {
+      if (!evt.id || evt.status === 'cancelled' || evt.status === 'postponed') return false;
+      return !!evt.results || hasStarted(evt);
+    }).sort(function (a, b) {
+      return (Time.eventStart(b) || 0) - (Time.eventStart(a) || 0);
+    });
+  }
+
+  /**
+   * Athletes in an event's editor table: the matched ones, then any
+   * others with a result for it.
+   * @param {Object} evt
+   * @returns {string[]}
+   */
+  function editorAthletes(evt) {
+    var names = (evt.athletes || []).map(function (a) { return a.name; });
+    Object.keys(draftFor(evt).athletes).forEach(function (name) {
+      if (names.indexOf(name) === -1) names.push(name);
+    });
+    return names;
+  }
+
+  /**
+   * Every result in the draft, read the way the site will read it, then
+   * the published results that joined no event (#debug/matching), as they
+   * were, so a download never drops them.
+   * @returns {Object[]} { evt, team, unjoined, athletes: [{ name, record }] },
+   *   by date
+   */
+  function draftResults() {
+    var items = [];
+    editorEvents().forEach(function (evt) {
+      var entry = draftFor(evt);
+      var athletes = [];
+      editorAthletes(evt).forEach(function (name) {
+        var record = Results.normalizeResult(entry.athletes[name] || null, evt.sport);
+        if (record) athletes.push({ name: name, record: record });
+      });
+      athletes.sort(function (a, b) { return Results.compareResults(a.record, b.record); });
+      if (athletes.length) items.push({ evt: evt, team: entry.team, athletes: athletes });
+    });
+    items.reverse();
+    Results.getJoinReport().unjoined.forEach(function (item) {
+      items.push({
+        evt: { id: item.id, sport: item.sport, event: item.event, date: item.date },
+        team: item.team,
+        unjoined: true,
+        athletes: Object.keys(item.athletes).map(function (name) {
+          return { name: name, record: item.athletes[name] };
+        })
+      });
+    });
+    return items;
+  }
+
+  /**
+   * data/results.json text for the draft.
+   * @param {Object[]} items - From draftResults()
+   * @returns {string}
+   */
+  function draftResultsJSON(items) {
+    var results = {};
+    items.forEach(function (item) {
+      var athletes = {};
+      item.athletes.forEach(function (a) {
+        var r = a.record;
+        var out = {};
+        if (r.rank) out.rank = r.rank;
+        ['medal', 'mark', 'units', 'gap', 'round', 'status', 'note'].forEach(function (key) {
+          if (r[key] && (key !== 'units' || r.mark)) out[key] = r[key];
+        });
+        athletes[a.name] = out;
+      });
+      if (results[item.evt.id]) {
+        // Unjoined names under an event's own ID
+        Object.keys(athletes).forEach(function (name) { results[item.evt.id].athletes[name] = athletes[name]; });
+        return;
+      }
+      results[item.evt.id] = {
+        sport: item.evt.sport,
+        event: item.evt.event || item.evt.discipline || '',
+        date: item.evt.date,
+        team: item.team,
+        athletes: athletes
+      };
+    });
+    var data = {
+      _meta: { updated: new Date().toISOString(), note: 'Park City athlete results. Keyed by API event ID. Written by the #admin/results editor.' },
+      results: results
+    };
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  /**
+   * Results-tab CSV for the draft, one row per athlete.
+   * @param {Object[]} items - From draftResults()
+   * @returns {string}
+   */
+  function draftResultsCSV(items) {
+    var rows = [RESULTS_CSV_COLUMNS];
+    items.forEach(function (item) {
+      item.athletes.forEach(function (a) {
+        var r = a.record;
+        rows.push([
+          item.evt.id, item.evt.sport, item.evt.event || item.evt.discipline || '', item.evt.date, a.name,
+          r.rank || '', r.medal ? r.medal.charAt(0).toUpperCase() + r.medal.slice(1) : '',
+          r.mark, r.mark ? r.units : '', r.gap, r.round, r.status, r.note, item.team ? 'TRUE' : 'FALSE'
+        ]);
+      });
+    });
+    return rows.map(function (row) { return row.map(csvCell).join(','); }).join('\n') + '\n';
+  }
+
+  /** @returns {string} "12 results in 8 events (3 events edited here), 1 not joined" */
+  function editorSummary() {
+    var items = draftResults();
+    var joined = items.filter(function (item) { return !item.unjoined; });
+    var count = joined.reduce(function (n, item) { return n + item.athletes.length; }, 0);
+    var unjoined = items.reduce(function (n, item) { return n + (item.unjoined ? item.athletes.length : 0); }, 0);
+    var edited = Object.keys(resultsDraft).filter(function (id) { return resultsDraft[id].edited; }).length;
+    return count + ' result' + (count !== 1 ? 's' : '') + ' in ' + joined.length + ' event' + (joined.length !== 1 ? 's' : '') +
+      (edited ? ' (' + edited + ' event' + (edited !== 1 ? 's' : '') + ' edited here)' : '') +
+      (unjoined ? ', ' + unjoined + ' not joined to any event' : '');
+  }
+
+  /**
+   * @param {Object} evt
+   * @param {Object} [fields]
+   * @returns {string} The badge the site would show, or a dash
+   */
+  function editorPreview(evt, fields) {
+    var record = Results.normalizeResult(fields || null, evt.sport);
+    return record ? buildResultBadge(record, true) : '<span class="editor-empty">—</span>';
+  }
+
+  /**
+   * @param {string} name - Input name (a fields key)
+   * @param {string[]} values
+   * @param {string[]} labels
+   * @param {string} current
+   * @param {string} label - Accessible name
+   * @returns {string} HTML select
+   */
+  function editorSelect(name, values, labels, current, label) {
+    return '<select name="' + name + '" aria-label="' + escapeHTML(label) + '" onchange="_editResult(this)">' +
+      values.map(function (v, i) {
+        return '<option value="' + v + '"' + (v === current ? ' selected' : '') + '>' + labels[i] + '</option>';
+      }).join('') + '</select>';
+  }
+
+  /**
+   * One athlete's row of inputs, with a live badge preview.
+   * @param {Object} evt
+   * @param {string} name
+   * @returns {string} HTML
+   */
+  function buildEditorRow(evt, name) {
+    var fields = draftFor(evt).athletes[name] || {};
+    var input = function (field, label, placeholder, type) {
+      return '<input name="' + field + '" type="' + (type || 'text') + '"' + (type === 'number' ? ' min="1"' : '') +
+        ' value="' + escapeHTML(fields[field] || '') + '" placeholder="' + placeholder + '"' +
+        ' aria-label="' + escapeHTML(label + ', ' + name) + '" oninput="_editResult(this)">';
+    };
+    var h = '<tr data-athlete="' + escapeHTML(name) + '">';
+    h += '<th scope="row">' + escapeHTML(name) + '</th>';
+    h += '<td>' + input('rank', 'Rank', '7', 'number') + '</td>';
+    h += '<td>' + editorSelect('medal', ['', 'gold', 'silver', 'bronze'], ['', 'Gold', 'Silver', 'Bronze'],
+      fields.medal || '', 'Medal, ' + name) + '</td>';
+    h += '<td>' + input('mark', 'Time or score', '1:43.21') + '</td>';
+    h += '<td>' + input('gap', 'Gap', '+1.08') + '</td>';
+    h += '<td>' + editorSelect('status', EDITOR_STATUSES, EDITOR_STATUSES, fields.status || '', 'Status, ' + name) + '</td>';
+    h += '<td>' + input('note', 'Note', '') + '</td>';
+    h += '<td class="editor-preview">' + editorPreview(evt, fields) + '</td>';
+    return h + '</tr>';
+  }
+
+  /**
+   * Render the results editor: every started event with its Park City
+   * athletes, the event ID filled in, and downloads the site reads as-is.
+   * @param {HTMLElement} container - The schedule container element
+   */
+  function renderResultsEditor(container) {
+    loadResultsDraft();
+    var events = editorEvents();
+    editorEventsById = {};
+    var html = '<div class="diag-page results-editor">';
+
+    html += '<div class="diag-header">';
+    html += '<h2 class="diag-title">Results Editor</h2>';
+    html += '<p class="diag-summary" id="editor-summary">' + escapeHTML(editorSummary()) + '</p>';
+    html += '<div class="editor-actions">';
+    html += '<button class="diag-download" onclick="_downloadResults(\'json\')">' + downloadIcon + ' results.json</button>';
+    html += '<button class="diag-download" onclick="_downloadResults(\'csv\')">' + downloadIcon + ' Results tab (.csv)</button>';
+    html += '<button class="diag-download" onclick="_discardResultsDraft()">Discard my edits</button>';
+    html += '</div>';
+    html += '<p class="diag-hint">Events that have started, newest first. Edits stay in this browser until downloaded: put ' +
+      '<code>results.json</code> in <code>data/</code>, or paste the CSV over the sheet\'s Results tab. Both hold every ' +
+      'result on this page, published or entered here, plus any that joined no event ' +
+      '(listed on <a href="#debug/matching">#debug/matching</a>) unchanged. Time or score: <code>1:43.21</code>, <code>87.5 pts</code>, <code>134.5 m</code>.</p>';
+    html += '</div>';
+
+    if (events.length === 0) html += '<p class="diag-none">No events have started yet.</p>';
+    var lastDate = '';
+    events.forEach(function (evt) {
+      editorEventsById[evt.id] = evt;
+      var day = eventDay(evt);
+      if (day !== lastDate) {
+        html += '<h3 class="results-date-label">' + escapeHTML(formatDate(day)) + '</h3>';
+        lastDate = day;
+      }
+      var entry = draftFor(evt);
+      html += '<section class="diag-section editor-event" data-id="' + escapeHTML(evt.id) + '">';
+      html += '<div class="editor-event-header"><strong>' + escapeHTML(evt.sport) + ' — ' + escapeHTML(evt.event || evt.discipline || '') +
+        '</strong> <code class="editor-event-id">' + escapeHTML(evt.id) + '</code>';
+      html += '<label class="editor-team"><input type="checkbox" name="team"' + (entry.team ? ' checked' : '') +
+        ' onchange="_editResult(this)"> Team medal</label></div>';
+      html += '<div class="editor-table-wrap"><table class="editor-table"><thead><tr><th>Athlete</th><th>Rank</th><th>Medal</th>' +
+        '<th>Time / score</th><th>Gap</th><th>Status</th><th>Note</th><th>Shown as</th></tr></thead><tbody>';
+      editorAthletes(evt).forEach(function (name) { html += buildEditorRow(evt, name); });
+      html += '</tbody></table></div>';
+      html += '</section>';
+    });
+
+    html += '</div>';
+    container.innerHTML = html;
+    postHeight();
+  }
+
+  /** Store one input's value and refresh that row's preview in place. */
+  window._editResult = function (input) {
+    var evt = editorEventsById[input.closest('.editor-event').getAttribute('data-id')];
+    if (!evt) return;
+    var entry = draftFor(evt);
+    entry.edited = true;
+    if (input.name === 'team') {
+      entry.team = input.checked;
+    } else {
+      var row = input.closest('tr');
+      var name = row.getAttribute('data-athlete');
+      var fields = entry.athletes[name] || (entry.athletes[name] = {});
+      fields[input.name] = input.value.trim();
+      row.querySelector('.editor-preview').innerHTML = editorPreview(evt, fields);
+    }
+    saveResultsDraft();
+    document.getElementById('editor-summary').textContent = editorSummary();
+  };
+
+  /** @param {string} format - 'json' | 'csv' */
+  window._downloadResults = function (format) {
+    var items = draftResults();
+    if (format === 'csv') downloadFile('results-tab.csv', draftResultsCSV(items), 'text/csv;charset=utf-8');
+    else downloadFile('results.json', draftResultsJSON(items), 'application/json');
+    track('results_editor_download', { format: format, events: items.length });
+  };
+
+  window._discardResultsDraft = function () {
+    if (!window.confirm('Discard the results entered here and go back to the published ones?')) return;
+    resultsDraft = {};
+    saveResultsDraft();
+    render();
+  };
+
   // Start on DOM ready
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -15,14 +15,22 @@
  * The "Events" column is semicolon-delimited (e.g., "Downhill;Super-G") and
  * is used by schedule.js to match athletes to specific event disciplines.
  *
- * Exposes: Athletes.fetchAthletes(), Athletes.parseCSV()
+ * Optional columns fill in the #athlete/<slug> profile page:
+ *   Photo, Hometown, History (Park City programs, semicolon-delimited),
+ *   Olympics (previous Games, semicolon-delimited), Links (profile URLs,
+ *   semicolon-delimited), Bio
+ *
+ * Exposes: Athletes.fetchAthletes(), Athletes.parseCSV(), Athletes.parseRoster(),
+ *          Athletes.normalizeAthlete(), Athletes.nameKey()
+ *
+ * Also loadable with require() so api/ functions parse the same roster.
  *
  * @module Athletes
  */
 var Athletes = (function () {
 
   /** @type {string} localStorage key for cached athlete data */
-  var CACHE_KEY = 'utah_olympics_athletes_v5';
+  var CACHE_KEY = 'utah_olympics_athletes_v6';
 
   /** @type {number} Cache time-to-live: 1 hour in milliseconds */
   var CACHE_TTL = 60 * 60 * 1000;
@@ -41,23 +49,27 @@ var Athletes = (function () {
    * newlines inside quotes, and escaped double-quotes ("").
    *
    * @param {string} text - Raw CSV text
+   * @param {boolean} [keepRows] - Add each record's sheet row number as
+   *   _row (the header is row 1), for reports that point back at the sheet
    * @returns {Object[]} Array of objects keyed by lowercase header names
    */
-  function parseCSV(text) {
+  function parseCSV(text, keepRows) {
     var lines = [];
     var current = '';
     var inQuotes = false;
 
-    // Split text into logical lines (respecting quoted newlines)
+    // Split text into logical lines (respecting quoted newlines). Quotes
+    // are kept so splitCSVLine() still sees which commas are inside them.
     for (var i = 0; i < text.length; i++) {
       var ch = text[i];
       if (ch === '"') {
         if (inQuotes && text[i + 1] === '"') {
           // Escaped double-quote inside a quoted field
-          current += '"';
+          current += '""';
           i++;
         } else {
           inQuotes = !inQuotes;
+          current += ch;
         }
       } else if (ch === '\n' && !inQuotes) {
         lines.push(current);
@@ -84,6 +96,7 @@ var Athletes = (function () {
       for (var k = 0; k < headers.length; k++) {
         obj[headers[k].trim().toLowerCase()] = (values[k] || '').trim();
       }
+      if (keepRows) obj._row = j + 1;
       rows.push(obj);
     }
     return rows;
@@ -121,6 +134,59 @@ var Athletes = (function () {
     return fields;
   }
 
+  /**
+   * Split a semicolon-delimited cell into trimmed, non-empty values.
+   * @param {string} [value] - e.g. "Downhill; Super-G"
+   * @returns {string[]}
+   */
+  function splitList(value) {
+    return (value || '').split(';').map(function (e) { return e.trim(); }).filter(Boolean);
+  }
+
+  /**
+   * First-name nicknames → the name they're short for. Both sides are
+   * mapped, so "Zack", "Zach" and "Zachary" all compare equal.
+   * @type {Object.<string, string>}
+   */
+  var NICKNAMES = {
+    alex: 'alexander', andy: 'andrew', drew: 'andrew', ben: 'benjamin',
+    bill: 'william', will: 'william', bob: 'robert', rob: 'robert',
+    chris: 'christopher', dan: 'daniel', danny: 'daniel', dave: 'david',
+    ed: 'edward', jim: 'james', jimmy: 'james', jamie: 'james',
+    joe: 'joseph', joey: 'joseph', jon: 'jonathan', kate: 'katherine',
+    katie: 'katherine', kathy: 'katherine', liz: 'elizabeth', beth: 'elizabeth',
+    matt: 'matthew', mike: 'michael', nick: 'nicholas', pat: 'patrick',
+    sam: 'samuel', steve: 'steven', stephen: 'steven', tom: 'thomas',
+    tommy: 'thomas', tony: 'anthony', zack: 'zachary', zach: 'zachary',
+    zak: 'zachary', nate: 'nathan', nathaniel: 'nathan', abby: 'abigail',
+    becky: 'rebecca', jen: 'jennifer', jenny: 'jennifer', meg: 'margaret',
+    maggie: 'margaret', tess: 'tessa'
+  };
+
+  /** @type {Object} Name suffixes left out of the comparison */
+  var SUFFIXES = { jr: true, sr: true, ii: true, iii: true, iv: true };
+
+  /**
+   * Comparison key for a name: folded, "Last, First" turned around,
+   * nicknames expanded, suffixes dropped and words sorted.
+   * "Ledecká, Ester" and "Ester Ledecka" → "ester ledecka". Identifies an
+   * athlete across the roster copies (reconcile.js) and the Results tab.
+   *
+   * @param {string} name
+   * @returns {string}
+   */
+  function nameKey(name) {
+    var str = Strings.fold(name).trim();
+    var comma = str.indexOf(',');
+    if (comma !== -1) str = str.slice(comma + 1) + ' ' + str.slice(0, comma);
+    return str.replace(/['’.]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(function (w) { return w && !SUFFIXES[w]; })
+      .map(function (w) { return NICKNAMES[w] || w; })
+      .sort()
+      .join(' ');
+  }
+
   /**
    * Normalize a parsed CSV row into a standard athlete object.
    *
@@ -136,6 +202,12 @@ var Athletes = (function () {
    *   - status {string}    — "active" or "inactive"
    *   - gender {string}    — "M", "F", or "" (single character)
    *   - events {string[]}  — List of event disciplines (from semicolon-delimited column)
+   *   - photo {string}     — Headshot URL (optional)
+   *   - hometown {string}  — e.g. "Park City, Utah" (optional)
+   *   - history {string[]} — Park City programs over the years (optional)
+   *   - olympics {string[]} — Previous Games, e.g. "2022 Beijing" (optional)
+   *   - links {string[]}   — Social / team profile URLs (optional)
+   *   - bio {string}       — Short bio (optional)
    */
   function normalizeAthlete(row) {
     return {
@@ -150,10 +222,28 @@ var Athletes = (function () {
       program: row.program || '',
       status: (row.status || 'active').toLowerCase().trim(),
       gender: (row.gender || '').toUpperCase().trim().charAt(0) || '',
-      events: (row.events || '').split(';').map(function (e) { return e.trim(); }).filter(Boolean)
+      events: splitList(row.events),
+      photo: row.photo || '',
+      hometown: row.hometown || '',
+      history: splitList(row.history),
+      olympics: splitList(row.olympics),
+      links: splitList(row.links),
+      bio: row.bio || ''
     };
   }
 
+  /**
+   * Parse roster CSV text into normalized, active athlete objects.
+   *
+   * @param {string} text - Raw CSV text
+   * @returns {Object[]}
+   */
+  function parseRoster(text) {
+    return parseCSV(text).map(normalizeAthlete).filter(function (a) {
+      return a.name && a.status === 'active';
+    });
+  }
+
   /**
    * Fetch athletes from a published Google Sheet (exported as CSV).
    *
@@ -167,10 +257,7 @@ var Athletes = (function () {
         if (!res.ok) throw new Error('Google Sheet fetch failed: ' + res.status);
         return res.text();
       })
-      .then(function (text) {
-        var rows = parseCSV(text);
-        return rows.map(normalizeAthlete).filter(function (a) { return a.name && a.status === 'active'; });
-      });
+      .then(parseRoster);
   }
 
   /**
@@ -185,10 +272,7 @@ var Athletes = (function () {
         if (!res.ok) throw new Error('Local CSV fetch failed: ' + res.status);
         return res.text();
       })
-      .then(function (text) {
-        var rows = parseCSV(text);
-        return rows.map(normalizeAthlete).filter(function (a) { return a.name && a.status === 'active'; });
-      });
+      .then(parseRoster);
   }
 
   /**
@@ -246,6 +330,14 @@ var Athletes = (function () {
   // Public API
   return {
     fetchAthletes: fetchAthletes,
-    parseCSV: parseCSV
+    parseCSV: parseCSV,
+    parseRoster: parseRoster,
+    normalizeAthlete: normalizeAthlete,
+    nameKey: nameKey
   };
 })();
+
+// Node (api/ serverless functions) loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Athletes;
+}
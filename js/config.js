@@ -1,13 +1,18 @@
 /**
  * config.js — Global configuration for the Park City Olympics 2026 tracker.
  *
- * This file defines all external service credentials, data paths, and
+ * This file defines public service identifiers, data paths, and
  * runtime settings used across the application. It is loaded first
  * (before athletes.js, schedule.js, and app.js) and exposes a single
  * global `CONFIG` object.
  *
+ * Everything here ships to every browser — never put secrets in it. The
+ * RapidAPI key lives in the RAPIDAPI_KEY environment variable of the
+ * api/events.js serverless function instead.
+ *
  * To set up a new environment:
  *   1. Get a RapidAPI key from https://rapidapi.com/jxancestral17/api/milano-cortina-2026-olympics-api
+ *      and set it as RAPIDAPI_KEY in the Vercel project settings
  *   2. Create a Google Sheet from data/athletes-seed.csv, publish as CSV
  *   3. Paste the Sheet ID below
  *
@@ -17,18 +22,13 @@
 var CONFIG = {
 
   /**
-   * RapidAPI key for the Milano Cortina 2026 Olympics schedule API.
-   * Used by schedule.js to fetch event data.
-   * Sign up: https://rapidapi.com/jxancestral17/api/milano-cortina-2026-olympics-api
-   * @type {string}
-   */
-  RAPIDAPI_KEY: 'a8802497fbmsh86e64da398fd5eap1e55d0jsn0efa500fb258',
-
-  /**
-   * RapidAPI host header value for the schedule API.
+   * Same-origin endpoint serving the normalized schedule (api/events.js).
+   * It calls the Milano Cortina 2026 RapidAPI server-side with the key from
+   * its environment and caches one shared response for all visitors.
+   * Set to '' to run purely from FALLBACK_SCHEDULE.
    * @type {string}
    */
-  RAPIDAPI_HOST: 'milano-cortina-2026-olympics-api.p.rapidapi.com',
+  SCHEDULE_ENDPOINT: '/api/events',
 
   /**
    * Google Sheet ID for the athlete roster (published to web as CSV).
@@ -53,11 +53,35 @@ var CONFIG = {
    */
   BROADCAST_DATA: 'data/broadcast.json',
 
+  /**
+   * Path to the event duration table (minutes per sport/discipline, plus
+   * per-event-ID overrides). Sets each event's end time for calendar links.
+   * @type {string}
+   */
+  DURATION_DATA: 'data/durations.json',
+
+  /**
+   * Path to the classification rules: API sport names, reclassification of
+   * misfiled events, missing venues, discipline cleaning, and the roster
+   * sport/event aliases used for matching. Test edits on rules-tester.html.
+   * @type {string}
+   */
+  CLASSIFICATION_DATA: 'data/classification.json',
+
+  /**
+   * Path to the hand-maintained schedule supplement: events the API is
+   * missing, and per-event-ID fixes for fields the API gets wrong.
+   * Merged into the schedule by Schedule.applySupplement().
+   * @type {string}
+   */
+  SUPPLEMENT_DATA: 'data/schedule-supplement.json',
+
   /**
    * Google Sheet tab GID for the "Results" tab.
    * Found in the sheet URL after #gid= when viewing that tab.
    * Same sheet as GOOGLE_SHEET_ID, different tab.
-   * Columns: Event ID, Sport, Event, Date, Athlete, Result
+   * Columns: Event ID, Sport, Event, Date, Athlete, then any of
+   * Rank, Medal, Mark, Units, Gap, Round, Status, Result, Team (see results.js)
    * @type {string}
    */
   RESULTS_SHEET_GID: '301400044',
@@ -69,7 +93,32 @@ var CONFIG = {
   RESULTS_FALLBACK: 'data/results.json',
 
   /**
-   * Local JSON fallback for when the RapidAPI schedule endpoint is
+   * Same-origin endpoint serving the results tabs (api/results.js,
+   * ?tab=results or ?tab=standings). It reads the sheet server-side and
+   * caches one shared copy, so live polling doesn't send every open page
+   * to Google. Set to '' to read the sheet straight from the browser.
+   * @type {string}
+   */
+  RESULTS_ENDPOINT: '/api/results',
+
+  /**
+   * Google Sheet tab GID for the optional "Standings" tab: every finisher
+   * of an event, for the per-event page (#event/<id>). Same columns as the
+   * Results tab plus Country. '' to use STANDINGS_DATA only.
+   * @type {string}
+   */
+  STANDINGS_SHEET_GID: '',
+
+  /**
+   * Local JSON with full standings, used when there is no Standings tab
+   * (or it fails). Optional: events without standings show Park City
+   * results only.
+   * @type {string}
+   */
+  STANDINGS_DATA: 'data/standings.json',
+
+  /**
+   * Local JSON fallback for when the /api/events schedule endpoint is
    * unavailable (rate-limited, down, etc.). Generated by fetching /events
    * and saving the raw response. Updated periodically.
    * @type {string}
@@ -84,8 +133,14 @@ var CONFIG = {
 
   /**
    * User's timezone (auto-detected via Intl API).
-   * Used for display purposes; CET-to-local conversion happens in app.js.
+   * Default display zone; readers can pick another in the controls bar.
+   * Venue-to-viewer conversion happens in time.js.
    * @type {string}
    */
   TIMEZONE: Intl.DateTimeFormat().resolvedOptions().timeZone
 };
+
+// Node (api/ serverless functions) loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CONFIG;
+}
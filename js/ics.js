@@ -0,0 +1,281 @@
+/**
+ * ics.js — iCalendar (RFC 5545) export for one or many events.
+ *
+ * Used in the browser for "Add to Calendar" and bulk downloads, and by
+ * api/calendar.js for the subscribable webcal:// feeds, so both produce
+ * identical VEVENTs:
+ *   - UID from the event's stable key (survives reschedules), so calendar
+ *     apps update an event in place instead of adding a second copy
+ *   - SEQUENCE from evt.sequence (set by /api/events, rises when the
+ *     event changes)
+ *   - STATUS from evt.status: CANCELLED, TENTATIVE while postponed,
+ *     otherwise CONFIRMED
+ *   - VALARM reminder before the start (not for cancelled events)
+ *   - Lines folded at 75 octets, text escaped
+ *
+ * Exposes: ICS.buildCalendar(), ICS.eventSpan(), ICS.summary(),
+ *          ICS.describe(), ICS.feedURL(), ICS.siteURL()
+ *
+ * Also loadable with require() so api/ functions share the output.
+ *
+ * @module ICS
+ */
+var ICS = (function () {
+
+  /** @type {string} PRODID for every calendar we emit */
+  var PRODID = '-//TownLift//Park City Olympics 2026//EN';
+
+  /** @type {number} Default reminder, in minutes before the start */
+  var ALARM_MINUTES = 30;
+
+  /** @type {Object.<string, string>} evt.status → VEVENT STATUS (default CONFIRMED) */
+  var EVENT_STATUS = { cancelled: 'CANCELLED', postponed: 'TENTATIVE' };
+
+  /** @type {number} Fallback length when an event has no duration */
+  var DEFAULT_MINUTES = 120;
+
+  /** Zero-pad a number to 2 digits. */
+  function pad2(n) { return n < 10 ? '0' + n : '' + n; }
+
+  /**
+   * Site base URL without a trailing slash (CONFIG.SITE_URL when loaded).
+   * @returns {string}
+   */
+  function siteURL() {
+    var url = (typeof CONFIG !== 'undefined' && CONFIG.SITE_URL) || 'https://utah2026.townlift.com';
+    return url.replace(/\/$/, '');
+  }
+
+  /**
+   * Format an instant as an iCalendar UTC date-time, e.g. "20260207T103000Z".
+   * @param {Date} d
+   * @returns {string}
+   */
+  function formatUTC(d) {
+    return d.getUTCFullYear() +
+      pad2(d.getUTCMonth() + 1) +
+      pad2(d.getUTCDate()) + 'T' +
+      pad2(d.getUTCHours()) +
+      pad2(d.getUTCMinutes()) +
+      pad2(d.getUTCSeconds()) + 'Z';
+  }
+
+  /**
+   * Start/end instants of an event. Events without a start time are placed
+   * at noon venue time on their date; the length is evt.duration (minutes,
+   * from data/durations.json).
+   *
+   * @param {Object} evt - Normalized event
+   * @returns {{ start: Date, end: Date, minutes: number }}
+   */
+  function eventSpan(evt) {
+    var start = Time.eventStart(evt) ||
+      Time.zonedToInstant(evt.date || '2026-02-06', '12:00', Time.VENUE_ZONE);
+    var minutes = evt.duration || DEFAULT_MINUTES;
+    return { start: start, end: new Date(start.getTime() + minutes * 60 * 1000), minutes: minutes };
+  }
+
+  /**
+   * Calendar title, e.g. "Alpine Skiing: Men's Downhill - 2026 Olympics".
+   * @param {Object} evt
+   * @returns {string}
+   */
+  function summary(evt) {
+    return evt.sport + ': ' + (evt.event || evt.discipline || '') + ' - 2026 Olympics';
+  }
+
+  /**
+   * Plain-text event description: venue, where to watch, Park City athletes.
+   *
+   * @param {Object} evt - Event with broadcast and athletes
+   * @param {string} [zone] - IANA zone for broadcast times (defaults to the viewer zone)
+   * @returns {string}
+   */
+  function describe(evt, zone) {
+    var lines = [];
+    lines.push('2026 Winter Olympics');
+    lines.push(evt.sport + ' - ' + (evt.event || evt.discipline || ''));
+    lines.push('');
+    if (evt.venue) {
+      lines.push('Venue: ' + evt.venue);
+      lines.push('');
+    }
+    if (evt.durationEstimated) {
+      lines.push('End time is an estimate.');
+      lines.push('');
+    }
+    if (evt.broadcast && evt.broadcast.length > 0) {
+      lines.push('Where to Watch:');
+      evt.broadcast.forEach(function (b) {
+        var line = '- ' + b.network;
+        if (b.start) line += ' at ' + Time.formatTime(new Date(b.start), zone);
+        var typeLabel = b.type === 'streaming' ? 'Stream' : b.type.charAt(0).toUpperCase() + b.type.slice(1);
+        line += ' (' + typeLabel + ')';
+        lines.push(line);
+      });
+      lines.push('');
+    }
+    if (evt.athletes && evt.athletes.length > 0) {
+      lines.push('Park City Athletes:');
+      evt.athletes.forEach(function (a) {
+        var line = '- ' + a.name;
+        if (a.isParkCity) line += ' (Park City)';
+        else if (a.country && a.country !== 'USA') line += ' (' + a.country + ')';
+        lines.push(line);
+      });
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Escape a TEXT value (RFC 5545 §3.3.11).
+   * @param {string} str
+   * @returns {string}
+   */
+  function escapeText(str) {
+    return (str || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to at most 75 octets per physical line
+   * (RFC 5545 §3.1), never splitting a multi-byte UTF-8 character.
+   *
+   * @param {string} line - Unfolded content line
+   * @returns {string} Line with CRLF + space continuations
+   */
+  function foldLine(line) {
+    var out = '';
+    var octets = 0;
+    for (var i = 0; i < line.length; i++) {
+      var ch = line.charAt(i);
+      var code = line.charCodeAt(i);
+      // Keep surrogate pairs together
+      if (code >= 0xD800 && code <= 0xDBFF && i + 1 < line.length) {
+        ch += line.charAt(++i);
+      }
+      var size = code < 0x80 ? 1 : code < 0x800 ? 2 : ch.length === 2 ? 4 : 3;
+      if (octets + size > 75) {
+        out += '\r\n ';
+        octets = 1;  // The leading space counts toward the next line
+      }
+      out += ch;
+      octets += size;
+    }
+    return out;
+  }
+
+  /**
+   * UID for an event: stable key + site host.
+   * @param {Object} evt
+   * @returns {string}
+   */
+  function eventUID(evt) {
+    var key = evt.key || Strings.slugify(evt.sport + ' ' + (evt.event || evt.discipline || '') + ' ' + evt.id);
+    return key + '@' + siteURL().replace(/^https?:\/\//, '');
+  }
+
+  /**
+   * Content lines for one VEVENT.
+   *
+   * @param {Object} evt - Normalized, athlete-matched event
+   * @param {Object} opts - { stamp: string, zone: string, alarmMinutes: number }
+   * @returns {string[]}
+   */
+  function eventLines(evt, opts) {
+    var span = eventSpan(evt);
+    var lines = [
+      'BEGIN:VEVENT',
+      'UID:' + eventUID(evt),
+      'DTSTAMP:' + opts.stamp,
+      'SEQUENCE:' + (evt.sequence || 0),
+      'DTSTART:' + formatUTC(span.start),
+      'DTEND:' + formatUTC(span.end),
+      'SUMMARY:' + escapeText(summary(evt)),
+      'DESCRIPTION:' + escapeText(describe(evt, opts.zone)),
+      'LOCATION:' + escapeText(evt.venue || ''),
+      'URL:' + siteURL() + '/',
+      'STATUS:' + (EVENT_STATUS[evt.status] || 'CONFIRMED'),
+      'TRANSP:TRANSPARENT'
+    ];
+    if (opts.alarmMinutes > 0 && evt.status !== 'cancelled') {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        'DESCRIPTION:' + escapeText(summary(evt)),
+        'TRIGGER:-PT' + opts.alarmMinutes + 'M',
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+    return lines;
+  }
+
+  /**
+   * Build a VCALENDAR containing every given event.
+   *
+   * @param {Object[]} events - Normalized, athlete-matched events
+   * @param {Object} [opts]
+   * @param {string} [opts.name] - Calendar name shown by subscribing apps
+   * @param {string} [opts.zone] - IANA zone for times in descriptions
+   * @param {number} [opts.alarmMinutes] - Reminder lead time; 0 for none (default 30)
+   * @param {string} [opts.refresh] - Suggested refresh interval for feeds, e.g. "PT1H"
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  function buildCalendar(events, opts) {
+    opts = opts || {};
+    var eventOpts = {
+      stamp: formatUTC(new Date()),
+      zone: opts.zone,
+      alarmMinutes: opts.alarmMinutes === undefined ? ALARM_MINUTES : opts.alarmMinutes
+    };
+    var lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:' + PRODID,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    if (opts.name) lines.push('X-WR-CALNAME:' + escapeText(opts.name));
+    if (opts.refresh) {
+      lines.push('REFRESH-INTERVAL;VALUE=DURATION:' + opts.refresh);
+      lines.push('X-PUBLISHED-TTL:' + opts.refresh);
+    }
+    events.forEach(function (evt) {
+      lines = lines.concat(eventLines(evt, eventOpts));
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Public URL of a subscribable feed served by api/calendar.js.
+   *
+   * @param {string} feed - "park-city", "athlete-<slug>" or "sport-<slug>"
+   * @param {boolean} [webcal] - Use the webcal:// scheme (opens the
+   *   subscribe dialog in Apple/Outlook/Google) instead of https://
+   * @returns {string}
+   */
+  function feedURL(feed, webcal) {
+    var url = siteURL() + '/calendar/' + feed + '.ics';
+    return webcal ? url.replace(/^https?:/, 'webcal:') : url;
+  }
+
+  // Public API
+  return {
+    buildCalendar: buildCalendar,
+    eventSpan: eventSpan,
+    summary: summary,
+    describe: describe,
+    feedURL: feedURL,
+    siteURL: siteURL
+  };
+})();
+
+// Node (api/ serverless functions) loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ICS;
+}
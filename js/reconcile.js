@@ -0,0 +1,266 @@
+/**
+ * reconcile.js — Line up two athlete rosters and merge them.
+ *
+ * The roster exists in several overlapping copies with different columns
+ * (data/Park_City_Nation_Athletes.csv from YSA, data/athletes-full.csv,
+ * data/athletes-full-import.txt, data/athletes-seed.csv, the Google Sheet).
+ * reconcile() matches athletes across two of them by name, ignoring
+ * accents, nicknames and word order ("Zack DiGregorio" = "DiGregorio,
+ * Zachary"), and reports:
+ *   - athletes only on one side
+ *   - fields that disagree (Sport, Discipline, Program, ...)
+ *   - names spelled differently on each side
+ * and builds a merged roster in the athletes-full.csv column layout.
+ *
+ * Used by roster-reconcile.html. Also loadable with require() once Strings
+ * and Athletes are globals.
+ *
+ * Exposes: Reconcile.nameKey(), Reconcile.reconcile(), Reconcile.toCSV()
+ *
+ * @module Reconcile
+ */
+var Reconcile = (function () {
+
+  /**
+   * Columns of athletes-full.csv (the Google Sheet), in order, with the
+   * lowercase headers other sources use for the same thing.
+   * @type {Object[]}
+   */
+  var COLUMNS = [
+    { name: 'Sport', headers: ['sport'] },
+    { name: 'Athlete', headers: ['athlete', 'name'] },
+    { name: 'Discipline', headers: ['discipline'] },
+    { name: 'Country', headers: ['country'] },
+    { name: 'Connection', headers: ['connection', 'utahconnection'] },
+    { name: 'isParkCity', headers: ['isparkcity'] },
+    { name: 'Program', headers: ['program'] },
+    { name: 'Status', headers: ['status'] },
+    { name: 'Gender', headers: ['gender'] },
+    { name: 'Events', headers: ['events'] },
+    { name: 'Photo', headers: ['photo'], optional: true },
+    { name: 'Hometown', headers: ['hometown'], optional: true },
+    { name: 'History', headers: ['history'], optional: true },
+    { name: 'Olympics', headers: ['olympics'], optional: true },
+    { name: 'Links', headers: ['links'], optional: true },
+    { name: 'Bio', headers: ['bio'], optional: true }
+  ];
+
+  /** @type {Object} Semicolon-delimited columns, compared as sets */
+  var LIST_COLUMNS = { Program: true, Events: true, History: true, Olympics: true, Links: true };
+
+  /** @type {RegExp} Values that mean "nothing here" (YSA uses "Not indicated") */
+  var PLACEHOLDER = /^(not indicated|n\/a|na|none|unknown|-+)$/i;
+
+  /** Name comparison key; see Athletes.nameKey() */
+  var nameKey = Athletes.nameKey;
+
+  /**
+   * Rows of one source in the athletes-full.csv layout. Columns the
+   * source doesn't have are left out (undefined), so they are never
+   * reported as conflicts.
+   *
+   * @param {string} text - Raw CSV text
+   * @returns {{ columns: string[], records: Object[] }} columns: which
+   *   COLUMNS names the source has
+   */
+  function readSource(text) {
+    var rows = Athletes.parseCSV(text, true);
+    var headers = rows.length ? Object.keys(rows[0]) : [];
+    var columns = [];
+    COLUMNS.forEach(function (col) {
+      var header = col.headers.filter(function (h) { return headers.indexOf(h) !== -1; })[0];
+      if (header) columns.push({ name: col.name, header: header });
+    });
+
+    var records = rows.map(function (row) {
+      var rec = { _row: row._row };
+      columns.forEach(function (col) {
+        rec[col.name] = row[col.header] || '';
+      });
+      return rec;
+    }).filter(function (rec) { return rec.Athlete; });
+
+    return { columns: columns.map(function (c) { return c.name; }), records: records };
+  }
+
+  /**
+   * @param {string} value
+   * @returns {boolean} True for '' and placeholders such as "Not indicated"
+   */
+  function isBlank(value) {
+    return !value || PLACEHOLDER.test(value.trim());
+  }
+
+  /**
+   * Comparable form of a value: folded; list columns as sorted, de-duplicated
+   * items; sports via sportAliases so "Freeski Halfpipe" = "Freestyle Skiing".
+   */
+  function comparable(column, value, sportAliases) {
+    var str = Strings.fold(value).trim();
+    if (LIST_COLUMNS[column]) {
+      return str.split(';').map(function (s) { return s.trim(); }).filter(Boolean)
+        .filter(function (s, i, all) { return all.indexOf(s) === i; })
+        .sort().join(';');
+    }
+    if (column === 'Sport' && sportAliases && sportAliases[str]) return sportAliases[str];
+    return str;
+  }
+
+  /**
+   * Match two rosters by name and merge them.
+   *
+   * @param {string} leftText - CSV text of roster A
+   * @param {string} rightText - CSV text of roster B
+   * @param {Object} [options]
+   * @param {string} [options.prefer='left'] - Which side wins a conflict
+   * @param {Object} [options.sportAliases] - From data/classification.json,
+   *   so sport spellings that mean the same sport don't conflict
+   * @returns {Object} Report:
+   *   - left, right {{ columns, count }} — columns found, athletes read
+   *   - matched {number}
+   *   - leftOnly, rightOnly {Object[]}  — { row, name, sport }
+   *   - duplicates {Object[]}           — { side, row, name, sameAs } (same key twice in one source)
+   *   - names {Object[]}                — { left, right, leftRow, rightRow } spelled differently
+   *   - conflicts {Object[]}            — { name, column, left, right, merged, leftRow, rightRow }
+   *   - filled {number}                 — blanks on the preferred side filled from the other
+   *   - columns {string[]}              — merged CSV columns
+   *   - merged {Object[]}               — records with every merged column
+   *                                       ('' where neither side has it)
+   */
+  function reconcile(leftText, rightText, options) {
+    options = options || {};
+    var preferLeft = options.prefer !== 'right';
+    var left = readSource(leftText);
+    var right = readSource(rightText);
+
+    var report = {
+      left: { columns: left.columns, count: left.records.length },
+      right: { columns: right.columns, count: right.records.length },
+      matched: 0,
+      leftOnly: [],
+      rightOnly: [],
+      duplicates: [],
+      names: [],
+      conflicts: [],
+      filled: 0,
+      columns: [],
+      merged: []
+    };
+
+    function index(source, side) {
+      var byKey = {};
+      source.records.forEach(function (rec) {
+        var key = nameKey(rec.Athlete);
+        if (byKey[key]) {
+          report.duplicates.push({ side: side, row: rec._row, name: rec.Athlete, sameAs: byKey[key]._row });
+          return;
+        }
+        byKey[key] = rec;
+      });
+      return byKey;
+    }
+    var leftByKey = index(left, 'left');
+    var rightByKey = index(right, 'right');
+
+    // Merged columns: the sheet's ten, plus optional ones either side has
+    report.columns = COLUMNS.filter(function (col) {
+      return !col.optional || left.columns.indexOf(col.name) !== -1 || right.columns.indexOf(col.name) !== -1;
+    }).map(function (col) { return col.name; });
+
+    // Preferred side's value unless it's blank; a placeholder on both
+    // sides stays as written
+    function pick(a, b) {
+      var first = preferLeft ? a : b;
+      var second = preferLeft ? b : a;
+      if (!isBlank(first)) return first;
+      return isBlank(second) ? (first || second) : second;
+    }
+
+    // A one-side-only athlete as a merged record: the merged columns, in
+    // order, without the parser's _row
+    function onlyRow(rec) {
+      var row = {};
+      report.columns.forEach(function (col) { row[col] = rec[col] || ''; });
+      return row;
+    }
+
+    Object.keys(leftByKey).forEach(function (key) {
+      var l = leftByKey[key];
+      var r = rightByKey[key];
+      if (!r) {
+        report.leftOnly.push({ row: l._row, name: l.Athlete, sport: l.Sport || '' });
+        report.merged.push(onlyRow(l));
+        return;
+      }
+      report.matched++;
+      if (l.Athlete !== r.Athlete) {
+        report.names.push({ left: l.Athlete, right: r.Athlete, leftRow: l._row, rightRow: r._row });
+      }
+
+      var rec = {};
+      report.columns.forEach(function (col) {
+        var a = l[col] || '';
+        var b = r[col] || '';
+        rec[col] = pick(a, b);
+        if (col === 'Athlete') return;
+        if (!isBlank(a) && !isBlank(b) &&
+            comparable(col, a, options.sportAliases) !== comparable(col, b, options.sportAliases)) {
+          report.conflicts.push({
+            name: pick(l.Athlete, r.Athlete), column: col, left: a, right: b, merged: rec[col],
+            leftRow: l._row, rightRow: r._row
+          });
+        } else if (isBlank(preferLeft ? a : b) && !isBlank(preferLeft ? b : a)) {
+          report.filled++;
+        }
+      });
+      report.merged.push(rec);
+    });
+
+    Object.keys(rightByKey).forEach(function (key) {
+      if (leftByKey[key]) return;
+      var r = rightByKey[key];
+      report.rightOnly.push({ row: r._row, name: r.Athlete, sport: r.Sport || '' });
+      report.merged.push(onlyRow(r));
+    });
+
+    report.merged.sort(function (a, b) {
+      return (a.Sport || '').localeCompare(b.Sport || '') || a.Athlete.localeCompare(b.Athlete);
+    });
+    return report;
+  }
+
+  /**
+   * Quote a CSV field when it holds a comma, quote or newline.
+   * @param {string} value
+   * @returns {string}
+   */
+  function csvField(value) {
+    var str = value == null ? '' : String(value);
+    return /[",\n]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str;
+  }
+
+  /**
+   * Merged roster as CSV, ready to paste into the sheet.
+   * @param {Object} report - From reconcile()
+   * @returns {string}
+   */
+  function toCSV(report) {
+    var lines = [report.columns.join(',')];
+    report.merged.forEach(function (rec) {
+      lines.push(report.columns.map(function (col) { return csvField(rec[col]); }).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // Public API
+  return {
+    nameKey: nameKey,
+    reconcile: reconcile,
+    toCSV: toCSV
+  };
+})();
+
+// Node loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Reconcile;
+}
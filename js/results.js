@@ -4,34 +4,378 @@
  *
  * Data flow:
  *   1. Check localStorage cache (30-min TTL)
- *   2. If stale → fetch "Results" tab from Google Sheets (published as CSV)
- *   3. If Google Sheets fails → fall back to local data/results.json
+ *   2. If stale → fetch "Results" tab (published as CSV) through
+ *      /api/results, which shares one Google fetch among all readers
+ *      (CONFIG.RESULTS_ENDPOINT; straight from Google Sheets when '')
+ *   3. If that fails → fall back to local data/results.json
  *   4. Parse CSV rows → group by event ID → build results map
- *   5. Merge results into matched schedule events
+ *   5. Join results to matched schedule events — by ID, an old ID or the
+ *      event's fingerprint, athletes by name key (see mergeResults())
  *
- * The Google Sheet "Results" tab must have these columns:
- *   Event ID, Sport, Event, Date, Athlete, Result
+ * The Google Sheet "Results" tab has these columns (all but the first
+ * five optional):
+ *   Event ID, Sport, Event, Date, Athlete,
+ *   Rank, Medal, Mark, Units, Gap, Round, Status, Result, Team
  *
- * Result values: "Gold", "Silver", "Bronze", or freeform ("12th", "DNF", etc.)
+ * Each athlete's result becomes a record (see normalizeResult()):
+ *   { rank: 7, medal: '', mark: '1:43.21', markType: 'time', units: 's',
+ *     markValue: 103.21, gap: '+1.08', gapValue: 1.08, round: 'Run 2',
+ *     status: '', note: '' }
+ * shown as "7th · 1:43.21 (+1.08)" (formatResult()). Mark types: time
+ * (units s), points (pts) or distance (m). Status codes: DNF, DNS, DSQ,
+ * DNQ, and Q for "went through to the next round".
  *
- * Uses the same parseCSV() from Athletes module.
+ * The free-text Result column of older sheets still works, alone or
+ * alongside the new columns (which win): "Gold", "12th", "DNF",
+ * "4th (Q)", "7th · 1:43.21 (+1.08)". data/results.json takes the same
+ * fields per athlete, or the old plain strings.
+ *
+ * Relays, team events, doubles and bobsleigh crews win one medal per team
+ * (isTeamEvent(); the Team column, TRUE or FALSE, overrides the guess from
+ * the event name). Medal counts are per medal won, with a per-athlete
+ * "medalists" count alongside (getMedalCounts()).
+ *
+ * Qualifying rounds and heats have their own event IDs. Their results may
+ * say whether the athlete went through, which drives the progress shown
+ * on cards ("Advanced to Final 2", "Eliminated in qualification"):
+ *   advanced:   Status Q ("Q", "Qualified", "Advanced", or a placing with "(Q)")
+ *   eliminated: Status DNQ ("DNQ", "Eliminated", "Out", or a placing with "(DNQ)")
+ * Progress comes from the athlete's latest round with a result.
+ *
+ * Full standings (every finisher, with countries) for the per-event page
+ * come from an optional Standings tab or data/standings.json, keyed by
+ * event ID the same way (fetchStandings(), getStandings()).
+ *
+ * Uses parseCSV() and nameKey() from the Athletes module, and
+ * Schedule.eventFingerprint().
+ *
+ * Exposes: Results.fetchResults(), Results.mergeResults(), Results.getJoinReport(),
+ *   Results.normalizeResult(), Results.isTeamEvent(), Results.formatResult(),
+ *   Results.compareResults(), Results.getMedals(), Results.getMedalCounts(),
+ *   Results.getAllResults(), Results.fetchStandings(), Results.getStandings(),
+ *   Results.roundProgress()
  *
  * @module Results
  */
 var Results = (function () {
 
-  var CACHE_KEY = 'utah_olympics_results_v2';
+  var CACHE_KEY = 'utah_olympics_results_v4';
   var CACHE_TTL = 30 * 60 * 1000; // 30 minutes
 
   /** @type {Object|null} Parsed results keyed by event ID */
   var _resultsData = null;
 
+  /** @type {Object} How the last mergeResults() joined results (getJoinReport()) */
+  var _joinReport = { joined: [], renamed: [], unjoined: [] };
+
+  /**
+   * Every result once, as the last mergeResults() joined it: { eventId,
+   * entry, name, result } under the current event ID and roster name.
+   * Stale copies (an old ID's entry, another spelling of a name already
+   * joined) are left out, so medal totals agree with the cards.
+   * @type {Object[]}
+   */
+  var _joined = [];
+
+  var STANDINGS_CACHE_KEY = 'utah_olympics_standings_v1';
+
+  /** @type {Object|null} Full standings keyed by event ID (fetchStandings()) */
+  var _standingsData = null;
+
+  // =====================================================================
+  // Result Records
+  // =====================================================================
+
+  /** @type {Object} Medal → the rank it implies */
+  var MEDAL_RANKS = { gold: 1, silver: 2, bronze: 3 };
+
+  /** @type {Object} Status words (lowercase) → status code */
+  var STATUS_WORDS = {
+    dnf: 'DNF', 'did not finish': 'DNF',
+    dns: 'DNS', 'did not start': 'DNS',
+    dsq: 'DSQ', dq: 'DSQ', disqualified: 'DSQ',
+    dnq: 'DNQ', 'did not qualify': 'DNQ', eliminated: 'DNQ', elim: 'DNQ', out: 'DNQ',
+    q: 'Q', qualified: 'Q', advanced: 'Q', advance: 'Q', adv: 'Q', 'adv.': 'Q'
+  };
+
+  /**
+   * Event names where one medal goes to a team: relays, team events,
+   * doubles and pairs, ice dance, bobsleigh crews.
+   * @type {RegExp}
+   */
+  var TEAM_EVENT_RE = /\b(team|relay|doubles|pairs?|ice danc(e|ing)|[24]-(man|woman)|two-(man|woman)|four-man)\b/i;
+
+  /** @type {Object} Sports where every event is a team event */
+  var TEAM_SPORTS = { 'ice hockey': true, 'curling': true };
+
+  /** @type {Object} Where a status sorts after ranked results (0 = by rank) */
+  var STATUS_ORDER = { '': 0, Q: 0, DNQ: 1, DNF: 2, DSQ: 3, DNS: 4 };
+
+  /** @type {Object} Unit spellings → mark type */
+  var UNIT_TYPES = {
+    s: 'time', sec: 'time', secs: 'time', seconds: 'time',
+    pts: 'points', pt: 'points', points: 'points',
+    m: 'distance', meters: 'distance', metres: 'distance'
+  };
+
+  /** @type {Object} Mark type → units stored on the record */
+  var TYPE_UNITS = { time: 's', points: 'pts', distance: 'm' };
+
+  /**
+   * Sports whose bare numbers ("43.21") are times; anywhere else they're
+   * points. A colon or a unit ("87.5 pts", "134.5 m") always decides.
+   * @type {Object}
+   */
+  var TIME_SPORTS = {
+    'alpine skiing': true, 'biathlon': true, 'bobsleigh': true, 'cross-country skiing': true,
+    'luge': true, 'nordic combined': true, 'short track speed skating': true,
+    'skeleton': true, 'ski mountaineering': true, 'speed skating': true
+  };
+
+  /** @type {string} A number, optionally with h:/m: parts ("1:43.21", "1:02:03.4") */
+  var NUMBER = '((?:\\d+:){0,2}\\d+(?:\\.\\d+)?)';
+
+  function clean(value) {
+    return value == null ? '' : String(value).trim();
+  }
+
+  /** "1:43.21" → 103.21 */
+  function toSeconds(text) {
+    return text.split(':').reduce(function (total, part) { return total * 60 + parseFloat(part); }, 0);
+  }
+
+  /**
+   * 103.21 → "1:43.21"; points and distances keep up to two decimals.
+   * @param {number} value
+   * @param {string} type - 'time', 'points' or 'distance'
+   * @returns {string}
+   */
+  function formatMarkValue(value, type) {
+    var rounded = Math.round(value * 100) / 100;
+    if (type !== 'time' || rounded < 60) return String(rounded.toFixed(2)).replace(/\.?0+$/, '') || '0';
+    var minutes = Math.floor(rounded / 60);
+    var seconds = (rounded - minutes * 60).toFixed(2);
+    return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+  }
+
+  /**
+   * Read a mark: "1:43.21", "43.21s", "87.25 pts", "134.5 m".
+   * @param {string} text
+   * @param {string} [units] - From the Units column; beats a suffix
+   * @param {string} [sport] - Decides bare numbers (TIME_SPORTS)
+   * @returns {Object|null} { mark, markType, units, markValue }
+   */
+  function parseMark(text, units, sport) {
+    var m = new RegExp('^' + NUMBER + '\\s*([a-z.]*)$', 'i').exec(clean(text));
+    if (!m) return null;
+    var suffix = m[2].replace(/\.$/, '').toLowerCase();
+    if (suffix && !UNIT_TYPES[suffix]) return null;
+    var type = UNIT_TYPES[clean(units).toLowerCase()] || UNIT_TYPES[suffix] ||
+      (m[1].indexOf(':') !== -1 || TIME_SPORTS[clean(sport).toLowerCase()] ? 'time' : 'points');
+    var value = toSeconds(m[1]);
+    var mark = type === 'time' && m[1].indexOf(':') === -1 && value >= 60 ? formatMarkValue(value, type) : m[1];
+    return { mark: mark, markType: type, units: TYPE_UNITS[type], markValue: value };
+  }
+
+  /**
+   * Read a gap: "+1.08", "1.08", "-3.5" (unsigned reads as behind, "+").
+   * @param {string} text
+   * @returns {Object|null} { gap, gapValue }
+   */
+  function parseGap(text) {
+    var m = new RegExp('^([+\\-\u2212]?)\\s*' + NUMBER + '$').exec(clean(text));
+    if (!m) return null;
+    var sign = m[1] === '\u2212' ? '-' : m[1] || '+';
+    return { gap: sign + m[2], gapValue: toSeconds(m[2]) };
+  }
+
+  function emptyRecord() {
+    return {
+      rank: null, medal: '', mark: '', markType: '', units: '', markValue: null,
+      gap: '', gapValue: null, round: '', status: '', note: ''
+    };
+  }
+
+  function assign(target, source) {
+    Object.keys(source).forEach(function (k) { target[k] = source[k]; });
+    return target;
+  }
+
+  /**
+   * Read a free-text result the way the sheet used to hold them:
+   * "Gold", "12th", "12", "DNF", "Did not finish", "4th (Q)",
+   * "18th (DNQ)", "7th · 1:43.21 (+1.08)". Text that reads as none of
+   * these is kept as the note.
+   *
+   * @param {string} text
+   * @param {string} [sport]
+   * @returns {Object} Record (empty when text is '')
+   */
+  function parseResultText(text, sport) {
+    var record = emptyRecord();
+    var notes = [];
+    var rest = clean(text)
+      .replace(/\((q|dnq)\)/i, function (m, code) {
+        record.status = code.toUpperCase();
+        return ' ';
+      })
+      .replace(new RegExp('\\(\\s*([+\\-\u2212])\\s*' + NUMBER + '\\s*\\)|\\+\\s*' + NUMBER), function (m, sign, inParens, bare) {
+        assign(record, parseGap((sign || '+') + (inParens || bare)));
+        return ' ';
+      });
+
+    rest.split(/\s*[\u00b7,;|]\s*|\s+-\s+/).forEach(function (part) {
+      var lower = part.toLowerCase().replace(/\s+(medal|place)$/, '').trim();
+      if (!lower) return;
+      var rank = /^(?:t-?|=)?(\d+)(?:st|nd|rd|th)?$/.exec(lower);
+      if (MEDAL_RANKS[lower]) {
+        record.medal = lower;
+        record.rank = MEDAL_RANKS[lower];
+      } else if (STATUS_WORDS[lower]) {
+        record.status = record.status || STATUS_WORDS[lower];
+      } else if (rank && !record.rank) {
+        record.rank = parseInt(rank[1], 10);
+      } else if (!record.mark && parseMark(part, '', sport)) {
+        assign(record, parseMark(part, '', sport));
+      } else {
+        notes.push(part.trim());
+      }
+    });
+    record.note = notes.join(' · ');
+    return record;
+  }
+
+  /**
+   * Build a result record from sheet columns / results.json fields, or
+   * from an old free-text value. Columns win over the free text in
+   * `result`. A record is itself valid input, so normalizing twice is safe.
+   *
+   * @param {string|Object} input - "7th" or { rank, medal, mark, units,
+   *   gap, round, status, note, result }
+   * @param {string} [sport] - Decides whether a bare mark is a time
+   * @returns {Object|null} Record (see the header comment), or null when
+   *   there's nothing in it
+   */
+  function normalizeResult(input, sport) {
+    if (input == null) return null;
+    if (typeof input !== 'object') input = { result: input };
+    var record = parseResultText(input.result, sport);
+
+    var rank = parseInt(clean(input.rank).replace(/^(t-?|=)/i, ''), 10);
+    if (rank > 0) record.rank = rank;
+    var medal = clean(input.medal).toLowerCase();
+    if (MEDAL_RANKS[medal]) {
+      record.medal = medal;
+      record.rank = record.rank || MEDAL_RANKS[medal];
+    }
+    var mark = parseMark(input.mark, input.units, sport);
+    if (mark) assign(record, mark);
+    var gap = parseGap(input.gap);
+    if (gap) assign(record, gap);
+    if (clean(input.round)) record.round = clean(input.round);
+    var status = STATUS_WORDS[clean(input.status).toLowerCase()];
+    if (status) record.status = status;
+    if (clean(input.note)) record.note = clean(input.note);
+
+    var empty = !record.rank && !record.medal && !record.mark && !record.gap && !record.status && !record.note;
+    return empty ? null : record;
+  }
+
+  /**
+   * Whether one medal in this event goes to a whole team. The sheet's Team
+   * column (or `team` in results.json) decides when filled; otherwise the
+   * sport and event name do.
+   * @param {Object} entry - { sport, event }
+   * @param {string|boolean} [flag] - TRUE/FALSE, "Team"/"Individual"
+   * @returns {boolean}
+   */
+  function isTeamEvent(entry, flag) {
+    var value = clean(flag).toLowerCase();
+    if (value === 'true' || value === 'team') return true;
+    if (value === 'false' || value === 'individual') return false;
+    return !!TEAM_SPORTS[clean(entry.sport).toLowerCase()] || TEAM_EVENT_RE.test(entry.event || '');
+  }
+
+  /**
+   * Work out missing gaps when the winner is one of ours: behind on time
+   * is "+", behind on points or distance "-".
+   * @param {Object} athletes - Name → record for one event
+   */
+  function fillGaps(athletes) {
+    var names = Object.keys(athletes);
+    var winner = names.map(function (n) { return athletes[n]; }).filter(function (r) {
+      return r.rank === 1 && r.markValue != null;
+    })[0];
+    if (!winner) return;
+    names.forEach(function (name) {
+      var r = athletes[name];
+      if (r === winner || r.gap || r.markValue == null || r.markType !== winner.markType) return;
+      var diff = r.markType === 'time' ? r.markValue - winner.markValue : winner.markValue - r.markValue;
+      if (diff <= 0) return;
+      r.gap = (r.markType === 'time' ? '+' : '-') + formatMarkValue(diff, r.markType);
+      r.gapValue = diff;
+    });
+  }
+
+  /** 1 → "1st", 12 → "12th", 22 → "22nd" */
+  function ordinal(n) {
+    var mod100 = n % 100;
+    var suffix = mod100 >= 11 && mod100 <= 13 ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th';
+    return n + suffix;
+  }
+
+  /**
+   * Display text for a record: "7th · 1:43.21 (+1.08)", "Gold · 87.5 pts",
+   * "4th (Q)", "DNF".
+   * @param {Object} r - Record from normalizeResult()
+   * @returns {string}
+   */
+  function formatResult(r) {
+    if (!r) return '';
+    var head = r.medal ? r.medal.charAt(0).toUpperCase() + r.medal.slice(1) : r.rank ? ordinal(r.rank) : '';
+    if (r.status === 'Q' || (r.status === 'DNQ' && head)) {
+      head = head ? head + ' (' + r.status + ')' : r.status;
+    } else if (r.status) {
+      head = r.status;
+    }
+    var parts = head ? [head] : [];
+    if (r.mark) parts.push(r.mark + (r.markType === 'time' ? '' : ' ' + r.units));
+    var text = parts.join(' \u00b7 ');
+    if (r.gap) text += (text ? ' ' : '') + '(' + r.gap + ')';
+    if (r.note) text += (text ? ' \u00b7 ' : '') + r.note;
+    return text;
+  }
+
+  /**
+   * Sort order for records: by rank, then unranked ones by status (DNQ,
+   * DNF, DSQ, DNS), then by mark.
+   * @param {Object} a
+   * @param {Object} b
+   * @returns {number}
+   */
+  function compareResults(a, b) {
+    var ra = a.rank || Infinity;
+    var rb = b.rank || Infinity;
+    if (ra !== rb) return ra < rb ? -1 : 1;
+    var sa = STATUS_ORDER[a.status] || 0;
+    var sb = STATUS_ORDER[b.status] || 0;
+    if (sa !== sb) return sa - sb;
+    if (a.markValue != null && b.markValue != null && a.markType === b.markType) {
+      return a.markType === 'time' ? a.markValue - b.markValue : b.markValue - a.markValue;
+    }
+    return 0;
+  }
+
+  // =====================================================================
+  // Fetching & Merging
+  // =====================================================================
+
   /**
    * Parse CSV rows into the internal results structure.
    * Groups rows by event ID, with athletes nested inside.
    *
    * @param {Object[]} rows - Parsed CSV rows (lowercase keys)
-   * @returns {Object} { results: { eventId: { sport, event, date, athletes: { name: result } } } }
+   * @returns {Object} { results: { eventId: { sport, event, date, athletes: { name: record } } } }
    */
   function rowsToResults(rows) {
     var results = {};
@@ -39,7 +383,16 @@ var Results = (function () {
     rows.forEach(function (row) {
       var eventId = (row['event id'] || row['eventid'] || row['id'] || '').trim();
       var athlete = (row['athlete'] || row['name'] || '').trim();
-      var result = (row['result'] || row['placement'] || '').trim();
+      var result = normalizeResult({
+        rank: row['rank'] || row['place'],
+        medal: row['medal'],
+        mark: row['mark'] || row['time'] || row['score'],
+        units: row['units'],
+        gap: row['gap'] || row['behind'],
+        round: row['round'],
+        status: row['status'],
+        result: row['result'] || row['placement']
+      }, row['sport']);
 
       if (!eventId || !athlete || !result) return;
 
@@ -48,32 +401,47 @@ var Results = (function () {
           sport: (row['sport'] || '').trim(),
           event: (row['event'] || '').trim(),
           date: (row['date'] || '').trim(),
+          team: false,
           athletes: {}
         };
+        results[eventId].team = isTeamEvent(results[eventId], row['team']);
+      } else if (clean(row['team'])) {
+        results[eventId].team = isTeamEvent(results[eventId], row['team']);
       }
 
       results[eventId].athletes[athlete] = result;
     });
 
+    Object.keys(results).forEach(function (id) { fillGaps(results[id].athletes); });
     return { results: results };
   }
 
+  /**
+   * Fetch a sheet tab as CSV: through CONFIG.RESULTS_ENDPOINT when set,
+   * else straight from Google Sheets.
+   * @param {string} tab - 'results' or 'standings' (the endpoint's ?tab=)
+   * @param {string} gid - The tab's GID
+   * @returns {Promise<string>} CSV text
+   */
+  function fetchTab(tab, gid) {
+    if (!gid) return Promise.reject(new Error('No GID configured for the ' + tab + ' tab'));
+
+    var url = CONFIG.RESULTS_ENDPOINT
+      ? CONFIG.RESULTS_ENDPOINT + '?tab=' + tab
+      : 'https://docs.google.com/spreadsheets/d/' + CONFIG.GOOGLE_SHEET_ID + '/export?format=csv&gid=' + gid;
+
+    return fetch(url).then(function (res) {
+      if (!res.ok) throw new Error('Sheet fetch failed: ' + res.status);
+      return res.text();
+    });
+  }
+
   /**
    * Fetch results from the Google Sheet "Results" tab.
    * @returns {Promise<Object>} Parsed results data
    */
   function fetchFromSheet() {
-    var gid = CONFIG.RESULTS_SHEET_GID;
-    if (!gid) return Promise.reject(new Error('No RESULTS_SHEET_GID configured'));
-
-    var url = 'https://docs.google.com/spreadsheets/d/' +
-      CONFIG.GOOGLE_SHEET_ID + '/export?format=csv&gid=' + gid;
-
-    return fetch(url)
-      .then(function (res) {
-        if (!res.ok) throw new Error('Sheet fetch failed: ' + res.status);
-        return res.text();
-      })
+    return fetchTab('results', CONFIG.RESULTS_SHEET_GID)
       .then(function (text) {
         var rows = Athletes.parseCSV(text);
         return rowsToResults(rows);
@@ -89,23 +457,49 @@ var Results = (function () {
       .then(function (res) {
         if (!res.ok) throw new Error('Fallback fetch failed: ' + res.status);
         return res.json();
+      })
+      .then(normalizeData);
+  }
+
+  /**
+   * Normalize every athlete's result in results.json-shaped data (plain
+   * strings or field objects); results nothing can be read from are dropped.
+   * @param {Object} data - { results: { eventId: { sport, athletes: {...} } } }
+   * @returns {Object} The same data, normalized in place
+   */
+  function normalizeData(data) {
+    var results = (data && data.results) || {};
+    Object.keys(results).forEach(function (id) {
+      var entry = results[id];
+      var athletes = {};
+      Object.keys(entry.athletes || {}).forEach(function (name) {
+        var record = normalizeResult(entry.athletes[name], entry.sport);
+        if (record) athletes[name] = record;
       });
+      fillGaps(athletes);
+      entry.athletes = athletes;
+      entry.team = isTeamEvent(entry, entry.team);
+    });
+    return { results: results };
   }
 
   /**
    * Main entry point: fetch results with caching.
    * Tries Google Sheet first, falls back to local JSON.
+   * @param {number} [maxAge] - Oldest cached copy to accept, in ms
+   *   (default 30 minutes; app.js passes less while events are live)
    * @returns {Promise<Object>} The results data object
    */
-  function fetchResults() {
+  function fetchResults(maxAge) {
     var bypassCache = window.location.search.indexOf('refresh') !== -1;
+    var ttl = maxAge === undefined ? CACHE_TTL : maxAge;
 
     if (!bypassCache) {
       try {
         var cached = localStorage.getItem(CACHE_KEY);
         if (cached) {
           var parsed = JSON.parse(cached);
-          if (parsed.ts && (Date.now() - parsed.ts) < CACHE_TTL) {
+          if (parsed.ts && (Date.now() - parsed.ts) < ttl) {
             _resultsData = parsed.data;
             return Promise.resolve(_resultsData);
           }
@@ -136,80 +530,449 @@ var Results = (function () {
   }
 
   /**
-   * Attach .results property to matched events by event ID.
+   * Attach .results to matched events: { roster name → record }.
+   *
+   * Results are filed under the API event ID they were entered against and
+   * the athlete name as typed, both of which drift: a rescheduled event gets
+   * a new ID, and the sheet may spell a name differently from the roster.
+   * Each results entry is joined to an event by, in turn:
+   *   1. its ID
+   *   2. an old ID of the event (evt.previousIds: the change log and the
+   *      supplement's aliases)
+   *   3. the event's fingerprint (Schedule.eventFingerprint(): sport,
+   *      gender, discipline, round), on the entry's date if several share
+   *      it; an event named without its round means the medal round
+   * and each athlete to a roster name by Athletes.nameKey() (accents,
+   * nicknames, "Last, First"), then by a near miss. An entry under the
+   * current ID wins over one under an old ID. What doesn't join is kept in
+   * getJoinReport().
+   *
    * @param {Object[]} events - Array of matched schedule events
    * @param {Object} resultsData - The fetched results data
    */
   function mergeResults(events, resultsData) {
+    _joinReport = { joined: [], renamed: [], unjoined: [] };
+    _joined = [];
     if (!resultsData || !resultsData.results) return;
     var results = resultsData.results;
+    var counted = {};
 
+    var byId = {};
+    var byOldId = {};
+    var byFingerprint = {};
     events.forEach(function (evt) {
-      if (evt.id && results[evt.id]) {
-        evt.results = results[evt.id].athletes || {};
+      delete evt.results;
+      if (!evt.id) return;
+      byId[evt.id] = evt;
+      (evt.previousIds || []).forEach(function (id) { byOldId[id] = evt; });
+      var fp = Schedule.eventFingerprint(evt);
+      (byFingerprint[fp] = byFingerprint[fp] || []).push(evt);
+    });
+
+    // Entries under current IDs first, so they win over stale copies
+    var ids = Object.keys(results).sort(function (a, b) {
+      return (byId[a] ? 0 : 1) - (byId[b] ? 0 : 1);
+    });
+
+    ids.forEach(function (id) {
+      var entry = results[id];
+      var found = findEvent(id, entry, byId, byOldId, byFingerprint);
+      if (!found.evt) {
+        _joinReport.unjoined.push(unjoinedEntry(id, entry, entry.athletes || {}, found.reason));
+        Object.keys(entry.athletes || {}).forEach(function (name) {
+          addJoined(counted, id, entry, name, entry.athletes[name]);
+        });
+        return;
+      }
+      var evt = found.evt;
+      if (found.how !== 'id') {
+        _joinReport.joined.push({ from: id, to: evt.id, how: found.how, sport: evt.sport, event: evt.event });
+      }
+
+      var names = (evt.athletes || []).map(function (a) { return a.name; });
+      var target = evt.results || {};
+      var missing = {};
+      Object.keys(entry.athletes || {}).forEach(function (name) {
+        var match = matchAthlete(name, names);
+        if (!match) {
+          missing[name] = entry.athletes[name];
+          addJoined(counted, evt.id, entry, name, entry.athletes[name]);
+          return;
+        }
+        if (match !== name) {
+          _joinReport.renamed.push({ eventId: evt.id, from: name, to: match });
+        }
+        if (target[match]) return;  // Already joined from the current ID or another spelling
+        target[match] = entry.athletes[name];
+        addJoined(counted, evt.id, entry, match, entry.athletes[name]);
+      });
+      if (Object.keys(target).length) evt.results = target;
+      if (Object.keys(missing).length) {
+        _joinReport.unjoined.push(unjoinedEntry(id, entry, missing,
+          'Not among the event\'s Park City athletes (' + (names.join(', ') || 'none') + ')'));
       }
     });
   }
 
+  /**
+   * Add a result to _joined unless the athlete (by Athletes.nameKey()) already
+   * has one for the event.
+   * @param {Object} counted - "eventId|name key" → true, for this merge
+   */
+  function addJoined(counted, eventId, entry, name, result) {
+    var key = eventId + '|' + Athletes.nameKey(name);
+    if (counted[key]) return;
+    counted[key] = true;
+    _joined.push({ eventId: eventId, entry: entry, name: name, result: result });
+  }
+
+  /**
+   * The event a results entry belongs to (see mergeResults()).
+   * @returns {{ evt: Object|null, how: string, reason: string }} how: 'id',
+   *   'alias' or 'fingerprint'; reason says why evt is null
+   */
+  function findEvent(id, entry, byId, byOldId, byFingerprint) {
+    if (byId[id]) return { evt: byId[id], how: 'id' };
+    if (byOldId[id]) return { evt: byOldId[id], how: 'alias' };
+    if (!entry.sport || !entry.event) {
+      return { evt: null, reason: 'Unknown event ID, and no Sport and Event to recognize it by' };
+    }
+    var fp = Schedule.eventFingerprint(entry);
+    var candidates = byFingerprint[fp] || [];
+    if (candidates.length === 0) {
+      // "Women's NH Individual" without its round: the competition's medal round
+      Object.keys(byFingerprint).forEach(function (key) {
+        if (key.indexOf(fp + '/') === 0) candidates = candidates.concat(byFingerprint[key]);
+      });
+      var medalRounds = candidates.filter(function (evt) { return evt.isMedalEvent; });
+      if (medalRounds.length) candidates = medalRounds;
+    }
+    if (candidates.length > 1) {
+      candidates = candidates.filter(function (evt) { return evt.date === entry.date; });
+    }
+    if (candidates.length === 1) return { evt: candidates[0], how: 'fingerprint' };
+    return {
+      evt: null,
+      reason: candidates.length
+        ? 'Unknown event ID; several ' + entry.sport + ' events match "' + entry.event + '"'
+        : 'Unknown event ID, and no Park City event matches ' + entry.sport + ' "' + entry.event + '"'
+    };
+  }
+
+  /**
+   * Roster name for a name as typed in the results: exact, then the same
+   * Athletes.nameKey(), then a single near miss ("Tess Jonson").
+   * @param {string} name
+   * @param {string[]} names - The event's roster names
+   * @returns {string|null}
+   */
+  function matchAthlete(name, names) {
+    if (names.indexOf(name) !== -1) return name;
+    var key = Athletes.nameKey(name);
+    var keys = names.map(Athletes.nameKey);
+    var i = keys.indexOf(key);
+    if (i !== -1) return names[i];
+    var near = Strings.closest(key, keys, 2);
+    return near.length === 1 ? names[keys.indexOf(near[0])] : null;
+  }
+
+  /** An unjoined report item, keeping the entry's results as they were. */
+  function unjoinedEntry(id, entry, athletes, reason) {
+    return {
+      id: id,
+      sport: entry.sport || '',
+      event: entry.event || '',
+      date: entry.date || '',
+      team: !!entry.team,
+      athletes: athletes,
+      reason: reason
+    };
+  }
+
+  /**
+   * How the last mergeResults() went.
+   * @returns {{ joined: Object[], renamed: Object[], unjoined: Object[] }}
+   *   - joined:   { from, to, how, sport, event } — entries found by an old
+   *               ID ('alias') or fingerprint ('fingerprint')
+   *   - renamed:  { eventId, from, to } — names matched to a roster spelling
+   *   - unjoined: { id, sport, event, date, team, athletes, reason } —
+   *               results shown on no event (still in medal counts)
+   */
+  function getJoinReport() {
+    return _joinReport;
+  }
+
+  /**
+   * Medals won: a team event's medal once, listing every Park City member;
+   * in individual events, one per medalist. Built from the results the
+   * last mergeResults() joined, so a medal entered under both an old and
+   * the current event ID, or under two spellings of a name, counts once.
+   * @returns {Object[]} { eventId, sport, event, date, medal, team,
+   *   athletes: string[] } — gold first, then by date
+   */
+  function getMedals() {
+    var medals = [];
+    var byKey = {};
+    _joined.forEach(function (r) {
+      var medal = r.result.medal;
+      if (!medal) return;
+      var key = r.eventId + '|' + medal + (r.entry.team ? '' : '|' + r.name);
+      if (!byKey[key]) {
+        byKey[key] = {
+          eventId: r.eventId,
+          sport: r.entry.sport || '',
+          event: r.entry.event || '',
+          date: r.entry.date || '',
+          medal: medal,
+          team: !!r.entry.team,
+          athletes: []
+        };
+        medals.push(byKey[key]);
+      }
+      byKey[key].athletes.push(r.name);
+    });
+
+    medals.sort(function (a, b) {
+      return MEDAL_RANKS[a.medal] - MEDAL_RANKS[b.medal] || a.date.localeCompare(b.date);
+    });
+    return medals;
+  }
+
   /**
    * Get total medal counts across all results.
+   * @param {string} [by='medals'] - 'medals': one per medal won, so a relay
+   *   gold is one gold however many Park City athletes were on the team;
+   *   'medalists': one per athlete per medal, so it counts once per member
    * @returns {{ gold: number, silver: number, bronze: number }}
    */
-  function getMedalCounts() {
+  function getMedalCounts(by) {
     var counts = { gold: 0, silver: 0, bronze: 0 };
-    if (!_resultsData || !_resultsData.results) return counts;
-
-    var results = _resultsData.results;
-    Object.keys(results).forEach(function (eventId) {
-      var athletes = results[eventId].athletes || {};
-      Object.keys(athletes).forEach(function (name) {
-        var val = (athletes[name] || '').toLowerCase();
-        if (val === 'gold') counts.gold++;
-        else if (val === 'silver') counts.silver++;
-        else if (val === 'bronze') counts.bronze++;
-      });
+    getMedals().forEach(function (m) {
+      counts[m.medal] += by === 'medalists' ? m.athletes.length : 1;
     });
-
     return counts;
   }
 
   /**
-   * Get all results grouped by medal type.
+   * Get all results grouped by medal type, each group in result order
+   * (compareResults()). Names and event IDs as in getMedals().
    * @returns {{ gold: Array, silver: Array, bronze: Array, other: Array }}
+   *   items: { athlete, eventId, sport, event, date, result } — result is a record
    */
   function getAllResults() {
     var grouped = { gold: [], silver: [], bronze: [], other: [] };
-    if (!_resultsData || !_resultsData.results) return grouped;
-
-    var results = _resultsData.results;
-    Object.keys(results).forEach(function (eventId) {
-      var entry = results[eventId];
-      var athletes = entry.athletes || {};
-      Object.keys(athletes).forEach(function (name) {
-        var val = athletes[name] || '';
-        var item = {
-          athlete: name,
-          sport: entry.sport || '',
-          event: entry.event || '',
-          date: entry.date || '',
-          result: val
-        };
-        var lower = val.toLowerCase();
-        if (lower === 'gold') grouped.gold.push(item);
-        else if (lower === 'silver') grouped.silver.push(item);
-        else if (lower === 'bronze') grouped.bronze.push(item);
-        else grouped.other.push(item);
+    _joined.forEach(function (r) {
+      grouped[r.result.medal || 'other'].push({
+        athlete: r.name,
+        eventId: r.eventId,
+        sport: r.entry.sport || '',
+        event: r.entry.event || '',
+        date: r.entry.date || '',
+        result: r.result
       });
     });
 
+    Object.keys(grouped).forEach(function (key) {
+      grouped[key].sort(function (a, b) { return compareResults(a.result, b.result); });
+    });
     return grouped;
   }
 
+  // =====================================================================
+  // Standings
+  // =====================================================================
+
+  /**
+   * Parse standings-tab rows: every finisher of an event, not just Park
+   * City's, in the Results tab's columns plus Country.
+   *
+   * @param {Object[]} rows - Parsed CSV rows (lowercase keys)
+   * @returns {Object} { standings: { eventId: { sport, event, date, rows: [...] } } }
+   *   (see normalizeStandings())
+   */
+  function rowsToStandings(rows) {
+    var standings = {};
+    rows.forEach(function (row) {
+      var eventId = (row['event id'] || row['eventid'] || row['id'] || '').trim();
+      if (!eventId) return;
+      if (!standings[eventId]) {
+        standings[eventId] = {
+          sport: (row['sport'] || '').trim(),
+          event: (row['event'] || '').trim(),
+          date: (row['date'] || '').trim(),
+          rows: []
+        };
+      }
+      standings[eventId].rows.push({
+        name: row['athlete'] || row['name'] || row['team'],
+        country: row['country'] || row['noc'],
+        rank: row['rank'] || row['place'],
+        medal: row['medal'],
+        mark: row['mark'] || row['time'] || row['score'],
+        units: row['units'],
+        gap: row['gap'] || row['behind'],
+        status: row['status'],
+        result: row['result']
+      });
+    });
+    return normalizeStandings({ standings: standings });
+  }
+
+  /**
+   * Normalize data/standings.json-shaped data in place: each row gets a
+   * record (normalizeResult()), rows are put in result order, and missing
+   * gaps are worked out from the winner's mark.
+   * @param {Object} data - { standings: { eventId: { sport, event, date,
+   *   rows: [{ name, country, rank, medal, mark, units, gap, status, result }] } } }
+   * @returns {Object} { standings: { eventId: { sport, event, date,
+   *   rows: [{ name, country, record }] } } }
+   */
+  function normalizeStandings(data) {
+    var standings = (data && data.standings) || {};
+    Object.keys(standings).forEach(function (id) {
+      var entry = standings[id];
+      var rows = [];
+      (entry.rows || []).forEach(function (row) {
+        var name = clean(row.name || row.athlete);
+        var record = normalizeResult(row, entry.sport);
+        if (name && record) rows.push({ name: name, country: clean(row.country).toUpperCase(), record: record });
+      });
+      var records = {};
+      rows.forEach(function (row, i) { records[i] = row.record; });
+      fillGaps(records);
+      rows.sort(function (a, b) { return compareResults(a.record, b.record); });
+      entry.rows = rows;
+    });
+    return { standings: standings };
+  }
+
+  /**
+   * Fetch full standings: the sheet's Standings tab (through
+   * RESULTS_ENDPOINT, like results) when CONFIG.STANDINGS_SHEET_GID is
+   * set, else (or when it fails) data/standings.json. Both are optional; without either, every event
+   * simply has no standings. Cached like results.
+   * @param {number} [maxAge] - Oldest cached copy to accept, in ms
+   * @returns {Promise<Object>} { standings: {...} }
+   */
+  function fetchStandings(maxAge) {
+    var bypassCache = window.location.search.indexOf('refresh') !== -1;
+    var ttl = maxAge === undefined ? CACHE_TTL : maxAge;
+
+    if (!bypassCache) {
+      try {
+        var cached = JSON.parse(localStorage.getItem(STANDINGS_CACHE_KEY) || 'null');
+        if (cached && cached.ts && (Date.now() - cached.ts) < ttl) {
+          _standingsData = cached.data;
+          return Promise.resolve(_standingsData);
+        }
+      } catch (e) {
+        // ignore cache errors
+      }
+    }
+
+    return fetchTab('standings', CONFIG.STANDINGS_SHEET_GID)
+      .then(function (text) { return rowsToStandings(Athletes.parseCSV(text)); })
+      .catch(function () {
+        if (!CONFIG.STANDINGS_DATA) return { standings: {} };
+        return fetch(CONFIG.STANDINGS_DATA + '?t=' + Date.now()).then(function (res) {
+          if (!res.ok) return { standings: {} };
+          return res.json().then(normalizeStandings);
+        });
+      })
+      .then(function (data) {
+        _standingsData = data;
+        try {
+          localStorage.setItem(STANDINGS_CACHE_KEY, JSON.stringify({ ts: Date.now(), data: data }));
+        } catch (e) {
+          // ignore storage errors
+        }
+        return data;
+      })
+      .catch(function () {
+        _standingsData = { standings: {} };
+        return _standingsData;
+      });
+  }
+
+  /**
+   * An event's full standings, filed under its ID or an old one
+   * (evt.previousIds). Needs fetchStandings() first.
+   * @param {Object} evt - Schedule event
+   * @returns {Object|null} { sport, event, date, rows: [{ name, country, record }] }
+   */
+  function getStandings(evt) {
+    var standings = (_standingsData && _standingsData.standings) || {};
+    var ids = [evt.id].concat(evt.previousIds || []);
+    for (var i = 0; i < ids.length; i++) {
+      var entry = standings[ids[i]];
+      if (entry && entry.rows && entry.rows.length) return entry;
+    }
+    return null;
+  }
+
+  // =====================================================================
+  // Round Progress
+  // =====================================================================
+
+  /**
+   * Where an athlete stands in a multi-round competition, based on the
+   * latest round with a result for them.
+   *
+   * @param {Object[]} rounds - The competition's events in running order
+   *   (Schedule.buildCompetitions()), with results merged
+   * @param {string} name - Athlete name as used in the results sheet
+   * @returns {{ state: string, text: string, round: Object }|null}
+   *   state is "advanced" or "eliminated"; round is the event the status
+   *   comes from. null when there is nothing to say (no results yet, or a
+   *   final placing).
+   */
+  function roundProgress(rounds, name) {
+    var last = -1;
+    rounds.forEach(function (evt, i) {
+      if (evt.results && evt.results[name]) last = i;
+    });
+    if (last === -1) return null;
+
+    var round = rounds[last];
+    var result = round.results[name];
+    var phase = round.roundPhase || round.round || round.event;
+
+    if (result.status === 'DNQ') {
+      return { state: 'eliminated', text: 'Eliminated in ' + phase, round: round };
+    }
+    if (result.status !== 'Q') return null;
+
+    // Next cut: the first later round of a different phase, skipping
+    // consolation finals (Small Final, Final B)
+    for (var i = last + 1; i < rounds.length; i++) {
+      var next = rounds[i];
+      var nextPhase = next.roundPhase || next.round || next.event;
+      if (nextPhase !== phase && !next.consolation) {
+        return { state: 'advanced', text: 'Advanced to ' + nextPhase, round: round };
+      }
+    }
+    return { state: 'advanced', text: 'Advanced', round: round };
+  }
+
   return {
     fetchResults: fetchResults,
     mergeResults: mergeResults,
+    getJoinReport: getJoinReport,
+    normalizeResult: normalizeResult,
+    isTeamEvent: isTeamEvent,
+    formatResult: formatResult,
+    compareResults: compareResults,
+    getMedals: getMedals,
     getMedalCounts: getMedalCounts,
-    getAllResults: getAllResults
+    getAllResults: getAllResults,
+    fetchStandings: fetchStandings,
+    getStandings: getStandings,
+    roundProgress: roundProgress
   };
 
 })();
+
+// Node loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Results;
+}
@@ -0,0 +1,211 @@
+/**
+ * roster-check.js — Validate the athlete roster CSV column by column.
+ *
+ * athletes.js accepts any row, so mistakes never show as errors: a Sport
+ * of "Freestyle Ski", a Gender of "Male/Female" or an isParkCity of "yes"
+ * just makes the athlete vanish from (or land in the wrong) events.
+ * validate() reports each problem with the row number the content team
+ * sees in the Google Sheet:
+ *   - errors   — the athlete is missing, misplaced or mislabelled on the site
+ *   - warnings — probably fine, worth a look (blank Gender, duplicate names)
+ *
+ * Sports are checked against sportAliases in data/classification.json;
+ * Events values against the schedule via Schedule.diagnoseMatching().
+ *
+ * Used by roster-check.html. Also loadable with require() once Strings,
+ * Athletes and Schedule are globals (as api/ does for Strings and Time).
+ *
+ * Exposes: RosterCheck.validate()
+ *
+ * @module RosterCheck
+ */
+var RosterCheck = (function () {
+
+  /** @type {string[]} Columns athletes.js reads (lowercased headers) */
+  var KNOWN_COLUMNS = [
+    'sport', 'athlete', 'name', 'discipline', 'country', 'connection',
+    'utahconnection', 'isparkcity', 'program', 'status', 'gender', 'events',
+    'photo', 'hometown', 'history', 'olympics', 'links', 'bio'
+  ];
+
+  /** @type {Object} Gender values read the way the sheet means them */
+  var GENDERS = { m: true, f: true, male: true, female: true };
+
+  /** @type {Object} Status values; anything else hides the athlete */
+  var STATUSES = { '': true, active: true, inactive: true };
+
+  /**
+   * "Did you mean" clause for a message ('' without suggestions).
+   * @param {string[]} suggestions
+   * @returns {string}
+   */
+  function didYouMean(suggestions) {
+    if (!suggestions || suggestions.length === 0) return '';
+    return '; did you mean ' + suggestions.map(function (s) { return '"' + s + '"'; }).join(' or ') + '?';
+  }
+
+  /**
+   * "freestyle skiing" → "Freestyle Skiing", for suggestions built from
+   * the lowercase sportAliases keys.
+   * @param {string} str
+   * @returns {string}
+   */
+  function titleCase(str) {
+    return str.replace(/(^|[\s-])([a-z])/g, function (m, sep, ch) { return sep + ch.toUpperCase(); });
+  }
+
+  /**
+   * Check a roster CSV.
+   *
+   * @param {string} text - Raw CSV text (the Google Sheet export)
+   * @param {Object} [options]
+   * @param {Object} [options.sportAliases] - From data/classification.json;
+   *   without it Sport is only checked for being blank
+   * @param {Object[]} [options.schedule] - Normalized events; without it
+   *   Events values aren't checked against the schedule
+   * @returns {Object} Report:
+   *   - rows {Object[]}     — every non-blank row: { row, name, sport, status, issues }
+   *   - errors {Object[]}   — { row, name, column, value, message }, by row
+   *   - warnings {Object[]} — same shape
+   *   - athletes {number}   — rows that will show on the site (active, named)
+   */
+  function validate(text, options) {
+    options = options || {};
+    var sportAliases = options.sportAliases || null;
+    var sportChoices = sportAliases ? Object.keys(sportAliases).map(titleCase) : [];
+    var report = { rows: [], errors: [], warnings: [], athletes: 0 };
+
+    function add(level, entry, column, value, message) {
+      var issue = { row: entry.row, name: entry.name, column: column, value: value, message: message };
+      (level === 'error' ? report.errors : report.warnings).push(issue);
+      if (entry.issues) entry.issues.push({ level: level, column: column, value: value, message: message });
+    }
+
+    var records = Athletes.parseCSV(text, true);
+    var header = { row: 1, name: '' };
+    if (records.length === 0) {
+      add('error', header, '', '', 'No data rows — is this the roster CSV (header row first)?');
+      return report;
+    }
+
+    // --- Header ---
+    var columns = Object.keys(records[0]).filter(function (k) { return k !== '_row'; });
+    if (columns.indexOf('sport') === -1) add('error', header, 'Sport', '', 'No Sport column; no athlete matches any event');
+    if (columns.indexOf('athlete') === -1 && columns.indexOf('name') === -1) {
+      add('error', header, 'Athlete', '', 'No Athlete (or Name) column; every row is skipped');
+    }
+    ['gender', 'events'].forEach(function (col) {
+      if (columns.indexOf(col) === -1) {
+        add('warning', header, titleCase(col), '', 'No ' + titleCase(col) + ' column; athletes are matched less precisely');
+      }
+    });
+    columns.forEach(function (col) {
+      if (KNOWN_COLUMNS.indexOf(col) !== -1) return;
+      add('warning', header, col, '', 'Unknown column, ignored' + didYouMean(Strings.closest(col, KNOWN_COLUMNS)));
+    });
+
+    // --- Rows ---
+    var seen = {};
+    var active = [];
+
+    records.forEach(function (rec) {
+      var blank = columns.every(function (col) { return !rec[col]; });
+      if (blank) return;
+
+      var ath = Athletes.normalizeAthlete(rec);
+      var entry = { row: rec._row, name: ath.name, sport: ath.sport, status: ath.status, issues: [] };
+      report.rows.push(entry);
+
+      if (!ath.name) {
+        add('error', entry, 'Athlete', '', 'No athlete name; the row is skipped');
+        return;
+      }
+      var key = Strings.fold(ath.name);
+      if (seen[key]) {
+        add('warning', entry, 'Athlete', ath.name, 'Same name as row ' + seen[key] + '; both show on the site');
+      } else {
+        seen[key] = entry.row;
+      }
+
+      var status = (rec.status || '').toLowerCase().trim();
+      if (!STATUSES[status]) {
+        add('error', entry, 'Status', rec.status, '"' + rec.status + '" hides the athlete. Use active or inactive');
+      }
+
+      if (!ath.sport) {
+        add('error', entry, 'Sport', '', 'No sport; the athlete matches no events');
+      } else if (sportAliases && !sportAliases[ath.sport.toLowerCase().trim()]) {
+        add('error', entry, 'Sport', ath.sport, '"' + ath.sport + '" is not a known sport, so the athlete matches no events' +
+          didYouMean(Strings.closest(ath.sport, sportChoices)));
+      }
+
+      var gender = (rec.gender || '').trim();
+      if (!gender) {
+        add('warning', entry, 'Gender', '', "Blank: listed in both men's and women's events (fine for mixed teams)");
+      } else if (!GENDERS[gender.toLowerCase()]) {
+        add('error', entry, 'Gender', gender, '"' + gender + '" is read as "' + ath.gender + '"' +
+          (ath.gender === 'M' || ath.gender === 'F' ? '' : ", which fits no men's or women's event") + '. Use M or F');
+      }
+
+      var pc = (rec.isparkcity || '').trim();
+      if (pc && pc.toUpperCase() !== 'TRUE' && pc.toUpperCase() !== 'FALSE') {
+        add('error', entry, 'isParkCity', pc, '"' + pc + '" is read as FALSE. Use TRUE or FALSE');
+      }
+
+      if (rec.country && !/^[A-Za-z]{3}$/.test(rec.country)) {
+        add('warning', entry, 'Country', rec.country, 'Expected a 3-letter code such as USA or CAN');
+      }
+
+      if (ath.photo && !/^https?:\/\//i.test(ath.photo) && !(/^[\w\/.-]+$/.test(ath.photo) && ath.photo.indexOf('//') !== 0)) {
+        add('warning', entry, 'Photo', ath.photo, 'Not a link or image path; no photo is shown');
+      }
+      ath.links.forEach(function (url) {
+        if (!/^https?:\/\//i.test(url)) add('warning', entry, 'Links', url, 'Not an http(s) link; it is not shown');
+      });
+
+      if (ath.status !== 'active') return;
+      report.athletes++;
+      active.push({ ath: ath, entry: entry });
+
+      if (ath.events.length === 0 && columns.indexOf('events') !== -1) {
+        add('warning', entry, 'Events', '', 'Blank: listed in every ' + (ath.sport || '') + ' event');
+      }
+    });
+
+    // --- Events against the schedule, one athlete at a time so
+    // duplicate names still point at their own rows ---
+    if (options.schedule) {
+      active.forEach(function (item) {
+        var diag = Schedule.diagnoseMatching(options.schedule, [item.ath]);
+        diag.unmatchedValues.forEach(function (miss) {
+          if (sportAliases && !sportAliases[miss.sport.toLowerCase().trim()]) return;  // Sport already reported
+          var message = '"' + miss.value + '" matches no ' + miss.sport + ' event';
+          if (miss.value.indexOf(',') !== -1) message += '; separate events with semicolons';
+          message += didYouMean(miss.suggestions);
+          if (miss.elsewhere.length) message += ' (it matches ' + miss.elsewhere.join(', ') + ' events)';
+          add('error', item.entry, 'Events', miss.value, message);
+        });
+        diag.genderConflicts.forEach(function (conflict) {
+          if (conflict.gender !== 'M' && conflict.gender !== 'F') return;  // Gender already reported
+          add('error', item.entry, 'Events', conflict.value, '"' + conflict.value + '" only matches ' +
+            conflict.events.join(', ') + ', but Gender is ' + conflict.gender);
+        });
+      });
+    }
+
+    var byRow = function (a, b) { return a.row - b.row; };
+    report.errors.sort(byRow);
+    report.warnings.sort(byRow);
+    return report;
+  }
+
+  // Public API
+  return {
+    validate: validate
+  };
+})();
+
+// Node loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RosterCheck;
+}
@@ -1,43 +1,78 @@
 /**
- * schedule.js — Fetch the Milano Cortina 2026 schedule from RapidAPI,
- * normalize events, apply broadcast rules, and match to Park City athletes.
+ * schedule.js — Fetch the Milano Cortina 2026 schedule, normalize events,
+ * apply broadcast rules, and match to Park City athletes.
  *
  * Data flow:
  *   1. Check localStorage cache (30min during Olympics, 24h otherwise)
- *   2. If stale → fetch from RapidAPI /events endpoint
- *   3. Normalize API response:
- *      a. Map API sport codes to display names
- *      b. Reclassify ~38 "unknown" events using venue/discipline heuristics
- *      c. Fix snowboard events the API labels as "Freestyle Skiing"
- *      d. Clean embedded venue names from discipline text
- *      e. Detect event gender (Men's/Women's/Mixed) from raw text
- *      f. Filter to medal events only
- *   4. Fetch broadcast rules from data/broadcast.json
- *   5. Apply per-sport TV networks, NBC primetime, and Peacock streaming
- *   6. Match events to athletes by sport, gender, and event discipline
+ *   2. If stale → fetch from our /api/events endpoint (api/events.js), which
+ *      holds the RapidAPI key server-side and caches /events for everyone
+ *   3. Normalize API response (server-side for /api/events, client-side for
+ *      the data/schedule-cache.json fallback):
+ *      a. Classify with the rules in data/classification.json: sport
+ *         display names, ~38 "unknown" events, snowboard events labeled
+ *         "Freestyle Skiing", missing venues, discipline cleaning, gender
+ *      b. Split discipline into competition + round (qualification, heats,
+ *         semifinals, final) and drop official training
+ *   4. Fetch broadcast rules (data/broadcast.json), expected event
+ *      lengths (data/durations.json) and the hand-maintained supplement
+ *      (data/schedule-supplement.json)
+ *   5. Merge the supplement (missing events, per-ID field fixes), then apply
+ *      durations, per-sport TV networks, NBC primetime, and Peacock
+ *      streaming
+ *   6. Diff against the snapshot from the previous load: moved times and
+ *      dates, new venues, cancellations/postponements go into a change log
+ *      (localStorage) that feeds card badges. ICS SEQUENCE numbers come
+ *      with the events from /api/events (evt.sequence), so downloads and
+ *      feeds agree
+ *   7. Match events to athletes by sport, gender, and event discipline
+ *      (roster spellings via the rules file's aliases); every round of a
+ *      competition gets the same athletes
  *
  * Known API quirks:
  *   - ~38 events come back with sport="unknown" (luge, skeleton, short track,
- *     figure skating, etc.) — classifyUnknownEvent() handles these
+ *     figure skating, etc.) — "unknown-*" rules in data/classification.json
  *   - Some snowboard events are labeled "freestyle_skiing" by the API
  *   - Venue info is sometimes null, with venue name embedded in discipline text
  *   - Discipline text includes "Medal Event" and venue names concatenated
  *   - API returns 127 medal events vs 116 official (sub-rounds counted separately)
- *   - Ski Mountaineering (new for 2026) is absent from the API entirely
+ *   - The same competition is spelled differently across rounds ("PGS" vs
+ *     "Parallel Giant Sl.") — COMPETITION_ALIASES reconciles them
+ *   - Ski Mountaineering (new for 2026) is filed under alpine_skiing — fixed
+ *     by overrides in data/schedule-supplement.json
  *
- * Exposes: Schedule.fetchSchedule(), Schedule.matchScheduleToAthletes(),
- *          Schedule.normalizeSport()
+ * Exposes: Schedule.fetchSchedule(), Schedule.refreshSchedule(),
+ *          Schedule.matchScheduleToAthletes(),
+ *          Schedule.normalizeSport(), Schedule.normalizeAPIData(),
+ *          Schedule.applyDurations(), Schedule.applyBroadcastRules(),
+ *          Schedule.buildCompetitions(), Schedule.applySupplement(),
+ *          Schedule.recordChanges(), Schedule.applyChangeLog(),
+ *          Schedule.eventFingerprint(), Schedule.useRules(), Schedule.classify(),
+ *          Schedule.diagnoseMatching()
+ *
+ * Also loadable with require() so api/ functions share the normalization.
  *
  * @module Schedule
  */
 var Schedule = (function () {
 
   /** @type {string} localStorage key for cached schedule */
-  var SCHEDULE_CACHE_KEY = 'utah_olympics_schedule_v1';
+  var SCHEDULE_CACHE_KEY = 'utah_olympics_schedule_v2';
 
   /** @type {string} localStorage key for cached broadcast rules */
   var BROADCAST_CACHE_KEY = 'utah_olympics_broadcast_v1';
 
+  /** @type {string} localStorage key for cached duration table */
+  var DURATIONS_CACHE_KEY = 'utah_olympics_durations_v1';
+
+  /** @type {string} localStorage key for cached classification rules */
+  var CLASSIFICATION_CACHE_KEY = 'utah_olympics_classification_v1';
+
+  /** @type {string} localStorage key for cached schedule supplement */
+  var SUPPLEMENT_CACHE_KEY = 'utah_olympics_supplement_v1';
+
+  /** @type {string} localStorage key for the schedule change log (never expires) */
+  var CHANGES_KEY = 'utah_olympics_changes_v1';
+
   /** @type {string} localStorage key for API refresh throttle timestamp */
   var REFRESH_THROTTLE_KEY = 'utah_olympics_refresh_throttle';
 
@@ -142,29 +177,35 @@ var Schedule = (function () {
   // =====================================================================
 
   /**
-   * Fetch raw schedule data from the RapidAPI Milano Cortina 2026 endpoint.
-   * Falls back to local data/schedule-cache.json if the API is unavailable
-   * (rate-limited, down, etc.).
+   * Fetch the normalized schedule from our /api/events endpoint.
+   * The endpoint calls RapidAPI server-side (the key never reaches the
+   * browser) and returns events already run through normalizeAPIData().
+   * Falls back to local data/schedule-cache.json if the endpoint is
+   * unavailable (not deployed, upstream down, etc.).
    *
-   * @param {string} apiKey - RapidAPI key from CONFIG
    * @returns {Promise<Object[]>} Normalized event objects
    */
-  function fetchFromAPI(apiKey) {
-    var url = 'https://' + CONFIG.RAPIDAPI_HOST + '/events';
-    return fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-RapidAPI-Key': apiKey,
-        'X-RapidAPI-Host': CONFIG.RAPIDAPI_HOST
-      }
-    }).then(function (res) {
-      if (!res.ok) throw new Error('RapidAPI fetch failed: ' + res.status);
+  function fetchFromAPI() {
+    return fetchEndpoint().catch(function (err) {
+      console.warn('Schedule endpoint failed (' + err.message + '), using local schedule fallback');
+      return fetchLocalSchedule();
+    });
+  }
+
+  /**
+   * GET CONFIG.SCHEDULE_ENDPOINT and return its events array.
+   * Rejects on HTTP errors or an empty event list.
+   *
+   * @returns {Promise<Object[]>} Normalized event objects
+   */
+  function fetchEndpoint() {
+    return fetch(CONFIG.SCHEDULE_ENDPOINT).then(function (res) {
+      if (!res.ok) throw new Error('Schedule endpoint failed: ' + res.status);
       return res.json();
     }).then(function (data) {
-      return normalizeAPIData(data);
-    }).catch(function (err) {
-      console.warn('RapidAPI failed (' + err.message + '), using local schedule fallback');
-      return fetchLocalSchedule();
+      var events = (data && data.events) || [];
+      if (events.length === 0) throw new Error('Schedule endpoint returned no events');
+      return events;
     });
   }
 
@@ -176,7 +217,9 @@ var Schedule = (function () {
    */
   function fetchLocalSchedule() {
     var path = CONFIG.FALLBACK_SCHEDULE || 'data/schedule-cache.json';
-    return fetch(path).then(function (res) {
+    return loadClassification().then(function () {
+      return fetch(path);
+    }).then(function (res) {
       if (!res.ok) throw new Error('Local schedule fallback failed: ' + res.status);
       return res.json();
     }).then(function (data) {
@@ -185,135 +228,403 @@ var Schedule = (function () {
   }
 
   // =====================================================================
-  // Sport Name Mapping
+  // Classification Rules
   // =====================================================================
 
   /**
-   * Map from API snake_case sport codes to human-readable display names.
-   * These 16 sports cover the full Milano Cortina 2026 program.
-   * @type {Object.<string, string>}
-   */
-  var apiSportNames = {
-    'alpine_skiing': 'Alpine Skiing',
-    'biathlon': 'Biathlon',
-    'bobsleigh': 'Bobsleigh',
-    'cross_country_skiing': 'Cross-Country Skiing',
-    'curling': 'Curling',
-    'figure_skating': 'Figure Skating',
-    'freestyle_skiing': 'Freestyle Skiing',
-    'ice_hockey': 'Ice Hockey',
-    'luge': 'Luge',
-    'nordic_combined': 'Nordic Combined',
-    'short_track': 'Short Track Speed Skating',
-    'skeleton': 'Skeleton',
-    'ski_jumping': 'Ski Jumping',
-    'ski_mountaineering': 'Ski Mountaineering',
-    'snowboarding': 'Snowboard',
-    'speed_skating': 'Speed Skating'
-  };
+   * Rules from data/classification.json (see useRules()). Empty until
+   * loaded: sports keep their API codes and nothing is reclassified.
+   * @type {Object}
+   */
+  var rules = { sportNames: {}, remove: [], rules: [], sportAliases: {}, eventAliases: {} };
+
+  /** @type {Object.<string, string>} Rule "gender" output → eventGender */
+  var GENDER_CODES = { men: 'M', women: 'F', mixed: '' };
+
+  /**
+   * Fetch data/classification.json. Returns null on failure.
+   *
+   * Format (full description in the file's _meta.note):
+   *   {
+   *     "sportNames": { "alpine_skiing": "Alpine Skiing" },   // API code → display name
+   *     "remove": ["Medal Event", "Stelvio Ski Centre"],      // stripped from discipline text
+   *     "rules": [
+   *       { "id": "unknown-sliding-skeleton",
+   *         "if": { "sport": "unknown", "venue": "sliding", "discipline": "heat" },
+   *         "then": { "sport": "Skeleton" } }
+   *     ],
+   *     "sportAliases": { "bobsled": "bobsleigh" },            // roster sport → canonical
+   *     "eventAliases": { "four-man": ["4-man"] }              // roster event → API texts
+   *   }
+   *
+   * @returns {Promise<Object|null>}
+   */
+  function fetchClassification() {
+    return fetch(CONFIG.CLASSIFICATION_DATA || 'data/classification.json')
+      .then(function (res) {
+        if (!res.ok) return null;
+        return res.json();
+      })
+      .catch(function () { return null; });
+  }
 
   /**
-   * Convert an API sport code to its display name.
-   * @param {string} apiName - API sport code (e.g., "alpine_skiing")
-   * @returns {string} Display name (e.g., "Alpine Skiing")
+   * Load the classification rules once per page; normalization and
+   * athlete matching both wait for it.
+   * @type {Promise<Object|null>|null}
    */
-  function displaySportName(apiName) {
-    return apiSportNames[(apiName || '').toLowerCase()] || apiName || '';
+  var classificationPromise = null;
+
+  function loadClassification() {
+    if (!classificationPromise) {
+      classificationPromise = cachedOrFetch(CLASSIFICATION_CACHE_KEY, fetchClassification).then(function (data) {
+        if (data) useRules(data);
+        else console.warn('Classification rules failed to load; sports are not reclassified');
+        return data;
+      });
+    }
+    return classificationPromise;
   }
 
-  // =====================================================================
-  // Unknown Event Classification
-  // =====================================================================
+  /**
+   * Replace the classification rules (api/ calls this with the file from
+   * disk; the rule tester with the rules being edited).
+   * @param {Object} data - Parsed classification.json
+   */
+  function useRules(data) {
+    rules = {
+      sportNames: data.sportNames || {},
+      remove: data.remove || [],
+      rules: data.rules || [],
+      sportAliases: data.sportAliases || {},
+      eventAliases: data.eventAliases || {}
+    };
+  }
 
   /**
-   * Classify events the API returns with sport="unknown".
+   * Whether a rule's conditions all hold for a raw event.
+   * Unknown condition names never match, so a typo can't misfile events.
    *
-   * The API misclassifies ~38 medal events. We use venue names and
-   * discipline text to determine the correct sport. Classification rules:
+   * @param {Object} cond - The rule's "if" object
+   * @param {Object} ctx - { sport, venue, discipline, hasVenue } (lowercased text)
+   * @returns {boolean}
+   */
+  function ruleMatches(cond, ctx) {
+    return Object.keys(cond || {}).every(function (name) {
+      var want = cond[name];
+      var list = [].concat(want).map(function (s) { return String(s).toLowerCase(); });
+      switch (name) {
+        case 'sport': return list.indexOf(ctx.sport) !== -1;
+        case 'hasVenue': return want === ctx.hasVenue;
+        case 'venue': return list.some(function (s) { return ctx.venue.indexOf(s) !== -1; });
+        case 'discipline': return list.some(function (s) { return ctx.discipline.indexOf(s) !== -1; });
+        case 'disciplineAll': return list.every(function (s) { return ctx.discipline.indexOf(s) !== -1; });
+        case 'prefix': return list.some(function (s) { return ctx.discipline.indexOf(s) === 0; });
+        default: return false;
+      }
+    });
+  }
+
+  /**
+   * Remove embedded venue names and "Medal Event" markers from discipline
+   * text, per the rules file's "remove" list.
    *
-   *   Cortina Sliding Centre → Luge (singles/doubles/relay) or Skeleton (heats)
-   *   Milano Ice Skating Arena / PalaSharp → Figure Skating or Short Track
-   *   Discipline contains "aerials/moguls/freeski/ski cross" → Freestyle Skiing
-   *   Discipline contains "Stelvio/combined" → Alpine Skiing
-   *   Discipline contains "medal game/semi-final" → Ice Hockey
+   * The API concatenates them directly into the discipline field
+   * (e.g., "Men's DownhillMedal EventStelvio Ski Centre").
    *
-   * @param {Object} e - Raw API event object
-   * @returns {string} Corrected sport display name, or '' if unclassifiable
+   * @param {string} disc - Raw discipline text from API
+   * @returns {string} Cleaned discipline text
    */
-  function classifyUnknownEvent(e) {
-    var disc = (e.discipline || '').toLowerCase();
-    var venueName = (e.venue && e.venue.name) ? e.venue.name.toLowerCase() : '';
-
-    // Cortina Sliding Centre → Luge or Skeleton
-    if (venueName.indexOf('sliding') !== -1) {
-      if (disc.indexOf('singles') !== -1 || disc.indexOf('doubles') !== -1 ||
-          disc.indexOf('mixed team') !== -1 || disc.indexOf('team relay') !== -1) {
-        return 'Luge';
-      }
-      if (disc.indexOf('heat') !== -1) {
-        return 'Skeleton';
-      }
-      return 'Luge';
-    }
+  function cleanDiscipline(disc) {
+    if (!disc) return '';
+    return rules.remove.reduce(function (text, s) {
+      return text.split(s).join('');
+    }, disc).trim();
+  }
 
-    // Milano Ice Skating Arena / PalaSharp → Figure Skating or Short Track
-    if (venueName.indexOf('ice skating') !== -1 || venueName.indexOf('palasharp') !== -1) {
-      if (disc.indexOf('single skating') !== -1 || disc.indexOf('team event') !== -1 ||
-          disc.indexOf('free skating') !== -1 || disc.indexOf('ice danc') !== -1 ||
-          disc.indexOf('pairs') !== -1) {
-        return 'Figure Skating';
+  /**
+   * Classify one raw API event: sport, venue, cleaned name and gender.
+   *
+   * Rules run in file order; for each output the first matching rule that
+   * sets it wins. Without a rule: sport from sportNames (the API code if
+   * missing, "unknown" stays unknown), venue from the API's venue object,
+   * name from the cleaned discipline, gender from detectGender().
+   *
+   * @param {Object} e - Raw API event
+   * @returns {{ sport: string, venue: string, name: string, gender: string,
+   *   fired: Object.<string, string> }} fired maps each output to the id of
+   *   the rule that set it (for the rule tester)
+   */
+  function classify(e) {
+    var venue = '';
+    var venueName = '';
+    if (e.venue) {
+      if (typeof e.venue === 'string') {
+        venue = venueName = e.venue;
+      } else {
+        venueName = e.venue.name || '';
+        venue = [e.venue.name, e.venue.city].filter(Boolean).join(', ');
       }
-      return 'Short Track Speed Skating';
     }
+    var ctx = {
+      sport: String(e.sport || 'unknown').toLowerCase(),
+      venue: venueName.toLowerCase(),
+      discipline: (e.discipline || '').toLowerCase(),
+      hasVenue: !!venue
+    };
+
+    var out = {};
+    var fired = {};
+    rules.rules.forEach(function (rule) {
+      var then = rule.then || {};
+      var pending = ['sport', 'venue', 'name', 'gender'].filter(function (k) {
+        return then[k] !== undefined && out[k] === undefined;
+      });
+      if (pending.length === 0 || !ruleMatches(rule.if, ctx)) return;
+      pending.forEach(function (k) {
+        out[k] = then[k];
+        fired[k] = rule.id || '(unnamed rule)';
+      });
+    });
 
-    // Events with null venue — venue name is embedded in discipline text
-    if (disc.indexOf('aerials') !== -1 || disc.indexOf('moguls') !== -1) {
-      return 'Freestyle Skiing';
-    }
-    if (disc.indexOf('freeski') !== -1 || disc.indexOf('ski cross') !== -1) {
-      return 'Freestyle Skiing';
-    }
-    if (disc.indexOf('slopestyle') !== -1 && disc.indexOf('livigno') !== -1) {
-      return 'Freestyle Skiing';
+    var sport = out.sport;
+    if (sport === undefined) {
+      sport = e.sport && e.sport !== 'unknown' ? rules.sportNames[ctx.sport] || e.sport : 'unknown';
     }
-    if (disc.indexOf('stelvio') !== -1 || disc.indexOf('combined') !== -1) {
-      return 'Alpine Skiing';
-    }
-    if (disc.indexOf('medal game') !== -1 || disc.indexOf('semi-final') !== -1) {
-      return 'Ice Hockey';
+    var gender = out.gender !== undefined ? GENDER_CODES[String(out.gender).toLowerCase()] : undefined;
+    if (gender === undefined) {
+      gender = detectGender([e.discipline || '', e.event || '', e.eventName || '', e.gender || ''].join(' '));
     }
 
-    return '';
+    return {
+      sport: sport,
+      venue: out.venue !== undefined ? out.venue : venue,
+      name: out.name !== undefined ? out.name : cleanDiscipline(e.discipline),
+      gender: gender,
+      fired: fired
+    };
   }
 
   // =====================================================================
-  // Discipline Text Cleaning
+  // Competitions & Rounds
   // =====================================================================
 
   /**
-   * Remove embedded venue names and "Medal Event" markers from discipline text.
+   * Official training and trial jumps are listed by the API but aren't
+   * competition rounds; they are dropped during normalization.
+   * @type {RegExp}
+   */
+  var TRAINING_RE = /official training|off\. training|trial round/i;
+
+  /** @type {Object.<string, string>} Figure skating segment abbreviations */
+  var SEGMENTS = { SP: 'Short Program', RD: 'Rhythm Dance', FS: 'Free Skating', FD: 'Free Dance' };
+
+  /**
+   * Round suffixes found at the end of cleaned discipline text, most
+   * specific first. The matched suffix is removed to get the competition
+   * name ("Men's Moguls Qualification 1" → "Men's Moguls").
    *
-   * The API concatenates venue names directly into the discipline field
-   * (e.g., "Men's DownhillMedal EventStelvio Ski Centre"). This strips
-   * those artifacts to produce clean event names for display.
+   *   round  - Label shown on cards (a function builds it from the match)
+   *   phase  - What an athlete advances to / is eliminated in. Runs of the
+   *            same phase (Final Run 1-3) are not separate cuts.
+   *   stage  - qualification | elimination | run | final
+   *   order  - Sort order within a competition (start time breaks ties);
+   *            a number or a function of the match
+   *   consolation - Lower-placing final (Small Final, Final B, bronze game)
    *
-   * @param {string} disc - Raw discipline text from API
-   * @returns {string} Cleaned discipline text
+   * Events with no round suffix (Men's Downhill) are single-round
+   * competitions.
+   *
+   * @type {Object[]}
    */
-  function cleanDiscipline(disc) {
-    if (!disc) return '';
-    return disc
-      .replace(/Medal Event/g, '')
-      .replace(/Livigno Aerials & Moguls Park/g, '')
-      .replace(/Livigno Snow Park/g, '')
-      .replace(/Stelvio Ski Centre/g, '')
-      .replace(/Tofane Alpine Skiing Centre/g, '')
-      .replace(/Tesero Cross-Country Skiing Stadium/g, '')
-      .replace(/Predazzo Ski Jumping Stadium/g, '')
-      .replace(/Cortina Sliding Centre/g, '')
-      .replace(/Milano Ice Skating Arena/g, '')
-      .replace(/PalaSharp/g, '')
-      .trim();
+  var ROUND_PATTERNS = [
+    // Figure skating team event: every segment belongs to one competition
+    { re: /^Team Event - (.+)$/, base: 'Team Event', stage: 'run', order: 40,
+      round: function (m) { return m[1].replace(/ - (SP|RD|FS|FD)$/, function (x, seg) { return ' ' + SEGMENTS[seg]; }); } },
+    // Nordic combined: jumping then the cross-country race
+    { re: /,\s*SJP Comp(?:\.|etition) Round$/, round: 'Ski Jumping', stage: 'run', order: 41 },
+    { re: /,\s*Cross-Country$/, round: 'Cross-Country', stage: 'final', order: 50 },
+    // Figure skating segments
+    { re: /\s+-\s+(?:Short Program|SP)$/, round: 'Short Program', stage: 'run', order: 41 },
+    { re: /\s+-\s+(?:Rhythm Dance|RD)$/, round: 'Rhythm Dance', stage: 'run', order: 41 },
+    { re: /\s+-\s+(?:Free Skating|FS)$/, round: 'Free Skating', stage: 'final', order: 50 },
+    { re: /\s+-\s+(?:Free Dance|FD)$/, round: 'Free Dance', stage: 'final', order: 50 },
+    // Ski jumping
+    { re: /\s+-\s+(\d)(?:st|nd|rd|th) Round$/, round: function (m) { return 'Round ' + m[1]; }, stage: 'run', order: 40 },
+    { re: /\s+-\s+Final Round$/, round: 'Final Round', stage: 'final', order: 50 },
+    // Alpine team combined: downhill leg, then slalom leg
+    { re: /(Team Combined) (Downhill|Slalom)$/, keep: 1, round: function (m) { return m[2]; }, stage: 'run',
+      order: function (m) { return m[2] === 'Downhill' ? 41 : 42; } },
+    // Qualification and seeding
+    { re: /\s+Qual(?:ification|\.)? Run (\d)$/, round: function (m) { return 'Qualification Run ' + m[1]; }, phase: 'qualification', stage: 'qualification', order: 10 },
+    { re: /\s+Qualification Run$/, round: 'Qualification Run', phase: 'qualification', stage: 'qualification', order: 10 },
+    { re: /\s+Qualification (\d)$/, round: function (m) { return 'Qualification ' + m[1]; }, phase: 'qualification', stage: 'qualification', order: 10 },
+    { re: /\s+Qualification$/, round: 'Qualification', phase: 'qualification', stage: 'qualification', order: 10 },
+    { re: /\s+Seeding Run (\d)$/, round: function (m) { return 'Seeding Run ' + m[1]; }, phase: 'seeding', stage: 'qualification', order: 10 },
+    { re: /\s+Seeding$/, round: 'Seeding', phase: 'seeding', stage: 'qualification', order: 10 },
+    { re: /\s+Elimination Run$/, round: 'Elimination Run', phase: 'the elimination run', stage: 'qualification', order: 15 },
+    // Knockout rounds
+    { re: /\s+1\/16 Finals$/, round: '1/16 Finals', phase: '1/16 finals', stage: 'elimination', order: 21 },
+    { re: /\s+1\/8 Finals$/, round: '1/8 Finals', phase: '1/8 finals', stage: 'elimination', order: 22 },
+    { re: /\s+Heats$/, round: 'Heats', phase: 'heats', stage: 'elimination', order: 25 },
+    { re: /\s+(?:Play-offs )?Quarterfinals$/, round: 'Quarterfinals', phase: 'quarterfinals', stage: 'elimination', order: 30 },
+    { re: /\s+(?:Play-offs )?Semi-?finals?$/i, round: 'Semifinals', phase: 'semifinals', stage: 'elimination', order: 35 },
+    // Finals
+    { re: /\s+Final Run (\d)$/, round: function (m) { return 'Final Run ' + m[1]; }, phase: 'Final', stage: 'final', order: 50 },
+    { re: /\s+Final (\d)$/, round: function (m) { return 'Final ' + m[1]; }, stage: 'final', order: 50 },
+    { re: /\s+Small Final$/, round: 'Small Final', stage: 'final', order: 51, consolation: true },
+    { re: /\s+Big Final$/, round: 'Big Final', stage: 'final', order: 52 },
+    { re: /\s+(?:-\s+)?Final ([B-D])$/, round: function (m) { return 'Final ' + m[1]; }, stage: 'final',
+      order: function (m) { return 50 + 'DCB'.indexOf(m[1]); }, consolation: true },
+    { re: /\s+(?:-\s+)?Final A$/, round: 'Final A', stage: 'final', order: 54 },
+    { re: /\s+Bronze Medal Game$/, round: 'Bronze Medal Game', stage: 'final', order: 51, consolation: true },
+    { re: /\s+Gold Medal Game$/, round: 'Gold Medal Game', stage: 'final', order: 52 },
+    { re: /\s+Final$/, round: 'Final', stage: 'final', order: 50 },
+    // Timed runs of a sliding or alpine event
+    { re: /\s+(Heat|Run) (\d)$/, round: function (m) { return m[1] + ' ' + m[2]; }, stage: 'run', order: 40 }
+  ];
+
+  /**
+   * Competition-name spellings that differ between rounds of the same
+   * competition ("Men's PGS Quarterfinals" / "Men's Parallel Giant Slalom
+   * Semifinals"). Applied only when building the competition key.
+   * @type {Array.<Array>}
+   */
+  var COMPETITION_ALIASES = [
+    [/parallel giant sl(?:alom|\.)/, 'pgs'],
+    [/snowboard cross/, 'sbx'],
+    [/sbd big air/, 'snowboard big air']
+  ];
+
+  /**
+   * Split cleaned discipline text into competition name and round.
+   *
+   * Numbered rounds (Run 2, Final 1, Round 1) add their number to the
+   * pattern's `order` so they sort 1, 2, 3.
+   *
+   * @param {string} text - Cleaned discipline text
+   * @returns {{ base: string, round: string, phase: string, stage: string,
+   *   order: number, consolation: boolean }|null} null when there is no round suffix
+   */
+  function parseRound(text) {
+    for (var i = 0; i < ROUND_PATTERNS.length; i++) {
+      var p = ROUND_PATTERNS[i];
+      var m = p.re.exec(text);
+      if (!m) continue;
+      var round = typeof p.round === 'function' ? p.round(m) : p.round;
+      var base = p.base ||
+        (text.slice(0, m.index) + (p.keep ? m[p.keep] : '')).replace(/[\s,-]+$/, '');
+      var order = typeof p.order === 'function' ? p.order(m) : p.order;
+      var n = /(\d)$/.exec(round);
+      if (n) order += parseInt(n[1], 10);
+      return {
+        base: base,
+        round: round,
+        phase: p.phase || round,
+        stage: p.stage,
+        order: order,
+        consolation: !!p.consolation
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Competition and round fields of a normalized event.
+   *
+   * @param {string} sport - Display sport name
+   * @param {string} discipline - Cleaned discipline text
+   * @param {boolean} isMedalEvent
+   * @returns {{ competition: string, competitionName: string, round: string,
+   *   roundPhase: string, roundStage: string, roundOrder: number,
+   *   consolation: boolean }} round is '' for single-round events
+   */
+  function roundFields(sport, discipline, isMedalEvent) {
+    var round = parseRound(discipline);
+    var name = round ? round.base : discipline;
+    return {
+      competition: competitionKey(sport, name),  // Shared by all rounds
+      competitionName: name,                     // e.g. "Men's Moguls"
+      round: round ? round.round : '',           // e.g. "Qualification 1"
+      roundPhase: round ? round.phase : '',
+      roundStage: round ? (isMedalEvent ? 'final' : round.stage) : 'final',
+      roundOrder: round ? round.order : 50,
+      consolation: round ? round.consolation : false
+    };
+  }
+
+  /**
+   * Stable key shared by every round of a competition,
+   * e.g. "freestyle-skiing-mens-moguls".
+   *
+   * @param {string} sport - Display sport name
+   * @param {string} name - Competition name (discipline without the round)
+   * @returns {string}
+   */
+  function competitionKey(sport, name) {
+    var text = name.toLowerCase();
+    COMPETITION_ALIASES.forEach(function (alias) {
+      text = text.replace(alias[0], alias[1]);
+    });
+    return Strings.slugify(sport + ' ' + text);
+  }
+
+  /** @type {RegExp} Gender words, left out of a fingerprint's discipline */
+  var GENDER_WORDS_RE = /\b(mixed|women|men|ladies)(['\u2019]s)?\b/g;
+
+  /**
+   * Fingerprint of an event: sport, gender, discipline and round, e.g.
+   * "alpine-skiing/M/downhill" or "freestyle-skiing/F/moguls/qualification-1".
+   * Unlike the API id it survives rescheduling, and it shrugs off spellings
+   * COMPETITION_ALIASES knows ("Parallel Giant Sl." = "PGS"), so results
+   * typed against an old or differently-worded event can still find it.
+   *
+   * @param {Object} evt - { sport, event } (a normalized event or a results entry)
+   * @returns {string}
+   */
+  function eventFingerprint(evt) {
+    var text = evt.event || evt.discipline || '';
+    var round = parseRound(text);
+    var name = (round ? round.base : text).toLowerCase();
+    COMPETITION_ALIASES.forEach(function (alias) {
+      name = name.replace(alias[0], alias[1]);
+    });
+    var gender = /\bmixed\b/i.test(text) ? 'X' : detectGender(text) || '-';
+    return [
+      Strings.slugify(evt.sport),
+      gender,
+      Strings.slugify(name.replace(GENDER_WORDS_RE, ' '))
+    ].concat(round ? [Strings.slugify(round.round)] : []).join('/');
+  }
+
+  /**
+   * Group events into competitions with their rounds in running order.
+   *
+   * @param {Object[]} events - Normalized (or matched) events
+   * @returns {Object.<string, { key: string, name: string, sport: string,
+   *   rounds: Object[] }>} Competitions by key
+   */
+  function buildCompetitions(events) {
+    var competitions = {};
+    events.forEach(function (evt) {
+      var key = evt.competition || evt.key;
+      if (!competitions[key]) {
+        competitions[key] = {
+          key: key,
+          name: evt.competitionName || evt.event,
+          sport: evt.sport,
+          rounds: []
+        };
+      }
+      competitions[key].rounds.push(evt);
+    });
+    Object.keys(competitions).forEach(function (key) {
+      competitions[key].rounds.sort(function (a, b) {
+        return (a.roundOrder || 0) - (b.roundOrder || 0) ||
+          (a.start || a.date).localeCompare(b.start || b.date);
+      });
+    });
+    return competitions;
   }
 
   // =====================================================================
@@ -324,100 +635,206 @@ var Schedule = (function () {
    * Normalize the raw API response into our standard event format.
    *
    * Performs all data cleaning in a single pass:
-   *   1. Classify "unknown" sports
-   *   2. Build venue string from venue object or embedded text
-   *   3. Clean discipline text
-   *   4. Reclassify misattributed snowboard events
-   *   5. Detect event gender from all available text
-   *   6. Filter to medal events only (drops qualifiers, training, unknown sports)
+   *   1. Classify sport, venue, cleaned name and gender with the rules in
+   *      data/classification.json (see classify())
+   *   2. Drop official training
+   *   3. Split the round off the discipline (see parseRound())
+   *   4. Keep medal events and their qualifying rounds/heats (drops
+   *      round robin sessions and unknown sports)
+   *   5. Give each event a stable key (see assignKeys())
    *
    * @param {Object|Array} data - Raw API response (array or {events: [...]})
    * @returns {Object[]} Array of normalized event objects
    */
   function normalizeAPIData(data) {
     var events = Array.isArray(data) ? data : (data.events || data.schedule || []);
-    return events.map(function (e) {
-      // Step 1: Determine sport — fix "unknown" classification
-      var sport = e.sport;
-      if (!sport || sport === 'unknown') {
-        var classified = classifyUnknownEvent(e);
-        sport = classified || 'unknown';
-      } else {
-        sport = displaySportName(sport);
-      }
+    return assignKeys(events.map(function (e) {
+      // Step 1: Sport, venue, cleaned discipline and gender from the rules
+      var c = classify(e);
+      var sport = c.sport;
+      var cleaned = c.name;
 
-      // Step 2: Build venue string from structured or embedded data
-      var venue = '';
-      if (e.venue) {
-        if (typeof e.venue === 'string') {
-          venue = e.venue;
-        } else {
-          var parts = [];
-          if (e.venue.name) parts.push(e.venue.name);
-          if (e.venue.city) parts.push(e.venue.city);
-          venue = parts.join(', ');
-        }
-      }
-
-      // Extract venue from discipline text when venue object is empty
-      if (!venue) {
-        var rawDisc = e.discipline || '';
-        if (rawDisc.indexOf('Livigno Aerials') !== -1) venue = 'Livigno Aerials & Moguls Park, Livigno';
-        else if (rawDisc.indexOf('Livigno Snow') !== -1) venue = 'Livigno Snow Park, Livigno';
-        else if (rawDisc.indexOf('Stelvio') !== -1) venue = 'Stelvio Ski Centre, Bormio';
-        else if (rawDisc.indexOf('Tofane') !== -1) venue = 'Tofane Alpine Skiing Centre, Cortina';
-        else if (rawDisc.indexOf('Tesero') !== -1) venue = 'Tesero Cross-Country Skiing Stadium, Tesero';
-        else if (rawDisc.indexOf('Predazzo') !== -1) venue = 'Predazzo Ski Jumping Stadium, Predazzo';
-      }
-
-      // Step 3: Clean discipline text (remove embedded venues + "Medal Event")
-      var cleaned = cleanDiscipline(e.discipline);
-
-      // Step 4: Reclassify snowboard events the API misattributes to Freestyle Skiing
-      var rawDiscLower = (e.discipline || '').toLowerCase();
-      if (sport === 'Freestyle Skiing' && (
-        rawDiscLower.indexOf('sbd ') !== -1 ||
-        rawDiscLower.indexOf('pgs ') !== -1 ||
-        rawDiscLower.indexOf('pgs') === 0 ||
-        rawDiscLower.indexOf('snowboard') !== -1 ||
-        rawDiscLower.indexOf('sbx') !== -1
-      )) {
-        sport = 'Snowboard';
-      }
+      // Step 2: Training runs are not competition rounds
+      if (TRAINING_RE.test(cleaned)) return null;
 
-      // Step 5: Detect event gender from all raw API text before cleaning
-      var genderSource = [
-        e.discipline || '',
-        e.event || '',
-        e.eventName || '',
-        e.gender || ''
-      ].join(' ').toLowerCase();
-      var eventGender = '';
-      if (genderSource.indexOf('mixed') !== -1) {
-        eventGender = '';  // Mixed events match both genders
-      } else if (genderSource.indexOf('women') !== -1 || genderSource.indexOf('ladies') !== -1) {
-        eventGender = 'F';
-      } else if (/\bmen\b/.test(genderSource) || genderSource.indexOf("men's") !== -1 || genderSource.indexOf("men\u2019s") !== -1) {
-        eventGender = 'M';
-      }
+      // Step 3: Split off the round (qualification, heats, final, ...)
+      var isMedalEvent = e.is_medal_event || false;
 
-      return {
+      return assign({
         id: e.id || '',
-        date: e.date || '',           // YYYY-MM-DD
-        time: e.time || '',           // HH:MM in CET (UTC+1)
+        date: e.date || '',           // YYYY-MM-DD (venue date)
+        time: e.time || '',           // HH:MM venue time (Europe/Rome)
+        start: Time.venueStartISO(e.date, e.time),  // ISO instant (UTC), '' if TBD
         sport: sport,                 // Display name (e.g., "Alpine Skiing")
         discipline: cleaned,          // Cleaned discipline text
         event: cleaned || e.event || e.eventName || '',
-        venue: venue,                 // "Venue Name, City" or ""
-        isMedalEvent: e.is_medal_event || false,
+        venue: c.venue,               // "Venue Name, City" or ""
+        isMedalEvent: isMedalEvent,
         status: e.status || 'upcoming',  // "upcoming" | "live" | "completed"
-        eventGender: eventGender,     // "M" | "F" | ""
+        eventGender: c.gender,        // "M" | "F" | ""
         broadcast: []                 // Populated later by applyBroadcastRules()
-      };
+      }, roundFields(sport, cleaned, isMedalEvent));
     }).filter(function (e) {
-      // Step 6: Only keep medal events with known sports
-      return e.sport !== 'unknown' && e.isMedalEvent;
+      // Step 4: Keep medal events and their earlier rounds; drop unknown
+      // sports and unstructured sessions (round robin, group games)
+      return e && e.sport !== 'unknown' && (e.isMedalEvent || e.round);
+    }));
+  }
+
+  /**
+   * Detect an event's gender from its text.
+   * @param {string} text - Any event text (discipline, event name, gender field)
+   * @returns {string} "M", "F", or "" for mixed/unknown (matches both)
+   */
+  function detectGender(text) {
+    var lower = (text || '').toLowerCase();
+    if (lower.indexOf('mixed') !== -1) return '';  // Mixed events match both genders
+    if (lower.indexOf('women') !== -1 || lower.indexOf('ladies') !== -1) return 'F';
+    if (/\bmen\b/.test(lower) || lower.indexOf("men's") !== -1 || lower.indexOf("men\u2019s") !== -1) return 'M';
+    return '';
+  }
+
+  /**
+   * Set evt.key: an identifier that survives rescheduling, unlike the API
+   * id (which embeds the date and time). Built from sport + event name,
+   * e.g. "alpine-skiing-mens-downhill". When the API lists the same event
+   * twice, later occurrences (by start time) get "-2", "-3", ...
+   *
+   * Calendar exports use the key as their UID so a moved event updates
+   * in place instead of appearing twice.
+   *
+   * @param {Object[]} events - Normalized events
+   * @returns {Object[]} Same array, keys set
+   */
+  function assignKeys(events) {
+    var seen = {};
+    events.slice().sort(function (a, b) {
+      return (a.start || a.date).localeCompare(b.start || b.date) || a.id.localeCompare(b.id);
+    }).forEach(function (evt) {
+      var base = Strings.slugify(evt.sport + ' ' + evt.event);
+      seen[base] = (seen[base] || 0) + 1;
+      evt.key = seen[base] === 1 ? base : base + '-' + seen[base];
     });
+    return events;
+  }
+
+  // =====================================================================
+  // Schedule Supplement
+  // =====================================================================
+
+  /**
+   * Fetch the hand-maintained schedule supplement.
+   * Returns null on failure (the API schedule is then used as-is).
+   *
+   * Expected format of schedule-supplement.json:
+   *   {
+   *     "events": [
+   *       { "id": "smt-19-february-1355-w", "date": "2026-02-19", "time": "13:55",
+   *         "sport": "Ski Mountaineering", "event": "Women's Sprint Final",
+   *         "venue": "Stelvio Ski Centre, Bormio", "isMedalEvent": true }
+   *     ],
+   *     "overrides": {
+   *       "alp-19-february-1355-537": { "sport": "Ski Mountaineering" }
+   *     },
+   *     "aliases": {
+   *       "sjp-07-february-1957-79": "sjp-08-february-1830-81"
+   *     }
+   *   }
+   *
+   * @returns {Promise<Object|null>}
+   */
+  function fetchSupplement() {
+    return fetch(CONFIG.SUPPLEMENT_DATA || 'data/schedule-supplement.json')
+      .then(function (res) {
+        if (!res.ok) return null;
+        return res.json();
+      })
+      .catch(function () { return null; });
+  }
+
+  /**
+   * Fill in the fields normalizeAPIData() would have set, for a supplement
+   * entry or an API event whose fields were overridden. Start time, gender
+   * and round are derived again from date/time, sport and event text.
+   *
+   * @param {Object} evt - Event in (at least partly) normalized shape
+   * @returns {Object} New normalized event object
+   */
+  function completeEvent(evt) {
+    var discipline = evt.discipline || evt.event || '';
+    var isMedalEvent = evt.isMedalEvent !== undefined ? !!evt.isMedalEvent : true;
+    return assign(evt, {
+      id: evt.id || '',
+      date: evt.date || '',
+      time: evt.time || '',
+      start: Time.venueStartISO(evt.date, evt.time),
+      discipline: discipline,
+      event: evt.event || discipline,
+      venue: evt.venue || '',
+      isMedalEvent: isMedalEvent,
+      status: evt.status || 'upcoming',
+      eventGender: evt.eventGender !== undefined ? evt.eventGender : detectGender(discipline),
+      broadcast: []
+    }, roundFields(evt.sport, discipline, isMedalEvent));
+  }
+
+  /**
+   * Merge data/schedule-supplement.json into the API schedule.
+   *
+   * Rules:
+   *   1. overrides[id] patches that API event's fields (e.g. the skimo
+   *      events the API files under Alpine Skiing); derived fields such as
+   *      start time and round are recomputed
+   *   2. events[] are added unless the API already lists the event: same
+   *      id, or same sport + date + event name. Once the API catches up its
+   *      entry wins, so the supplement can be left in place
+   *   3. Keys are reassigned over the merged list
+   *
+   * Supplement events are marked source: "supplement".
+   *
+   * @param {Object[]} events - Normalized API events
+   * @param {Object|null} supplement - Parsed schedule-supplement.json
+   * @returns {Object[]} New merged event list
+   */
+  function applySupplement(events, supplement) {
+    if (!supplement) return events;
+    var overrides = supplement.overrides || {};
+
+    var merged = events.map(function (evt) {
+      var patch = overrides[evt.id];
+      if (!patch) return evt;
+      // A new discipline renames the event unless the patch names it too
+      var renamed = patch.discipline && !patch.event ? { event: patch.discipline } : {};
+      return completeEvent(assign(evt, renamed, patch));
+    });
+
+    var ids = {};
+    var names = {};
+    merged.forEach(function (evt) {
+      ids[evt.id] = true;
+      names[Strings.slugify(evt.sport + ' ' + evt.date + ' ' + evt.event)] = true;
+    });
+
+    (supplement.events || []).forEach(function (entry) {
+      if (!entry.id || !entry.sport || !entry.date) {
+        console.warn('Schedule supplement entry skipped (needs id, sport and date):', entry);
+        return;
+      }
+      var evt = completeEvent(assign(entry, { source: 'supplement' }));
+      if (ids[evt.id] || names[Strings.slugify(evt.sport + ' ' + evt.date + ' ' + evt.event)]) return;
+      merged.push(evt);
+    });
+
+    // Old IDs results may still be filed under (old → current)
+    var aliases = supplement.aliases || {};
+    Object.keys(aliases).forEach(function (oldId) {
+      merged.forEach(function (evt) {
+        if (evt.id !== aliases[oldId]) return;
+        evt.previousIds = (evt.previousIds || []).concat(oldId);
+      });
+    });
+
+    return assignKeys(merged);
   }
 
   // =====================================================================
@@ -448,24 +865,17 @@ var Schedule = (function () {
   }
 
   /**
-   * Convert a CET time string (HH:MM) to Mountain Standard Time.
-   *
-   * CET = UTC+1, MST = UTC-7 → offset is -8 hours.
-   * February has no DST transition in either timezone, so a simple
-   * arithmetic offset is safe for the entire competition window.
+   * Resolve a broadcast.json wall-clock time ("HH:MM" in the rules' zone)
+   * on the event's date to an ISO instant.
    *
-   * @param {string} timeStr - Time in "HH:MM" CET format
-   * @returns {string} Time in "HH:MM" MST format, or '' if invalid
+   * @param {Object} evt - Normalized event (uses evt.date)
+   * @param {string} timeStr - "HH:MM" in the broadcast rules' zone
+   * @param {string} zone - IANA zone of broadcast.json times
+   * @returns {string} ISO 8601 UTC string, or '' if no time
    */
-  function cetToMountain(timeStr) {
-    if (!timeStr) return '';
-    var parts = timeStr.split(':');
-    var h = parseInt(parts[0], 10);
-    var m = parts[1] || '00';
-    if (isNaN(h)) return '';
-    h -= 8;
-    if (h < 0) h += 24;
-    return (h < 10 ? '0' : '') + h + ':' + m;
+  function ruleTimeToISO(evt, timeStr, zone) {
+    var instant = Time.zonedToInstant(evt.date, timeStr, zone);
+    return instant ? instant.toISOString() : '';
   }
 
   /**
@@ -478,20 +888,28 @@ var Schedule = (function () {
    *
    * Event-specific overrides (eventOverrides) take precedence over rules.
    *
+   * Every timed entry gets a `start` ISO instant. Times written in
+   * broadcast.json are wall-clock times in `rules.timezone` (default
+   * America/Denver) on the event's date, so they stay correct across DST.
+   *
    * @param {Object[]} events - Normalized event objects
    * @param {Object|null} rules - Broadcast rules from broadcast.json
    * @returns {Object[]} Events with broadcast arrays populated
    */
   function applyBroadcastRules(events, rules) {
     if (!rules) return events;
+    var ruleZone = rules.timezone || Time.BROADCAST_ZONE;
     return events.map(function (evt) {
       // Check for event-specific overrides first
       if (rules.eventOverrides && rules.eventOverrides[evt.id]) {
-        var overrides = rules.eventOverrides[evt.id];
+        var overrides = rules.eventOverrides[evt.id].map(function (b) {
+          return b.time ? assign(b, { start: ruleTimeToISO(evt, b.time, ruleZone) }) : b;
+        });
         return assign(evt, { broadcast: overrides });
       }
 
       var broadcasts = [];
+      var start = Time.eventStart(evt);
 
       // Sport-specific live TV network
       var sportNet = rules.sportNetworks && rules.sportNetworks[evt.sport];
@@ -499,7 +917,7 @@ var Schedule = (function () {
         broadcasts.push({
           network: sportNet,
           type: 'live',
-          time: cetToMountain(evt.time)  // Convert CET event time to MT for display
+          start: start ? start.toISOString() : ''  // Live = the event's own start
         });
       }
 
@@ -508,7 +926,8 @@ var Schedule = (function () {
         broadcasts.push({
           network: rules.medalPrimetime.network,
           type: 'primetime',
-          time: rules.medalPrimetime.time  // Already in MT (e.g., "19:00")
+          time: rules.medalPrimetime.time,  // Wall clock in ruleZone (e.g., "19:00")
+          start: ruleTimeToISO(evt, rules.medalPrimetime.time, ruleZone)
         });
       }
 
@@ -524,6 +943,80 @@ var Schedule = (function () {
     });
   }
 
+  // =====================================================================
+  // Event Durations
+  // =====================================================================
+
+  /** @type {number} Length used when durations.json is missing entirely */
+  var DEFAULT_DURATION = 120;
+
+  /**
+   * Fetch the duration table from the local JSON file.
+   * Returns null on failure (every event then gets the default estimate).
+   *
+   * Expected format of durations.json:
+   *   {
+   *     "defaultMinutes": 120,
+   *     "sports": {
+   *       "Speed Skating": { "default": 120, "disciplines": { "500m": 90, ... } }
+   *     },
+   *     "eventOverrides": { "ssk-14-february-1700-340": 95 }
+   *   }
+   *
+   * @returns {Promise<Object|null>}
+   */
+  function fetchDurations() {
+    return fetch(CONFIG.DURATION_DATA || 'data/durations.json')
+      .then(function (res) {
+        if (!res.ok) return null;
+        return res.json();
+      })
+      .catch(function () { return null; });
+  }
+
+  /**
+   * Look up an event's expected length.
+   *
+   * Precedence: eventOverrides[id] → longest discipline key of the event's
+   * sport found in its discipline text → sport default → defaultMinutes.
+   * Only the first two count as known; defaults are flagged as estimates.
+   *
+   * @param {Object} evt - Normalized event
+   * @param {Object|null} table - Parsed durations.json
+   * @returns {{ minutes: number, estimated: boolean }}
+   */
+  function lookupDuration(evt, table) {
+    if (!table) return { minutes: DEFAULT_DURATION, estimated: true };
+    var override = table.eventOverrides && table.eventOverrides[evt.id];
+    if (override) return { minutes: override, estimated: false };
+
+    var sport = table.sports && table.sports[evt.sport];
+    if (sport) {
+      var text = (evt.discipline || evt.event || '').toLowerCase();
+      var best = '';
+      Object.keys(sport.disciplines || {}).forEach(function (key) {
+        if (key.length > best.length && text.indexOf(key.toLowerCase()) !== -1) best = key;
+      });
+      if (best) return { minutes: sport.disciplines[best], estimated: false };
+      if (sport['default']) return { minutes: sport['default'], estimated: true };
+    }
+    return { minutes: table.defaultMinutes || DEFAULT_DURATION, estimated: true };
+  }
+
+  /**
+   * Set evt.duration (minutes) and evt.durationEstimated on every event.
+   *
+   * @param {Object[]} events - Normalized event objects
+   * @param {Object|null} table - Parsed durations.json
+   * @returns {Object[]} New event objects with durations
+   */
+  function applyDurations(events, table) {
+    return events.map(function (evt) {
+      var d = lookupDuration(evt, table);
+      return assign(evt, { duration: d.minutes, durationEstimated: d.estimated });
+    });
+  }
+
   /**
    * Simple Object.assign polyfill for older browsers.
    * Creates a new object merging all properties from the arguments.
@@ -546,6 +1039,199 @@ var Schedule = (function () {
     return result;
   }
 
+  // =====================================================================
+  // Schedule Changes
+  // =====================================================================
+
+  /** @type {string[]} Fields compared between snapshots */
+  var CHANGE_FIELDS = ['date', 'time', 'venue', 'status'];
+
+  /**
+   * Statuses an event passes through on a normal day. Moving between them
+   * is not a schedule change; anything else ("cancelled", "postponed",
+   * "delayed") is.
+   * @type {Object.<string, boolean>}
+   */
+  var ROUTINE_STATUSES = { upcoming: true, live: true, completed: true };
+
+  /** @type {number} How long a change stays on cards and in the panel: 3 days */
+  var RECENT_CHANGE_MS = 3 * 24 * 60 * 60 * 1000;
+
+  /** @type {number} Changes kept in the log (oldest dropped first) */
+  var MAX_CHANGES = 200;
+
+  /**
+   * The fields we diff, per event key.
+   * @param {Object[]} events - Events with keys (see assignKeys())
+   * @returns {Object.<string, Object>} key → { id, date, time, start, venue, status }
+   */
+  function snapshotOf(events) {
+    var snapshot = {};
+    events.forEach(function (evt) {
+      snapshot[evt.key] = {
+        id: evt.id || '',
+        date: evt.date || '',
+        time: evt.time || '',
+        start: evt.start || '',
+        venue: evt.venue || '',
+        status: evt.status || 'upcoming'
+      };
+    });
+    return snapshot;
+  }
+
+  /**
+   * Compare events against an earlier snapshot.
+   *
+   * One change per field: a new date is reported as "date" (even if the
+   * time moved too), a new time on the same day as "time". A venue or time
+   * appearing where there was none is the schedule filling in, not a change,
+   * and events missing from the new list are ignored (the API drops events
+   * now and then).
+   *
+   * @param {Object.<string, Object>} snapshot - From snapshotOf()
+   * @param {Object[]} events - Current events
+   * @param {string} detectedAt - ISO timestamp stamped on each change
+   * @returns {Object[]} { key, sport, event, field, from, to, fromStart, toStart, detectedAt }
+   */
+  function diffSchedules(snapshot, events, detectedAt) {
+    var changes = [];
+    var current = snapshotOf(events);
+    events.forEach(function (evt) {
+      var before = snapshot[evt.key];
+      if (!before) return;
+      var after = current[evt.key];
+      CHANGE_FIELDS.forEach(function (field) {
+        if (before[field] === after[field] || !before[field]) return;
+        if (field === 'time' && before.date !== after.date) return;  // Reported as "date"
+        if (field === 'status' && ROUTINE_STATUSES[before.status] && ROUTINE_STATUSES[after.status]) return;
+        var change = {
+          key: evt.key,
+          sport: evt.sport,
+          event: evt.event || evt.discipline || '',
+          field: field,
+          from: before[field],
+          to: after[field],
+          detectedAt: detectedAt
+        };
+        if (field === 'date' || field === 'time') {
+          change.fromStart = before.start;
+          change.toStart = after.start;
+        }
+        changes.push(change);
+      });
+    });
+    return changes;
+  }
+
+  /**
+   * Diff events against the log's snapshot and append what changed.
+   *
+   * The log is a plain object so the browser can keep it in localStorage
+   * and api/ in memory:
+   *   {
+   *     snapshot:  { key: { id, date, time, start, venue, status } },
+   *     changes:   [ change, ... ],          // oldest first, see diffSchedules()
+   *     aliases:   { oldId: currentId }     // API IDs the event used to have
+   *   }
+   *
+   * A moved event usually gets a new API id (it embeds the date and time);
+   * the old one is kept in aliases so results filed under it still find
+   * the event.
+   *
+   * @param {Object|null} log - Previous log (null on first run: snapshot only)
+   * @param {Object[]} events - Current events
+   * @param {Date} [now] - Detection time (defaults to now)
+   * @returns {Object} New log (the old one is not mutated)
+   */
+  function recordChanges(log, events, now) {
+    if (!log || !log.snapshot) {
+      return { snapshot: snapshotOf(events), changes: [], aliases: {} };
+    }
+    var found = diffSchedules(log.snapshot, events, (now || new Date()).toISOString());
+
+    var aliases = assign(log.aliases);
+    events.forEach(function (evt) {
+      var before = log.snapshot[evt.key];
+      if (!before || !before.id || !evt.id || before.id === evt.id) return;
+      Object.keys(aliases).forEach(function (oldId) {
+        if (aliases[oldId] === before.id) aliases[oldId] = evt.id;
+      });
+      aliases[before.id] = evt.id;
+      delete aliases[evt.id];  // Moved back to an earlier id
+    });
+
+    return {
+      // Keep entries for events missing from this fetch so they diff when they return
+      snapshot: assign(log.snapshot, snapshotOf(events)),
+      changes: (log.changes || []).concat(found).slice(-MAX_CHANGES),
+      aliases: aliases
+    };
+  }
+
+  /**
+   * Attach evt.changes (recent changes, one per field, first "from" to
+   * latest "to"; a field moved back where it started is dropped), and the
+   * event's old API ids to evt.previousIds.
+   *
+   * @param {Object[]} events - Current events
+   * @param {Object|null} log - From recordChanges()
+   * @returns {Object[]} New event objects
+   */
+  function applyChangeLog(events, log) {
+    if (!log) return events;
+    var cutoff = Date.now() - RECENT_CHANGE_MS;
+    var byKey = {};
+    (log.changes || []).forEach(function (change) {
+      if (new Date(change.detectedAt).getTime() < cutoff) return;
+      var fields = byKey[change.key] || (byKey[change.key] = {});
+      var prev = fields[change.field];
+      fields[change.field] = prev
+        ? assign(change, { from: prev.from, fromStart: prev.fromStart })
+        : change;
+    });
+
+    var previousIds = {};
+    Object.keys(log.aliases || {}).forEach(function (oldId) {
+      var id = log.aliases[oldId];
+      (previousIds[id] = previousIds[id] || []).push(oldId);
+    });
+
+    return events.map(function (evt) {
+      var fields = byKey[evt.key] || {};
+      var changes = Object.keys(fields).map(function (f) { return fields[f]; }).filter(function (c) {
+        return c.from !== c.to;
+      });
+      var patch = {};
+      if (previousIds[evt.id]) {
+        patch.previousIds = (evt.previousIds || []).concat(previousIds[evt.id].filter(function (id) {
+          return (evt.previousIds || []).indexOf(id) === -1;
+        }));
+      }
+      if (changes.length) patch.changes = changes;
+      return Object.keys(patch).length ? assign(evt, patch) : evt;
+    });
+  }
+
+  /**
+   * Browser side: diff against the snapshot from the last visit, save the
+   * updated log, and attach recent changes.
+   *
+   * @param {Object[]} events - Fully processed events (after applyRules())
+   * @returns {Object[]}
+   */
+  function trackChanges(events) {
+    var log = null;
+    try {
+      log = JSON.parse(localStorage.getItem(CHANGES_KEY));
+    } catch (e) { /* corrupt → start over */ }
+    log = recordChanges(log, events);
+    try {
+      localStorage.setItem(CHANGES_KEY, JSON.stringify(log));
+    } catch (e) { /* ignore quota errors */ }
+    return applyChangeLog(events, log);
+  }
+
   // =====================================================================
   // Main Fetch Entry Point
   // =====================================================================
@@ -569,7 +1255,8 @@ var Schedule = (function () {
   }
 
   /**
-   * Main entry: fetch schedule and apply broadcast rules.
+   * Main entry: fetch schedule, merge the supplement, and apply durations +
+   * broadcast rules.
    *
    * Strategy (designed to minimize API calls under high traffic):
    *
@@ -588,27 +1275,19 @@ var Schedule = (function () {
    * @returns {Promise<Object[]>} Array of normalized events with broadcast info
    */
   function fetchSchedule() {
-    var apiKey = CONFIG.RAPIDAPI_KEY;
-
-    // Broadcast rules (small, rarely changes — simple cache-or-fetch)
-    var cachedBroadcast = getCache(BROADCAST_CACHE_KEY);
-    var broadcastPromise = cachedBroadcast
-      ? Promise.resolve(cachedBroadcast)
-      : fetchBroadcastRules().then(function (rules) {
-          if (rules) setCache(BROADCAST_CACHE_KEY, rules);
-          return rules;
-        });
+    var endpoint = CONFIG.SCHEDULE_ENDPOINT;
+    var rulesPromise = loadRules();
 
     // ?refresh forces a live API fetch (bypasses all caches)
-    if (forceRefresh() && apiKey) {
+    if (forceRefresh() && endpoint) {
       return Promise.all([
-        fetchFromAPI(apiKey).then(function (events) {
+        fetchFromAPI().then(function (events) {
           setCache(SCHEDULE_CACHE_KEY, events);
           return events;
         }),
-        broadcastPromise
+        rulesPromise
       ]).then(function (results) {
-        return applyBroadcastRules(results[0], results[1]);
+        return applyRules(results[0], results[1]);
       });
     }
 
@@ -617,18 +1296,18 @@ var Schedule = (function () {
 
     if (cached && !cached.isStale) {
       // FRESH CACHE: serve immediately, zero API calls
-      return broadcastPromise.then(function (rules) {
-        return applyBroadcastRules(cached.data, rules);
+      return rulesPromise.then(function (rules) {
+        return applyRules(cached.data, rules);
       });
     }
 
     if (cached && cached.isStale) {
       // STALE CACHE: serve immediately, refresh in background for next load
-      if (apiKey) {
-        backgroundRefresh(apiKey);
+      if (endpoint) {
+        backgroundRefresh();
       }
-      return broadcastPromise.then(function (rules) {
-        return applyBroadcastRules(cached.data, rules);
+      return rulesPromise.then(function (rules) {
+        return applyRules(cached.data, rules);
       });
     }
 
@@ -639,45 +1318,87 @@ var Schedule = (function () {
     });
 
     // Kick off background API refresh so next load has fresh data
-    if (apiKey) {
-      backgroundRefresh(apiKey);
+    if (endpoint) {
+      backgroundRefresh();
     }
 
-    return Promise.all([schedulePromise, broadcastPromise]).then(function (results) {
-      return applyBroadcastRules(results[0], results[1]);
+    return Promise.all([schedulePromise, rulesPromise]).then(function (results) {
+      return applyRules(results[0], results[1]);
+    });
+  }
+
+  /**
+   * Broadcast rules, durations, supplement, classification (small, rarely
+   * change — simple cache-or-fetch). Classification is only waited on so
+   * athlete matching has the alias tables.
+   * @returns {Promise<Array>} [broadcast rules, duration table, supplement, classification]
+   */
+  function loadRules() {
+    return Promise.all([
+      cachedOrFetch(BROADCAST_CACHE_KEY, fetchBroadcastRules),
+      cachedOrFetch(DURATIONS_CACHE_KEY, fetchDurations),
+      cachedOrFetch(SUPPLEMENT_CACHE_KEY, fetchSupplement),
+      loadClassification()
+    ]);
+  }
+
+  /**
+   * Re-fetch the schedule for live updates on an open page.
+   *
+   * Unlike backgroundRefresh() this is not throttled: /api/events answers
+   * from Vercel's edge cache and its own in-memory cache (2 minutes while
+   * events are running, see api/_lib/schedule-source.js), so every open
+   * tab polling it still adds up to one RapidAPI call per cache period.
+   *
+   * @returns {Promise<Object[]>} Processed events, as from fetchSchedule()
+   */
+  function refreshSchedule() {
+    return Promise.all([fetchEndpoint(), loadRules()]).then(function (results) {
+      setCache(SCHEDULE_CACHE_KEY, results[0]);
+      return applyRules(results[0], results[1]);
+    });
+  }
+
+  /**
+   * Serve a small rules file from localStorage, or fetch and cache it.
+   * @param {string} key - localStorage key
+   * @param {function(): Promise<Object|null>} fetcher - Loads the file (null on failure)
+   * @returns {Promise<Object|null>}
+   */
+  function cachedOrFetch(key, fetcher) {
+    var cached = getCache(key);
+    if (cached) return Promise.resolve(cached);
+    return fetcher().then(function (data) {
+      if (data) setCache(key, data);
+      return data;
     });
   }
 
   /**
-   * Silently fetch fresh data from the API and update localStorage.
+   * Merge the supplement, apply durations and broadcast rules, then diff
+   * against the last snapshot (see trackChanges()).
+   * @param {Object[]} events - Normalized event objects
+   * @param {Array} rules - [broadcast rules, duration table, supplement] (any may be null)
+   * @returns {Object[]}
+   */
+  function applyRules(events, rules) {
+    var merged = applySupplement(events, rules[2]);
+    return trackChanges(applyBroadcastRules(applyDurations(merged, rules[1]), rules[0]));
+  }
+
+  /**
+   * Silently fetch fresh data from /api/events and update localStorage.
    * Runs in the background — does not block page rendering.
    * Failures are silently ignored (cached/static data is already showing).
-   *
-   * @param {string} apiKey - RapidAPI key
    */
-  function backgroundRefresh(apiKey) {
+  function backgroundRefresh() {
     // Throttle: only allow one API call per hour (during Olympics)
     if (!canRefreshAPI()) return;
     markRefreshAttempt();
 
     setTimeout(function () {
-      var url = 'https://' + CONFIG.RAPIDAPI_HOST + '/events';
-      fetch(url, {
-        method: 'GET',
-        headers: {
-          'X-RapidAPI-Key': apiKey,
-          'X-RapidAPI-Host': CONFIG.RAPIDAPI_HOST
-        }
-      }).then(function (res) {
-        if (!res.ok) return;
-        return res.json();
-      }).then(function (data) {
-        if (data) {
-          var events = normalizeAPIData(data);
-          if (events.length > 0) {
-            setCache(SCHEDULE_CACHE_KEY, events);
-          }
-        }
+      fetchEndpoint().then(function (events) {
+        setCache(SCHEDULE_CACHE_KEY, events);
       }).catch(function () {
         // Silently ignore — user already has data showing
       });
@@ -689,82 +1410,23 @@ var Schedule = (function () {
   // =====================================================================
 
   /**
-   * Sport name normalization map.
-   * Maps various athlete CSV sport names to canonical lowercase keys
-   * for matching against schedule event sport names.
-   * @type {Object.<string, string>}
-   */
-  var sportAliases = {
-    'alpine skiing': 'alpine skiing',
-    'biathlon': 'biathlon',
-    'bobsleigh': 'bobsleigh',
-    'bobsled': 'bobsleigh',
-    'cross-country skiing': 'cross-country skiing',
-    'cross country skiing': 'cross-country skiing',
-    'curling': 'curling',
-    'figure skating': 'figure skating',
-    'freestyle skiing': 'freestyle skiing',
-    'freestyle aerials': 'freestyle skiing',
-    'freestyle moguls': 'freestyle skiing',
-    'freeski halfpipe': 'freestyle skiing',
-    'freeski slopestyle & big air': 'freestyle skiing',
-    'freeski slopestyle': 'freestyle skiing',
-    'freeski big air': 'freestyle skiing',
-    'ice hockey': 'ice hockey',
-    'luge': 'luge',
-    'nordic combined': 'nordic combined',
-    'short track speed skating': 'short track speed skating',
-    'short track': 'short track speed skating',
-    'skeleton': 'skeleton',
-    'ski jumping': 'ski jumping',
-    'snowboard': 'snowboard',
-    'snowboarding': 'snowboard',
-    'snowboard cross': 'snowboard',
-    'snowboard halfpipe': 'snowboard',
-    'snowboard slopestyle': 'snowboard',
-    'snowboard big air': 'snowboard',
-    'snowboard parallel giant slalom': 'snowboard',
-    'speed skating': 'speed skating'
-  };
-
-  /**
-   * Event alias map: maps athlete CSV Event column values to text patterns
-   * found in the API's discipline/event fields.
-   *
-   * Needed because the API uses abbreviations (e.g., "4-man" for "Four-Man",
-   * "PGS" for "Parallel Giant Slalom", "SBX" for "Snowboard Cross").
-   *
-   * @type {Object.<string, string[]>}
-   */
-  var eventAliases = {
-    'four-man': ['4-man'],
-    'two-man': ['2-man'],
-    'pairs': ['pair skating', 'pairs'],
-    'team event': ['team event'],
-    'single skating': ['single skating'],
-    'big air': ['big air', ' ba '],
-    'halfpipe': ['halfpipe', ' hp '],
-    'slopestyle': ['slopestyle'],
-    'parallel giant slalom': ['pgs', 'parallel giant slalom'],
-    'snowboard cross': ['snowboard cross', 'sbx', 'sbd cross'],
-    'skeleton': ['skeleton', 'heat'],
-    'individual': ['individual', 'ind.']
-  };
-
-  /**
-   * Normalize a sport name to its canonical form for matching.
+   * Normalize a sport name to its canonical form for matching, via the
+   * rules file's sportAliases (roster spellings such as "Bobsled" or
+   * "Freeski Halfpipe" → the schedule's sport).
    * @param {string} name - Sport name from any source
    * @returns {string} Lowercase canonical sport name
    */
   function normalizeSport(name) {
     if (!name) return '';
     var lower = name.toLowerCase().trim();
-    return sportAliases[lower] || lower;
+    return rules.sportAliases[lower] || lower;
   }
 
   /**
    * Check if an athlete's event discipline matches the schedule event text.
-   * First tries direct substring match, then checks aliases.
+   * First tries direct substring match, then the rules file's eventAliases
+   * (the API abbreviates: "4-man" for "Four-Man", "PGS" for "Parallel
+   * Giant Slalom", "SBX" for "Snowboard Cross").
    *
    * @param {string} athleteEvent - Event name from athlete CSV (e.g., "Downhill")
    * @param {string} evtText - Combined discipline + event text from API (lowercased, padded)
@@ -775,7 +1437,7 @@ var Schedule = (function () {
     // Direct substring match
     if (evtText.indexOf(ev) !== -1) return true;
     // Check aliases for API abbreviation differences
-    var aliases = eventAliases[ev];
+    var aliases = rules.eventAliases[ev];
     if (aliases) {
       return aliases.some(function (a) {
         return evtText.indexOf(a) !== -1;
@@ -784,6 +1446,18 @@ var Schedule = (function () {
     return false;
   }
 
+  /**
+   * The text eventMatches() searches: discipline + event name, lowercased
+   * and padded with spaces for boundary matching (" ba ", " hp ").
+   * @param {Object} evt - Normalized event
+   * @returns {string}
+   */
+  function eventText(evt) {
+    var evtDisc = (evt.discipline || '').toLowerCase().trim();
+    var evtEvent = (evt.event || '').toLowerCase().trim();
+    return ' ' + evtDisc + ' ' + evtEvent + ' ';
+  }
+
   /**
    * Match schedule events to the athlete roster.
    *
@@ -792,7 +1466,9 @@ var Schedule = (function () {
    *   2. For each event, find athletes in the same sport
    *   3. Filter by gender if the event specifies Men's or Women's
    *   4. Strict-match against athlete's Events column using eventAliases
-   *   5. Only return events that matched at least one athlete
+   *   5. Give every round of a competition the athletes matched to any of
+   *      its rounds ("Men Heat 1" alone doesn't say skeleton; the final does)
+   *   6. Only return events that matched at least one athlete
    *
    * @param {Object[]} schedule - Normalized events from fetchSchedule()
    * @param {Object[]} athletes - Normalized athletes from Athletes.fetchAthletes()
@@ -807,7 +1483,7 @@ var Schedule = (function () {
       sportMap[key].push(ath);
     });
 
-    return schedule.map(function (evt) {
+    var matchedEvents = schedule.map(function (evt) {
       var eventSport = normalizeSport(evt.sport);
       var matched = sportMap[eventSport] || [];
 
@@ -820,9 +1496,7 @@ var Schedule = (function () {
 
       // Strict event discipline matching using athlete Events column
       if (matched.length > 0) {
-        var evtDisc = (evt.discipline || '').toLowerCase().trim();
-        var evtEvent = (evt.event || '').toLowerCase().trim();
-        var evtText = ' ' + evtDisc + ' ' + evtEvent + ' ';  // Padded for boundary matching
+        var evtText = eventText(evt);
 
         matched = matched.filter(function (ath) {
           if (ath.events && ath.events.length > 0) {
@@ -835,30 +1509,238 @@ var Schedule = (function () {
         });
       }
 
-      return {
+      return assign(evt, {
         id: evt.id || '',
-        date: evt.date,
-        time: evt.time,
-        sport: evt.sport,
-        discipline: evt.discipline,
-        event: evt.event,
-        venue: evt.venue,
         isMedalEvent: evt.isMedalEvent || false,
         status: evt.status || 'upcoming',
         eventGender: evt.eventGender || '',
         broadcast: evt.broadcast || [],
         athletes: matched
-      };
+      });
+    });
+
+    // Union of athletes across each competition's rounds
+    var byCompetition = {};
+    matchedEvents.forEach(function (evt) {
+      var key = evt.competition || evt.key;
+      var list = byCompetition[key] || (byCompetition[key] = []);
+      evt.athletes.forEach(function (ath) {
+        if (list.indexOf(ath) === -1) list.push(ath);
+      });
+    });
+
+    return matchedEvents.map(function (evt) {
+      var athletes = byCompetition[evt.competition || evt.key];
+      return athletes.length === evt.athletes.length ? evt : assign(evt, { athletes: athletes });
     }).filter(function (evt) {
       // Only show events where at least one Park City athlete is competing
       return evt.athletes.length > 0;
     });
   }
 
+  // =====================================================================
+  // Matching Diagnostics
+  // =====================================================================
+
+  /**
+   * Words that make poor "did you mean" suggestions on their own or at
+   * either end of one ("Men's", "Heat", "Final 1").
+   * @type {RegExp}
+   */
+  var SUGGESTION_NOISE = /^(men|men's|women|women's|mixed|heat|run|final|semifinal|semi-final|quarterfinal|qualification|round|race|training|\d+)$/;
+
+  /** @type {number} Most "did you mean" suggestions per value */
+  var MAX_SUGGESTIONS = 3;
+
+  /**
+   * Every phrase of one to three words in the events' names, plus the
+   * eventAliases keys: the vocabulary a roster Events value can match.
+   *
+   * @param {Object[]} events - Normalized events of one sport
+   * @returns {Object.<string, string>} Folded phrase → phrase as written
+   */
+  function suggestionPhrases(events) {
+    var phrases = {};
+    Object.keys(rules.eventAliases).forEach(function (key) {
+      phrases[Strings.fold(key)] = key.replace(/\b[a-z]/g, function (c) { return c.toUpperCase(); });
+    });
+    events.forEach(function (evt) {
+      [evt.event, evt.discipline].forEach(function (text) {
+        var words = String(text || '').replace(/[(),]/g, ' ').split(/\s+/).filter(Boolean);
+        for (var i = 0; i < words.length; i++) {
+          for (var n = 1; n <= 3 && i + n <= words.length; n++) {
+            var phrase = words.slice(i, i + n);
+            if (SUGGESTION_NOISE.test(Strings.fold(phrase[0])) ||
+                SUGGESTION_NOISE.test(Strings.fold(phrase[n - 1]))) continue;
+            var folded = Strings.fold(phrase.join(' '));
+            if (!phrases[folded]) phrases[folded] = phrase.join(' ');
+          }
+        }
+      });
+    });
+    return phrases;
+  }
+
+  /**
+   * Near misses for a value that matched nothing, e.g. "Bigair" → ["Big Air"].
+   * @param {string} value - Roster text
+   * @param {Object.<string, string>} phrases - From suggestionPhrases()
+   * @returns {string[]}
+   */
+  function suggest(value, phrases) {
+    return Strings.closest(value, Object.keys(phrases).map(function (k) { return phrases[k]; }), MAX_SUGGESTIONS);
+  }
+
+  /**
+   * Explain how the roster lined up with the schedule, for the
+   * #debug/matching page. matchScheduleToAthletes() never complains: an
+   * Events value with a typo just matches nothing, and an athlete with an
+   * empty Events column lands in every event of their sport.
+   *
+   * @param {Object[]} schedule - Normalized events (before matching)
+   * @param {Object[]} athletes - Normalized athletes
+   * @returns {Object} Report:
+   *   - athletes {number}, events {number} — roster size, matched events
+   *   - noEvents {Object[]}        — athletes matched to nothing:
+   *                                  { name, sport, reason, suggestions }
+   *   - unmatchedValues {Object[]} — Events values that match no event of
+   *                                  the athlete's sport: { name, sport,
+   *                                  value, suggestions, elsewhere }
+   *                                  (elsewhere: sports where it does match)
+   *   - fallbackOnly {Object[]}    — events whose athletes all have an empty
+   *                                  Events column: { key, date, sport,
+   *                                  event, athletes }
+   *   - genderConflicts {Object[]} — values that only match events of the
+   *                                  other gender: { name, sport, gender,
+   *                                  value, events }
+   */
+  function diagnoseMatching(schedule, athletes) {
+    var matched = matchScheduleToAthletes(schedule, athletes);
+
+    var bySport = {};
+    schedule.forEach(function (evt) {
+      var key = normalizeSport(evt.sport);
+      (bySport[key] || (bySport[key] = [])).push(evt);
+    });
+
+    var sportNames = {};
+    schedule.forEach(function (evt) { sportNames[Strings.fold(evt.sport)] = evt.sport; });
+
+    var counts = athletes.map(function () { return 0; });
+    matched.forEach(function (evt) {
+      evt.athletes.forEach(function (ath) { counts[athletes.indexOf(ath)]++; });
+    });
+
+    var phraseCache = {};
+    function phrasesFor(sport) {
+      return phraseCache[sport] || (phraseCache[sport] = suggestionPhrases(bySport[sport] || []));
+    }
+
+    var report = {
+      athletes: athletes.length,
+      events: matched.length,
+      noEvents: [],
+      unmatchedValues: [],
+      fallbackOnly: [],
+      genderConflicts: []
+    };
+
+    athletes.forEach(function (ath, i) {
+      var sport = normalizeSport(ath.sport);
+      var sportEvents = bySport[sport] || [];
+      var values = ath.events || [];
+
+      if (counts[i] === 0) {
+        var reason;
+        if (sportEvents.length === 0) reason = 'No "' + ath.sport + '" events on the schedule';
+        else if (values.length === 0) reason = 'Events column is empty and no event fits their gender';
+        else reason = 'None of their Events values matched';
+        report.noEvents.push({
+          name: ath.name,
+          sport: ath.sport,
+          reason: reason,
+          suggestions: sportEvents.length === 0 ? suggest(ath.sport, sportNames) : []
+        });
+      }
+
+      values.forEach(function (value) {
+        var hits = sportEvents.filter(function (evt) {
+          return eventMatches(value, eventText(evt));
+        });
+
+        if (hits.length === 0) {
+          var elsewhere = [];
+          schedule.forEach(function (evt) {
+            if (elsewhere.indexOf(evt.sport) === -1 && eventMatches(value, eventText(evt))) {
+              elsewhere.push(evt.sport);
+            }
+          });
+          report.unmatchedValues.push({
+            name: ath.name,
+            sport: ath.sport,
+            value: value,
+            suggestions: suggest(value, phrasesFor(sport)),
+            elsewhere: elsewhere
+          });
+          return;
+        }
+
+        var fits = hits.some(function (evt) {
+          return !ath.gender || !evt.eventGender || evt.eventGender === ath.gender;
+        });
+        if (!fits) {
+          var names = [];
+          hits.forEach(function (evt) {
+            var name = evt.competitionName || evt.event;
+            if (names.indexOf(name) === -1) names.push(name);
+          });
+          report.genderConflicts.push({
+            name: ath.name,
+            sport: ath.sport,
+            gender: ath.gender,
+            value: value,
+            events: names
+          });
+        }
+      });
+    });
+
+    matched.forEach(function (evt) {
+      var fallback = evt.athletes.every(function (ath) { return !ath.events || ath.events.length === 0; });
+      if (!fallback) return;
+      report.fallbackOnly.push({
+        key: evt.key,
+        date: evt.date,
+        sport: evt.sport,
+        event: evt.event,
+        athletes: evt.athletes.map(function (ath) { return ath.name; })
+      });
+    });
+
+    return report;
+  }
+
   // Public API
   return {
     fetchSchedule: fetchSchedule,
+    refreshSchedule: refreshSchedule,
     matchScheduleToAthletes: matchScheduleToAthletes,
-    normalizeSport: normalizeSport
+    normalizeSport: normalizeSport,
+    normalizeAPIData: normalizeAPIData,
+    applyDurations: applyDurations,
+    applyBroadcastRules: applyBroadcastRules,
+    buildCompetitions: buildCompetitions,
+    applySupplement: applySupplement,
+    recordChanges: recordChanges,
+    applyChangeLog: applyChangeLog,
+    eventFingerprint: eventFingerprint,
+    useRules: useRules,
+    classify: classify,
+    diagnoseMatching: diagnoseMatching
   };
 })();
+
+// Node (api/ serverless functions) loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Schedule;
+}
@@ -0,0 +1,480 @@
+/**
+ * search.js — The search box's query language.
+ *
+ * A query is terms separated by spaces, all of which must match (AND):
+ *   lindsey von              — words, each matching an athlete, sport,
+ *                              event or network
+ *   "big air"                — a phrase
+ *   athlete:"sam morse"      — one field: athlete, sport, event, network
+ *   sport:alpine,biathlon    — commas mean "any of"
+ *   date:feb-10..feb-14      — a day, a range (either end open), a month,
+ *                              today / tomorrow / yesterday
+ *   medal:gold               — gold, silver, bronze or any
+ *   status:live              — live, upcoming, final, cancelled, postponed
+ *
+ * Text is compared folded (accents and case ignored, "Men's" = "mens"),
+ * from the start of a word ("von" finds "Vonn" but "men" doesn't find
+ * "Women's"), spaces optional ("bigair"), and a word of four or more
+ * letters may have a typo per four letters ("mogls", "Shifrin") when
+ * nothing in the data matches it as typed (resolveTypos()).
+ *
+ * What an item holds is up to the caller: matches() takes a document of
+ * { athlete, sport, event, network, date, medal, status } string arrays,
+ * dates as YYYY-MM-DD.
+ *
+ * Exposes: Search.parse(), Search.resolveTypos(), Search.matches(),
+ *          Search.highlight(), Search.suggest(), Search.lastTerm(),
+ *          Search.formatTerm(), Search.VALUES
+ *
+ * Also loadable with require() once Strings is a global.
+ *
+ * @module Search
+ */
+var Search = (function () {
+
+  /** @type {Object.<string, string>} Qualifier → field */
+  var FIELDS = {
+    athlete: 'athlete', name: 'athlete',
+    sport: 'sport',
+    event: 'event',
+    network: 'network', tv: 'network',
+    date: 'date', day: 'date',
+    medal: 'medal',
+    status: 'status'
+  };
+
+  /** @type {string[]} Fields a term without a qualifier searches */
+  var TEXT_FIELDS = ['athlete', 'sport', 'event', 'network'];
+
+  /** @type {Object.<string, string[]>} Values of the fields that take a fixed set */
+  var VALUES = {
+    medal: ['gold', 'silver', 'bronze', 'any'],
+    status: ['live', 'upcoming', 'final', 'cancelled', 'postponed']
+  };
+
+  /** @type {Object.<string, string>} Other words for status values */
+  var STATUS_ALIASES = {
+    now: 'live', next: 'upcoming', scheduled: 'upcoming',
+    completed: 'final', finished: 'final', done: 'final', canceled: 'cancelled'
+  };
+
+  var MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december'];
+
+  // =====================================================================
+  // Words
+  // =====================================================================
+
+  /**
+   * Comparable form of one character or word: folded, apostrophes dropped.
+   * @param {string} str
+   * @returns {string}
+   */
+  function norm(str) {
+    return Strings.fold(str).replace(/['’]/g, '');
+  }
+
+  /** @type {Object.<string, Object[]>} tokens() by text (the same names come up on every render) */
+  var tokenCache = Object.create(null);
+
+  /**
+   * Words of a text with where they sit in it:
+   * "Women's Big Air" → [{ start: 0, end: 7, norm: 'womens' }, ...].
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  function tokens(text) {
+    if (tokenCache[text]) return tokenCache[text];
+    var list = [];
+    var current = null;
+    for (var i = 0; i < text.length; i++) {
+      var n = norm(text.charAt(i));
+      var inWord = /^[a-z0-9]*$/.test(n) && (n !== '' || /['’\u0300-\u036f]/.test(text.charAt(i)));
+      if (inWord) {
+        if (!current) current = { start: i, end: i, norm: '' };
+        current.end = i + 1;
+        current.norm += n;
+      } else if (current) {
+        list.push(current);
+        current = null;
+      }
+    }
+    if (current) list.push(current);
+    tokenCache[text] = list = list.filter(function (t) { return t.norm; });
+    return list;
+  }
+
+  /**
+   * How many characters of a word make up the first n of its comparable
+   * form ("Mi" of "Mikaela" for n = 2; accents count as one).
+   */
+  function prefixEnd(text, token, n) {
+    var seen = 0;
+    for (var i = token.start; i < token.end; i++) {
+      if (seen >= n) return i;
+      seen += norm(text.charAt(i)).length;
+    }
+    return token.end;
+  }
+
+  /** Typos allowed in a word: one per four letters. */
+  function typoLimit(word) {
+    return Math.floor(word.length / 4);
+  }
+
+  /**
+   * Where a term value matches a text, as ranges of the text; [] for no
+   * match. The value, spaces removed, must run on from the start of a
+   * word ("big air", "bigair", "mens"). Failing that, and if typos are
+   * allowed, each of its words may match a word with a typo.
+   *
+   * @param {string} text
+   * @param {string} value - Comparable form (see parse())
+   * @param {boolean} [typos=true]
+   * @returns {Object[]} { start, end }
+   */
+  function matchText(text, value, typos) {
+    var list = tokens(text);
+    var compact = value.replace(/ /g, '');
+    if (!compact) return [];
+
+    for (var k = 0; k < list.length; k++) {
+      var rest = compact;
+      var j = k;
+      while (j < list.length && rest.length > list[j].norm.length && rest.indexOf(list[j].norm) === 0) {
+        rest = rest.slice(list[j].norm.length);
+        j++;
+      }
+      if (j < list.length && list[j].norm.indexOf(rest) === 0) {
+        return [{ start: list[k].start, end: prefixEnd(text, list[j], rest.length) }];
+      }
+    }
+
+    if (typos === false) return [];
+
+    // Typos: every word of the value near some word of the text
+    var ranges = [];
+    var all = value.split(' ').every(function (word) {
+      var limit = typoLimit(word);
+      if (!limit) return false;
+      return list.some(function (t) {
+        var near = Strings.editDistance(word, t.norm) <= limit;
+        var nearStart = t.norm.length > word.length && Strings.editDistance(word, t.norm.slice(0, word.length)) <= limit;
+        if (near || nearStart) ranges.push({ start: t.start, end: near ? t.end : prefixEnd(text, t, word.length) });
+        return near || nearStart;
+      });
+    });
+    return all ? ranges : [];
+  }
+
+  // =====================================================================
+  // Parsing
+  // =====================================================================
+
+  /**
+   * The field a qualifier names ("tv" → "network"), or null.
+   * @param {string} name
+   * @returns {string|null}
+   */
+  function fieldFor(name) {
+    name = name.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(FIELDS, name) ? FIELDS[name] : null;
+  }
+
+  /**
+   * Split a query into raw terms, keeping quoted phrases whole:
+   * 'athlete:"sam morse" gold' → ['athlete:"sam morse"', 'gold'].
+   * @param {string} text
+   * @returns {Object[]} { text, start }
+   */
+  function split(text) {
+    var terms = [];
+    var re = /(?:[^\s"]+|"[^"]*"?)+/g;
+    var m;
+    while ((m = re.exec(text))) terms.push({ text: m[0], start: m.index });
+    return terms;
+  }
+
+  /**
+   * A date value as YYYY-MM-DD: "feb-10", "feb10", "2-10", "2026-02-10",
+   * "today", "tomorrow", "yesterday". A month alone ("feb") is returned as
+   * its first and last day.
+   *
+   * @param {string} str
+   * @param {string} today - YYYY-MM-DD (also gives the year)
+   * @returns {string[]|null} [from, to], or null if it isn't a date
+   */
+  function parseDay(str, today) {
+    var shift = { yesterday: -1, today: 0, tomorrow: 1 }[str];
+    if (typeof shift === 'number') {
+      var d = new Date(today + 'T12:00:00Z');
+      d.setUTCDate(d.getUTCDate() + shift);
+      var day = d.toISOString().slice(0, 10);
+      return [day, day];
+    }
+    var year = +today.slice(0, 4);
+    var month;
+    var date;
+    var m;
+    if ((m = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(str))) {
+      year = +m[1]; month = +m[2]; date = +m[3];
+    } else if ((m = /^(\d{1,2})[-\/](\d{1,2})$/.exec(str))) {
+      month = +m[1]; date = +m[2];
+    } else if ((m = /^([a-z]{3,})-?(\d{1,2})?$/.exec(str)) || (m = /^(\d{1,2})-?([a-z]{3,})$/.exec(str))) {
+      var name = isNaN(+m[1]) ? m[1] : m[2];
+      month = MONTHS.filter(function (full) { return full.indexOf(name) === 0; }).map(function (full) {
+        return MONTHS.indexOf(full) + 1;
+      })[0];
+      if (!month) return null;
+      date = isNaN(+m[1]) ? m[2] : m[1];
+      date = date === undefined ? 0 : +date;
+    } else {
+      return null;
+    }
+
+    var pad = function (n) { return (n < 10 ? '0' : '') + n; };
+    var lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    if (month < 1 || month > 12 || date > lastDay) return null;
+    var prefix = year + '-' + pad(month) + '-';
+    return date ? [prefix + pad(date), prefix + pad(date)] : [prefix + '01', prefix + pad(lastDay)];
+  }
+
+  /**
+   * Read a query.
+   *
+   * @param {string} text - What was typed
+   * @param {Object} [options]
+   * @param {string} [options.today] - YYYY-MM-DD for date: values (default: UTC today)
+   * @returns {{ terms: Object[], errors: string[] }} terms: { field (null
+   *   for any text field), values (comparable forms, any of which may
+   *   match), from, to (date terms), invalid }; errors: what couldn't be
+   *   read, for showing under "no results" (such terms match nothing)
+   */
+  function parse(text, options) {
+    var today = (options && options.today) || new Date().toISOString().slice(0, 10);
+    var query = { terms: [], errors: [] };
+
+    split(text || '').forEach(function (raw) {
+      var m = /^([a-z]+):(.*)$/i.exec(raw.text);
+      var field = m ? fieldFor(m[1]) : null;
+      var value = field ? m[2] : raw.text;
+      var values = value.replace(/"/g, '').split(',').map(function (v) {
+        return norm(v).replace(/[^a-z0-9]+/g, ' ').trim();
+      }).filter(Boolean);
+      if (values.length === 0) return;
+      var term = { field: field || null, values: values };
+
+      if (field === 'date') {
+        var ends = value.toLowerCase().split('..');
+        var from = ends[0] ? parseDay(ends[0], today) : ['', ''];
+        var to = ends.length > 1 ? (ends[1] ? parseDay(ends[1], today) : ['', '']) : from;
+        if (!from || !to || ends.length > 2) {
+          term.invalid = true;
+          query.errors.push('"' + raw.text + '": dates look like feb-10, feb-10..feb-14 or today');
+        } else {
+          term.from = from[0];
+          term.to = to[1];
+        }
+      } else if (VALUES[field]) {
+        term.values = values.map(function (v) { return field === 'status' ? STATUS_ALIASES[v] || v : v; });
+        var unknown = term.values.filter(function (v) { return VALUES[field].indexOf(v) === -1; });
+        if (unknown.length) {
+          term.invalid = true;
+          query.errors.push('"' + raw.text + '": ' + field + ' is one of ' + VALUES[field].join(', '));
+        }
+      }
+      query.terms.push(term);
+    });
+    return query;
+  }
+
+  // =====================================================================
+  // Matching
+  // =====================================================================
+
+  /**
+   * Fields a term's text is looked for in; none for date, medal and status.
+   * @param {Object} term - From parse()
+   * @returns {string[]}
+   */
+  function textFields(term) {
+    if (!term.field) return TEXT_FIELDS;
+    return TEXT_FIELDS.indexOf(term.field) !== -1 ? [term.field] : [];
+  }
+
+  /**
+   * Whether a term value matches one of a document's fields.
+   * @returns {boolean}
+   */
+  function docHas(doc, fields, value, typos) {
+    return fields.some(function (f) {
+      return (doc[f] || []).some(function (text) { return text && matchText(text, value, typos).length > 0; });
+    });
+  }
+
+  /**
+   * Allow typos only for the text values nothing in the data matches as
+   * typed: "vonn" then finds Lindsey Vonn but not Connor Curran, while
+   * "shifrin" still finds Shiffrin. Sets term.exact (the values with a
+   * match as typed). Call again when the data changes.
+   *
+   * @param {Object} query - From parse(); its terms are updated
+   * @param {Object[]} docs - Every document the query will run on (see matches())
+   * @returns {Object} The query
+   */
+  function resolveTypos(query, docs) {
+    query.terms.forEach(function (term) {
+      var fields = textFields(term);
+      if (term.invalid || fields.length === 0) return;
+      term.exact = term.values.filter(function (v) {
+        return docs.some(function (doc) { return docHas(doc, fields, v, false); });
+      });
+    });
+    return query;
+  }
+
+  /** Whether a term's value may match with a typo (see resolveTypos()). */
+  function typosFor(term, value) {
+    return !term.exact || term.exact.indexOf(value) === -1;
+  }
+
+  /**
+   * Whether a document matches every term of a query.
+   *
+   * @param {Object} doc - { athlete, sport, event, network, date, medal,
+   *   status } string arrays; medal holds the medals won, status one of
+   *   VALUES.status
+   * @param {Object} query - From parse()
+   * @returns {boolean}
+   */
+  function matches(doc, query) {
+    return query.terms.every(function (term) {
+      if (term.invalid) return false;
+      if (term.field === 'date') {
+        return (doc.date || []).some(function (d) {
+          return d && (!term.from || d >= term.from) && (!term.to || d <= term.to);
+        });
+      }
+      if (term.field === 'medal' || term.field === 'status') {
+        var have = doc[term.field] || [];
+        return term.values.some(function (v) {
+          return v === 'any' ? have.length > 0 : have.indexOf(v) !== -1;
+        });
+      }
+      return term.values.some(function (v) {
+        return docHas(doc, textFields(term), v, typosFor(term, v));
+      });
+    });
+  }
+
+  /**
+   * Parts of a text the query matched, for highlighting.
+   *
+   * @param {string} text - e.g. an athlete's name on a card
+   * @param {Object} query - From parse()
+   * @param {string} field - Which field the text is (athlete, sport, event, network)
+   * @returns {Object[]} { start, end }, in order and not overlapping
+   */
+  function highlight(text, query, field) {
+    if (!text) return [];
+    var ranges = [];
+    query.terms.forEach(function (term) {
+      if (term.invalid || (term.field ? term.field !== field : TEXT_FIELDS.indexOf(field) === -1)) return;
+      term.values.forEach(function (v) {
+        ranges = ranges.concat(matchText(text, v, typosFor(term, v)));
+      });
+    });
+    ranges.sort(function (a, b) { return a.start - b.start; });
+    var merged = [];
+    ranges.forEach(function (r) {
+      var last = merged[merged.length - 1];
+      if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+      else merged.push({ start: r.start, end: r.end });
+    });
+    return merged;
+  }
+
+  // =====================================================================
+  // Autocomplete
+  // =====================================================================
+
+  /**
+   * The value being typed at the end of a query, for autocomplete.
+   * 'medal:gold athlete:"sam mo' → { start: 19, field: 'athlete', value: 'sam mo' }
+   * (start: where the value, with its quote, begins; after the qualifier
+   * and any commas).
+   *
+   * @param {string} text
+   * @returns {{ start: number, field: (string|null), value: string }}
+   *   field: the qualifier's field (null without one); value '' when the
+   *   query ends in a space
+   */
+  function lastTerm(text) {
+    var terms = split(text);
+    var last = terms[terms.length - 1];
+    if (!last || last.start + last.text.length < text.length) return { start: text.length, field: null, value: '' };
+    var m = /^([a-z]+):(.*)$/i.exec(last.text);
+    var field = m ? fieldFor(m[1]) : null;
+    var start = last.start;
+    var value = last.text;
+    if (field) {
+      start += m[1].length + 1 + m[2].lastIndexOf(',') + 1;
+      value = m[2].slice(m[2].lastIndexOf(',') + 1);
+    }
+    return { start: start, field: field || null, value: value.replace(/"/g, '') };
+  }
+
+  /**
+   * A term for a value, quoted if it has spaces, with a qualifier if given:
+   * ('athlete', 'Sam Morse') → 'athlete:"Sam Morse"'.
+   * @param {string|null} field
+   * @param {string} value
+   * @returns {string}
+   */
+  function formatTerm(field, value) {
+    return (field ? field + ':' : '') + (/\s/.test(value) ? '"' + value + '"' : value);
+  }
+
+  /**
+   * Candidates for a partly typed value, best first: those it starts,
+   * then those with a word it starts; near misses only if there are
+   * neither (as resolveTypos()).
+   *
+   * @param {string} value - e.g. "mik"
+   * @param {string[]} candidates - e.g. athlete names
+   * @param {number} [max=6]
+   * @returns {string[]}
+   */
+  function suggest(value, candidates, max) {
+    var v = norm(value).replace(/[^a-z0-9]+/g, ' ').trim();
+    if (!v) return [];
+    var scored = [];
+    candidates.forEach(function (text) {
+      var ranges = matchText(text, v);
+      if (ranges.length === 0) return;
+      var exact = norm(text.slice(ranges[0].start, ranges[0].end)).replace(/[^a-z0-9]+/g, '') === v.replace(/ /g, '');
+      scored.push({ text: text, score: !exact ? 2 : ranges[0].start === 0 ? 0 : 1 });
+    });
+    var hasExact = scored.some(function (s) { return s.score < 2; });
+    if (hasExact) scored = scored.filter(function (s) { return s.score < 2; });
+    scored.sort(function (a, b) { return a.score - b.score || a.text.localeCompare(b.text); });
+    return scored.slice(0, max || 6).map(function (s) { return s.text; });
+  }
+
+  // Public API
+  return {
+    VALUES: VALUES,
+    parse: parse,
+    resolveTypos: resolveTypos,
+    matches: matches,
+    highlight: highlight,
+    lastTerm: lastTerm,
+    formatTerm: formatTerm,
+    suggest: suggest
+  };
+})();
+
+// Node loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Search;
+}
@@ -0,0 +1,115 @@
+/**
+ * strings.js — Small text helpers shared by the browser modules and api/.
+ *
+ * Names arrive from several hand-maintained sources (Google Sheet, API,
+ * YSA roster) with inconsistent accents and punctuation. These helpers give
+ * every module the same idea of "the same text".
+ *
+ * Exposes: Strings.fold(), Strings.slugify(), Strings.editDistance(),
+ *          Strings.closest()
+ *
+ * Also loadable with require() so api/ functions build identical slugs.
+ *
+ * @module Strings
+ */
+var Strings = (function () {
+
+  /** @type {Object.<string, string>} Letters NFD does not decompose */
+  var EXTRA_FOLDS = { 'ø': 'o', 'æ': 'ae', 'œ': 'oe', 'ß': 'ss', 'ł': 'l', 'đ': 'd', 'ı': 'i' };
+
+  /**
+   * Lowercase and strip diacritics: "Alex Hall" → "alex hall",
+   * "Jäger" → "jager", "Bjørn" → "bjorn".
+   *
+   * @param {string} str
+   * @returns {string}
+   */
+  function fold(str) {
+    return String(str || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[øæœßłđı]/g, function (ch) { return EXTRA_FOLDS[ch]; });
+  }
+
+  /**
+   * URL-safe slug: folded, apostrophes dropped, other runs of non-alphanumerics
+   * collapsed to single hyphens. "Men's Super-G" → "mens-super-g".
+   *
+   * @param {string} str
+   * @returns {string}
+   */
+  function slugify(str) {
+    return fold(str)
+      .replace(/['\u2019]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Levenshtein distance: the fewest single-letter inserts, deletes or
+   * substitutions that turn one string into the other.
+   * "bigair" → "big air" is 1.
+   *
+   * @param {string} a
+   * @param {string} b
+   * @returns {number}
+   */
+  function editDistance(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    var prev = [];
+    for (var j = 0; j <= b.length; j++) prev.push(j);
+
+    for (var i = 1; i <= a.length; i++) {
+      var row = [i];
+      for (var k = 1; k <= b.length; k++) {
+        var cost = a.charAt(i - 1) === b.charAt(k - 1) ? 0 : 1;
+        row.push(Math.min(prev[k] + 1, row[k - 1] + 1, prev[k - 1] + cost));
+      }
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  /**
+   * Near misses for a "did you mean": candidates within a few typos of
+   * the value (one per four letters, at least one), closest first.
+   * Exact matches (after folding) are not near misses.
+   *
+   * @param {string} value - e.g. "Bigair"
+   * @param {string[]} candidates - e.g. ["Big Air", "Halfpipe"]
+   * @param {number} [max=3] - Most suggestions to return
+   * @returns {string[]} e.g. ["Big Air"]
+   */
+  function closest(value, candidates, max) {
+    var folded = fold(value).trim();
+    var limit = Math.max(1, Math.floor(folded.length / 4));
+    var near = [];
+    candidates.forEach(function (text) {
+      var candidate = fold(text).trim();
+      if (Math.abs(candidate.length - folded.length) > limit) return;
+      var d = editDistance(folded, candidate);
+      if (d > 0 && d <= limit) near.push({ text: text, distance: d });
+    });
+    near.sort(function (a, b) {
+      return a.distance - b.distance || a.text.length - b.text.length;
+    });
+    return near.slice(0, max || 3).map(function (n) { return n.text; });
+  }
+
+  // Public API
+  return {
+    fold: fold,
+    slugify: slugify,
+    editDistance: editDistance,
+    closest: closest
+  };
+})();
+
+// Node (api/ serverless functions) loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Strings;
+}
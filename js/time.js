@@ -0,0 +1,343 @@
+/**
+ * time.js — Time zone engine: venue time ↔ real instants ↔ viewer time.
+ *
+ * Every schedule time we receive is wall-clock time somewhere:
+ *   - API event times are local to the venue (Italy, Europe/Rome)
+ *   - broadcast.json times are local to the broadcast rules' zone
+ *     (Mountain Time, America/Denver, unless the file says otherwise)
+ *
+ * This module turns those into real instants (Date objects) using IANA zone
+ * rules from the Intl API, so DST transitions are handled by the browser's
+ * time zone database instead of fixed offsets. Instants are then shown in
+ * the viewer's chosen zone.
+ *
+ * The viewer zone defaults to CONFIG.TIMEZONE (auto-detected) and can be
+ * changed from the controls bar; the choice persists in localStorage.
+ *
+ * Exposes: Time.zonedToInstant(), Time.eventStart(), Time.dateKey(),
+ *          Time.formatTime(), Time.getZone(), Time.setZone(), ...
+ *
+ * Also loadable with require() so api/ functions share the conversions.
+ *
+ * @module Time
+ */
+var Time = (function () {
+
+  /** @type {string} IANA zone of the Milano Cortina venues */
+  var VENUE_ZONE = 'Europe/Rome';
+
+  /** @type {string} Default zone for broadcast.json times (Mountain Time) */
+  var BROADCAST_ZONE = 'America/Denver';
+
+  /** @type {string} localStorage key for the viewer's chosen zone */
+  var ZONE_STORAGE_KEY = 'utah_olympics_timezone';
+
+  /**
+   * Zones offered in the controls bar, in display order.
+   * The auto-detected browser zone is offered separately as "Your time".
+   * @type {{ zone: string, label: string }[]}
+   */
+  var ZONE_CHOICES = [
+    { zone: 'America/Denver', label: 'Mountain (Park City)' },
+    { zone: 'America/Los_Angeles', label: 'Pacific' },
+    { zone: 'America/Chicago', label: 'Central' },
+    { zone: 'America/New_York', label: 'Eastern' },
+    { zone: 'America/Anchorage', label: 'Alaska' },
+    { zone: 'Pacific/Honolulu', label: 'Hawaii' },
+    { zone: 'Europe/London', label: 'UK' },
+    { zone: 'Europe/Rome', label: 'Italy (venue time)' },
+    { zone: 'UTC', label: 'UTC' }
+  ];
+
+  /** @type {Object.<string, Intl.DateTimeFormat>} Cached parts formatters per zone */
+  var _partsFormatters = {};
+
+  /** @type {string|null} Viewer zone, resolved lazily from storage/CONFIG */
+  var _viewerZone = null;
+
+  /** Zero-pad a number to 2 digits. */
+  function pad2(n) { return n < 10 ? '0' + n : '' + n; }
+
+  /**
+   * Check whether the runtime knows an IANA zone name.
+   * @param {string} zone
+   * @returns {boolean}
+   */
+  function isValidZone(zone) {
+    if (!zone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: zone });
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Break an instant into wall-clock fields as seen in a zone.
+   *
+   * @param {Date} instant
+   * @param {string} zone - IANA zone name
+   * @returns {{ year: number, month: number, day: number, hour: number,
+   *             minute: number, second: number }}
+   */
+  function partsInZone(instant, zone) {
+    var fmt = _partsFormatters[zone];
+    if (!fmt) {
+      fmt = _partsFormatters[zone] = new Intl.DateTimeFormat('en-US', {
+        timeZone: zone,
+        hour12: false,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      });
+    }
+    var out = {};
+    fmt.formatToParts(instant).forEach(function (p) { out[p.type] = p.value; });
+    return {
+      year: parseInt(out.year, 10),
+      month: parseInt(out.month, 10),
+      day: parseInt(out.day, 10),
+      hour: parseInt(out.hour, 10) % 24,  // some engines render midnight as "24"
+      minute: parseInt(out.minute, 10),
+      second: parseInt(out.second, 10)
+    };
+  }
+
+  /**
+   * UTC offset of a zone at a given instant, in minutes (e.g. -420 for MST).
+   *
+   * @param {Date} instant
+   * @param {string} zone - IANA zone name
+   * @returns {number}
+   */
+  function offsetMinutes(instant, zone) {
+    var p = partsInZone(instant, zone);
+    var asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    var whole = instant.getTime() - instant.getUTCMilliseconds();
+    return Math.round((asUTC - whole) / 60000);
+  }
+
+  /**
+   * Convert a wall-clock date + time in a zone to a real instant.
+   *
+   * Tries the offsets in effect before and after the wall time so times
+   * near a DST transition land on the correct side. Ambiguous times (fall-back overlap) resolve to the first
+   * occurrence; nonexistent times (spring-forward gap) move forward by the
+   * gap, matching how calendar apps treat them.
+   *
+   * @param {string} dateStr - "YYYY-MM-DD"
+   * @param {string} timeStr - "HH:MM"
+   * @param {string} zone - IANA zone name
+   * @returns {Date|null} Instant, or null if the input is not a valid date/time
+   */
+  function zonedToInstant(dateStr, timeStr, zone) {
+    var d = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateStr || '');
+    var t = /^(\d{1,2}):(\d{2})/.exec(timeStr || '');
+    if (!d || !t) return null;
+    var local = Date.UTC(+d[1], +d[2] - 1, +d[3], +t[1], +t[2]);
+    // Offsets in effect half a day either side; they differ only when the
+    // wall time is near a DST transition.
+    var before = offsetMinutes(new Date(local - 12 * 3600000), zone);
+    var after = offsetMinutes(new Date(local + 12 * 3600000), zone);
+    var candidates = [local - before * 60000, local - after * 60000].filter(function (ms, i) {
+      return offsetMinutes(new Date(ms), zone) === (i === 0 ? before : after);
+    });
+    if (candidates.length === 0) {
+      // Spring-forward gap: shift forward using the pre-transition offset
+      return new Date(local - Math.min(before, after) * 60000);
+    }
+    return new Date(Math.min.apply(null, candidates));
+  }
+
+  /**
+   * Calendar date of an instant in a zone.
+   *
+   * @param {Date} instant
+   * @param {string} [zone] - IANA zone (defaults to the viewer zone)
+   * @returns {string} "YYYY-MM-DD"
+   */
+  function dateKey(instant, zone) {
+    var p = partsInZone(instant, zone || getZone());
+    return p.year + '-' + pad2(p.month) + '-' + pad2(p.day);
+  }
+
+  /**
+   * Wall-clock time of an instant in a zone.
+   *
+   * @param {Date} instant
+   * @param {string} [zone] - IANA zone (defaults to the viewer zone)
+   * @returns {string} "HH:MM" (24-hour)
+   */
+  function timeKey(instant, zone) {
+    var p = partsInZone(instant, zone || getZone());
+    return pad2(p.hour) + ':' + pad2(p.minute);
+  }
+
+  /**
+   * Start instant of a normalized event.
+   *
+   * Uses evt.start (ISO string set during normalization) when present, and
+   * otherwise interprets evt.date + evt.time as venue time — older cached
+   * schedules predate the start field.
+   *
+   * @param {Object} evt - Normalized event
+   * @returns {Date|null} null when the event has no start time (TBD)
+   */
+  function eventStart(evt) {
+    if (!evt) return null;
+    if (evt.start) {
+      var d = new Date(evt.start);
+      if (!isNaN(d.getTime())) return d;
+    }
+    return zonedToInstant(evt.date, evt.time, VENUE_ZONE);
+  }
+
+  /**
+   * ISO string for an event's start instant, for storing on normalized events.
+   *
+   * @param {string} dateStr - Venue date "YYYY-MM-DD"
+   * @param {string} timeStr - Venue time "HH:MM"
+   * @returns {string} ISO 8601 UTC string, or '' if no valid time
+   */
+  function venueStartISO(dateStr, timeStr) {
+    var d = zonedToInstant(dateStr, timeStr, VENUE_ZONE);
+    return d ? d.toISOString() : '';
+  }
+
+  /**
+   * Format an instant as a short local time with zone abbreviation,
+   * e.g. "6:30 AM MST" or "5:30 AM PST".
+   *
+   * @param {Date} instant
+   * @param {string} [zone] - IANA zone (defaults to the viewer zone)
+   * @returns {string}
+   */
+  function formatTime(instant, zone) {
+    if (!instant) return 'TBD';
+    return instant.toLocaleTimeString(undefined, {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: zone || getZone(),
+      timeZoneName: 'short'
+    });
+  }
+
+  /**
+   * Format an instant as a short local time without the zone abbreviation,
+   * e.g. "6:30 AM". Used where the zone is shown once elsewhere.
+   *
+   * @param {Date} instant
+   * @param {string} [zone] - IANA zone (defaults to the viewer zone)
+   * @returns {string}
+   */
+  function formatClock(instant, zone) {
+    if (!instant) return 'TBD';
+    return instant.toLocaleTimeString(undefined, {
+      hour: 'numeric',
+      minute: '2-digit',
+      timeZone: zone || getZone()
+    });
+  }
+
+  /**
+   * Short zone abbreviation at an instant, e.g. "MST", "MDT", "GMT+1".
+   *
+   * @param {Date} instant
+   * @param {string} [zone] - IANA zone (defaults to the viewer zone)
+   * @returns {string}
+   */
+  function zoneAbbr(instant, zone) {
+    var parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone || getZone(),
+      timeZoneName: 'short'
+    }).formatToParts(instant);
+    for (var i = 0; i < parts.length; i++) {
+      if (parts[i].type === 'timeZoneName') return parts[i].value;
+    }
+    return '';
+  }
+
+  // =====================================================================
+  // Viewer Zone
+  // =====================================================================
+
+  /**
+   * The zone times are displayed in: the stored choice, else the
+   * auto-detected browser zone, else Mountain Time.
+   * @returns {string} IANA zone name
+   */
+  function getZone() {
+    if (_viewerZone) return _viewerZone;
+    var stored = null;
+    try {
+      stored = localStorage.getItem(ZONE_STORAGE_KEY);
+    } catch (e) { /* storage unavailable */ }
+    _viewerZone = isValidZone(stored) ? stored : detectedZone();
+    return _viewerZone;
+  }
+
+  /**
+   * Change the viewer zone. An empty or unknown zone resets to auto-detect.
+   * @param {string} zone - IANA zone name, or '' for auto
+   * @returns {string} The zone now in effect
+   */
+  function setZone(zone) {
+    try {
+      if (isValidZone(zone)) localStorage.setItem(ZONE_STORAGE_KEY, zone);
+      else localStorage.removeItem(ZONE_STORAGE_KEY);
+    } catch (e) { /* ignore storage errors */ }
+    _viewerZone = isValidZone(zone) ? zone : detectedZone();
+    return _viewerZone;
+  }
+
+  /**
+   * Whether the viewer picked a zone explicitly (vs. auto-detect).
+   * @returns {boolean}
+   */
+  function hasChosenZone() {
+    try {
+      return isValidZone(localStorage.getItem(ZONE_STORAGE_KEY));
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * The browser's own zone (CONFIG.TIMEZONE), falling back to Mountain Time.
+   * @returns {string}
+   */
+  function detectedZone() {
+    var zone = (typeof CONFIG !== 'undefined' && CONFIG.TIMEZONE) || '';
+    return isValidZone(zone) ? zone : BROADCAST_ZONE;
+  }
+
+  // Public API
+  return {
+    VENUE_ZONE: VENUE_ZONE,
+    BROADCAST_ZONE: BROADCAST_ZONE,
+    ZONE_CHOICES: ZONE_CHOICES,
+    isValidZone: isValidZone,
+    zonedToInstant: zonedToInstant,
+    offsetMinutes: offsetMinutes,
+    dateKey: dateKey,
+    timeKey: timeKey,
+    eventStart: eventStart,
+    venueStartISO: venueStartISO,
+    formatTime: formatTime,
+    formatClock: formatClock,
+    zoneAbbr: zoneAbbr,
+    getZone: getZone,
+    setZone: setZone,
+    hasChosenZone: hasChosenZone,
+    detectedZone: detectedZone
+  };
+})();
+
+// Node (api/ serverless functions) loads this file with require()
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Time;
+}
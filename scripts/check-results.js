@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * check-results.js — Checks that medal totals count each medal once.
+ *
+ * Joins a hand-made results set to the shipped schedule snapshot and
+ * roster, the way app.js does, and asserts on Results.getMedalCounts(),
+ * getMedals() and getAllResults(). The set files one gold three times:
+ * under the event's old ID, under its current ID, and under a second
+ * spelling of the name. The cards show one gold, so the totals must too.
+ * No dependencies — Node 18+ only.
+ *
+ * Usage:
+ *   node scripts/check-results.js    # exits non-zero on a failed check
+ */
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+
+var ROOT = path.join(__dirname, '..');
+
+// Browser modules expect each other as globals; load dependencies first
+global.Strings = require('../js/strings.js');
+global.Time = require('../js/time.js');
+global.CONFIG = require('../js/config.js');
+global.Athletes = require('../js/athletes.js');
+global.Schedule = require('../js/schedule.js');
+var Results = require('../js/results.js');
+
+/** @type {string} The event's ID in data/schedule-cache.json */
+var OLD_ID = 'sjp-07-february-1957-79';
+
+/** @type {string} The ID the API re-issued it under */
+var CURRENT_ID = 'sjp-08-february-1830-81';
+
+function readJSON(relPath) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, relPath), 'utf8'));
+}
+
+function loadEvents() {
+  Schedule.useRules(readJSON(CONFIG.CLASSIFICATION_DATA));
+  var schedule = Schedule.applySupplement(
+    Schedule.normalizeAPIData(readJSON(CONFIG.FALLBACK_SCHEDULE)), readJSON(CONFIG.SUPPLEMENT_DATA));
+  var roster = Athletes.parseRoster(fs.readFileSync(path.join(ROOT, CONFIG.FALLBACK_ATHLETES), 'utf8'));
+  var events = Schedule.matchScheduleToAthletes(schedule, roster);
+  events.forEach(function (evt) {
+    if (evt.id !== OLD_ID) return;
+    // As the supplement's aliases (or the change log) would leave it
+    evt.id = CURRENT_ID;
+    evt.previousIds = [OLD_ID];
+  });
+  return events;
+}
+
+function entry(athletes) {
+  var results = {};
+  Object.keys(athletes).forEach(function (name) {
+    results[name] = Results.normalizeResult(athletes[name], 'Ski Jumping');
+  });
+  return { sport: 'Ski Jumping', event: 'Women\'s NH Individual', date: '2026-02-08', team: false, athletes: results };
+}
+
+var results = {};
+results[OLD_ID] = entry({ 'Paige Jones': 'Gold' });
+results[CURRENT_ID] = entry({ 'Paige Jones': 'Gold', 'Paige  Jones': 'Gold', 'Josie Johnson': '12th' });
+
+var events = loadEvents();
+Results.mergeResults(events, { results: results });
+
+var evt = events.filter(function (e) { return e.id === CURRENT_ID; })[0];
+assert.ok(evt, CURRENT_ID + ' is a Park City event');
+assert.deepStrictEqual(Object.keys(evt.results).sort(), ['Josie Johnson', 'Paige Jones']);
+
+assert.deepStrictEqual(Results.getMedalCounts(), { gold: 1, silver: 0, bronze: 0 });
+assert.deepStrictEqual(Results.getMedalCounts('medalists'), { gold: 1, silver: 0, bronze: 0 });
+
+var medals = Results.getMedals();
+assert.strictEqual(medals.length, 1);
+assert.strictEqual(medals[0].eventId, CURRENT_ID);
+assert.deepStrictEqual(medals[0].athletes, ['Paige Jones']);
+
+var all = Results.getAllResults();
+assert.strictEqual(all.gold.length, 1);
+assert.strictEqual(all.gold[0].athlete, 'Paige Jones');
+assert.deepStrictEqual(all.other.map(function (r) { return r.athlete; }), ['Josie Johnson']);
+
+console.log('ok: one gold for ' + CURRENT_ID + ' filed under ' + OLD_ID + ', ' + CURRENT_ID + ' and "Paige  Jones"');
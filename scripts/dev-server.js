@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * dev-server.js — Local server for the static site plus the api/ functions.
+ *
+ * Serves the repo root as static files and routes /api/<name> to the
+ * matching api/<name>.js handler, the same way Vercel does in production.
+ * The "rewrites" in vercel.json (e.g. /calendar/<feed>.ics) apply too.
+ * No dependencies — Node 18+ only.
+ *
+ * Usage:
+ *   node scripts/dev-server.js             # live RapidAPI (needs RAPIDAPI_KEY)
+ *   node scripts/dev-server.js --stub      # stubbed upstream, no network
+ *   PORT=3000 node scripts/dev-server.js
+ *
+ * With --stub, a second server on PORT+1 answers GET /events with the raw
+ * API snapshot in data/schedule-cache.json, and RAPIDAPI_UPSTREAM points the
+ * api/ functions at it. Pass --stub=path/to/file.json to serve another
+ * snapshot (e.g. one with edited times to exercise change detection).
+ */
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+
+var ROOT = path.join(__dirname, '..');
+var PORT = parseInt(process.env.PORT || '8000', 10);
+
+var MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.csv': 'text/csv; charset=utf-8',
+  '.txt': 'text/plain; charset=utf-8',
+  '.ics': 'text/calendar; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Turn vercel.json rewrites into [regex, destination] pairs. Only the
+ * ":name" placeholder syntax the repo uses is supported.
+ * @returns {{ pattern: RegExp, names: string[], destination: string }[]}
+ */
+function loadRewrites() {
+  var config = JSON.parse(fs.readFileSync(path.join(ROOT, 'vercel.json'), 'utf8'));
+  return (config.rewrites || []).map(function (rule) {
+    var names = [];
+    var source = rule.source.replace(/[.]/g, '\\.').replace(/:([a-z]+)/gi, function (m, name) {
+      names.push(name);
+      return '([^/]+?)';
+    });
+    return { pattern: new RegExp('^' + source + '$'), names: names, destination: rule.destination };
+  });
+}
+
+/**
+ * Apply the first matching rewrite to a request URL.
+ * @param {string} url - Request URL (path + query)
+ * @returns {string} Rewritten URL, or the original
+ */
+function rewrite(url) {
+  var pathname = url.split('?')[0];
+  for (var i = 0; i < REWRITES.length; i++) {
+    var m = REWRITES[i].pattern.exec(pathname);
+    if (!m) continue;
+    var dest = REWRITES[i].destination;
+    REWRITES[i].names.forEach(function (name, j) {
+      dest = dest.split(':' + name).join(encodeURIComponent(m[j + 1]));
+    });
+    return dest;
+  }
+  return url;
+}
+
+/**
+ * Parse --stub / --stub=<file> from the command line.
+ * @returns {string|null} Path of the snapshot to serve, or null for live mode
+ */
+function stubFile() {
+  var arg = process.argv.slice(2).filter(function (a) {
+    return a === '--stub' || a.indexOf('--stub=') === 0;
+  })[0];
+  if (!arg) return null;
+  var file = arg.indexOf('=') !== -1 ? arg.split('=')[1] : 'data/schedule-cache.json';
+  return path.resolve(ROOT, file);
+}
+
+/**
+ * Start a fake RapidAPI that answers GET /events from a local file.
+ * The file is re-read on every request so it can be edited while running.
+ *
+ * @param {string} file - Raw API response snapshot
+ * @param {number} port - Port to listen on
+ */
+function startStubUpstream(file, port) {
+  http.createServer(function (req, res) {
+    var url = req.url.split('?')[0];
+    if (url !== '/events') {
+      res.statusCode = 404;
+      res.end();
+      return;
+    }
+    console.log('[stub] GET /events');
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(fs.readFileSync(file));
+  }).listen(port, function () {
+    console.log('Stub upstream serving ' + path.relative(ROOT, file) + ' on http://localhost:' + port);
+  });
+}
+
+/**
+ * Route /api/<name> to api/<name>.js. Handlers are loaded once, like a warm
+ * serverless instance, so their in-memory caches behave as in production.
+ */
+function handleAPI(req, res, pathname) {
+  var name = pathname.replace(/^\/api\//, '').replace(/\.[a-z]+$/, '');
+  if (!/^[a-z0-9-]+$/.test(name)) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+  var file = path.join(ROOT, 'api', name + '.js');
+  if (!fs.existsSync(file)) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+  var query = {};
+  new URL(req.url, 'http://localhost').searchParams.forEach(function (v, k) { query[k] = v; });
+  req.query = query;
+  Promise.resolve(require(file)(req, res)).catch(function (err) {
+    console.error(err);
+    res.statusCode = 500;
+    res.end();
+  });
+}
+
+function serveStatic(req, res, pathname) {
+  if (pathname === '/') pathname = '/index.html';
+  var decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch (err) {
+    // Malformed escapes like /%E0%A4%A
+    res.statusCode = 400;
+    res.end('Bad request');
+    return;
+  }
+  var file = path.normalize(path.join(ROOT, decoded));
+  if (file.indexOf(ROOT + path.sep) !== 0 || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+    res.statusCode = 404;
+    res.end('Not found');
+    return;
+  }
+  res.setHeader('Content-Type', MIME_TYPES[path.extname(file)] || 'application/octet-stream');
+  fs.createReadStream(file).pipe(res);
+}
+
+var REWRITES = loadRewrites();
+
+var stub = stubFile();
+if (stub) {
+  startStubUpstream(stub, PORT + 1);
+  process.env.RAPIDAPI_UPSTREAM = 'http://localhost:' + (PORT + 1);
+}
+
+http.createServer(function (req, res) {
+  console.log(req.method + ' ' + req.url);
+  req.url = rewrite(req.url);
+  var pathname = req.url.split('?')[0];
+  if (pathname.indexOf('/api/') === 0) {
+    handleAPI(req, res, pathname);
+  } else {
+    serveStatic(req, res, pathname);
+  }
+}).listen(PORT, function () {
+  console.log('Site on http://localhost:' + PORT + (stub ? ' (stubbed upstream)' : ''));
+});